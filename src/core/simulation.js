@@ -0,0 +1,450 @@
+// DOM-free simulation core
+// Owns the game state and one fixed step of gameplay. The browser loop and the
+// headless runners (MM.simulateWeeks, Node tools) all call stepSimulation, so
+// they play the same game. Anything user-facing goes through game.notifier.
+
+import { AIRSPACE_CONFIG } from '../maps/airspace.js';
+import { makeScaledConfig } from '../maps/scale.js';
+import { createRng, randomSeed } from '../utils/rng.js';
+import { spawnPassenger, updatePassengersAndCheckOvercrowding } from '../systems/passengers.js';
+import * as Trains from '../systems/trains.js';
+import * as Lines from '../systems/lines_final.js';
+import { bumpNetworkRevision, RoutingTable } from '../systems/routing.js';
+import { returnToHangar } from '../systems/fleet.js';
+import { AchievementSystem } from '../systems/achievements.js';
+import { EventSystem } from '../systems/events.js';
+import { AutoRoutingSystem } from '../systems/auto_routing.js';
+import { createWeather, initWeatherCells, updateWeather } from '../systems/weather.js';
+import { rollWeeklyRewards, applyReward, pickRewardHeadless } from '../systems/rewards.js';
+
+// Notifier hooks. Every hook is optional; missing ones fall back to these no-ops.
+// weekEnded(offers) may return a reward type to apply immediately (headless) or
+// null when the choice is made later (browser dialog calls applyReward itself).
+export const HEADLESS_NOTIFIER = {
+  toast(message){},
+  gameOver(reason){},
+  weekEnded(offers, game){ return pickRewardHeadless(game, offers); },
+  airportAdded(station){},
+  achievementUnlocked(achievement){},
+  eventStarted(event){},
+  autoAction(message, color){},
+  undoChanged(canUndo){}
+};
+
+// Fresh per-game state; createGame builds on it and resetGame re-applies it in place
+function initialState(cfg, seed){
+  return {
+    rng: createRng(seed ?? randomSeed()),
+    config: cfg,
+    stations: [],
+    lines: [],
+    trains: [], // planes
+    passengers: [], // pax/cargo
+    scorePopups: [],
+    animations: [],
+    score: 0,
+    totalPassengers: 0,
+    linesAvailable: cfg.initialLines,
+    trainsAvailable: cfg.initialTrains,
+    hangar: {}, // spare planes by aircraft type, narrow-bodies aside (see fleet.js)
+    tunnels: cfg.initialTunnels ?? 2, // permits to cross restricted airspace
+    carriages: cfg.initialCarriages ?? 0, // increased plane capacity
+    day: 1,
+    gameTime: 0,
+    prevGameTime: 0,
+    weekProgress: 0,
+    paused: false,
+    gameOver: false,
+    gameOverReason: null,
+    selectedLineColorIndex: null,
+    recolorMode: false, colorKeyHeld: false, activeLineForColor: null,
+    removalMode: false, hoveredStationIdx: -1, inspectedLineId: null,
+    needsRedraw: true,
+    undoStack: [],
+    canUndo: false,
+    finalExpressActive: false,
+    diversions: 0, divertedPassengers: 0, // storm diversions (see trains.js)
+    // Spawn/allocation timers (game-time ms); kept on the game so saves can restore them
+    schedule: { nextPassengerSpawn: null, lastOptimization: null, nextAirportSpawn: null, lastAirportSpawn: null }
+  };
+}
+
+export function createGame({ config = AIRSPACE_CONFIG, seed = null, notifier = {}, persistStats = false } = {}){
+  const cfg = makeScaledConfig(config);
+  const game = {
+    ...initialState(cfg, seed),
+    notifier: { ...HEADLESS_NOTIFIER, ...notifier },
+    camera: null,
+    timeScale: 1,
+    weather: createWeather(),
+    achievements: null,
+    events: null,
+    autoRouting: null,
+    routing: null,
+    debugPassengerFlow: false, // Toggle for passenger flow debugging
+    calculateLineLength(line){ return Lines.calculateLineLength(this, line); },
+    createTrain(lineId){ return Trains.createTrain(this, lineId); },
+    getTrainWorldPosition(tr){ return Trains.getTrainWorldPosition(this, tr); },
+    optimizeTrainAllocation(){ return Trains.optimizeTrainAllocation(this); },
+    updateHUD(){}, // replaced by initHUD in the browser
+
+    endGame(reason){
+      if (this.gameOver) return;
+      this.gameOver=true;
+      this.gameOverReason = reason;
+
+      // Achievement tracking
+      if (this.achievements) {
+        this.achievements.onGameOver();
+      }
+      this.notifier.gameOver(reason);
+    },
+
+    showToast(message){
+      this.notifier.toast(message);
+    },
+
+    saveGameState(){
+      // Save a snapshot for undo (limit to prevent memory issues)
+      if (this.undoStack.length >= 5) {
+        this.undoStack.shift();
+      }
+
+      // Create a simple snapshot of key game state
+      const snapshot = {
+        lines: JSON.parse(JSON.stringify(this.lines)),
+        trains: JSON.parse(JSON.stringify(this.trains)),
+        linesAvailable: this.linesAvailable,
+        trainsAvailable: this.trainsAvailable,
+        hangar: { ...this.hangar },
+        tunnels: this.tunnels,
+        score: this.score
+      };
+
+      this.undoStack.push(snapshot);
+      this.canUndo = this.undoStack.length > 0;
+      this.updateUndoButton();
+    },
+
+    undo(){
+      if (this.undoStack.length === 0) return false;
+
+      const snapshot = this.undoStack.pop();
+
+      // Restore game state
+      this.lines = snapshot.lines.map(line => Lines.attachLineColor(this, line));
+      this.trains = snapshot.trains;
+      this.linesAvailable = snapshot.linesAvailable;
+      this.trainsAvailable = snapshot.trainsAvailable;
+      this.hangar = snapshot.hangar || {};
+      this.tunnels = snapshot.tunnels;
+      this.score = snapshot.score;
+
+      // Rebuild station connections
+      Lines.rebuildStationConnections(this);
+
+      this.canUndo = this.undoStack.length > 0;
+      this.updateUndoButton();
+      this.updateHUD();
+      this.showToast('Action undone');
+      return true;
+    },
+
+    updateUndoButton(){
+      this.notifier.undoChanged(this.canUndo);
+    },
+
+    // Removal API used by input
+    removeLine(lineId){
+      const idx=this.lines.findIndex(l=>l && l.id===lineId);
+      if (idx===-1) return false;
+
+      // Save state for undo
+      if (this.saveGameState) this.saveGameState();
+      const line=this.lines[idx];
+      const trainIds=[...line.trains];
+      trainIds.forEach(tid=>{
+        const ti=this.trains.findIndex(t=>t && t.id===tid);
+        if (ti!==-1){
+          const tr=this.trains[ti];
+          if (tr.passengers.length>0){
+            tr.passengers.forEach(p=>{ const s=this.rng.pick(this.stations); if (s) s.queue.push(p); });
+          }
+          returnToHangar(this, tr);
+          this.trains.splice(ti,1);
+        }
+      });
+      line.stations.forEach(si=>{ const st=this.stations[si]; if (st){ const c=st.connections.indexOf(lineId); if (c!==-1) st.connections.splice(c,1); } });
+      this.lines.splice(idx,1);
+      bumpNetworkRevision(this);
+      this.linesAvailable++;
+      this.trainsAvailable += trainIds.length;
+      this.updateHUD();
+
+      // Trigger train reallocation when line is removed
+      if (this.optimizeTrainAllocation) {
+        this.optimizeTrainAllocation();
+      }
+
+      return true;
+    }
+  };
+
+  game.achievements = new AchievementSystem(game, { persist: persistStats });
+  startGame(game);
+  return game;
+}
+
+// Start over in place (new map and/or seed). The game object, notifier, camera and
+// HUD hooks survive, so the browser keeps its references.
+export function resetGame(game, { config = AIRSPACE_CONFIG, seed = null } = {}){
+  Object.assign(game, initialState(makeScaledConfig(config), seed));
+  Object.assign(game.weather, createWeather());
+  game.achievements = new AchievementSystem(game, { persist: game.achievements ? game.achievements.persist : false });
+  startGame(game);
+  game.updateUndoButton();
+  return game;
+}
+
+function startGame(game){
+  game.events = new EventSystem(game);
+  game.autoRouting = new AutoRoutingSystem(game);
+  game.routing = new RoutingTable(game);
+  setupAirports(game);
+  initWeatherCells(game);
+}
+
+function makeStation(game, s, id, x, y){
+  return {
+    id, x, y,
+    r: game.config.stationRadius,
+    shape: s.shape,
+    name: s.name,
+    zone: s.zone,
+    isFinal: !!s.isFinal,
+    isInterchange: !!s.isInterchange,
+    mctMs: s.mctMs ?? (game.config.defaultMCT||12000),
+    turnaroundMs: s.turnaroundMs ?? (game.config.defaultTurnaroundMs||600),
+    ...(s.runway ? { runway: s.runway } : {}),
+    queue: [],
+    connections: [],
+    overflowTimer: 0,
+    isOvercrowded: false,
+    maxQueue: 6,
+    opacity: 1,
+    glowIntensity: 0
+  };
+}
+
+export function setupAirports(game){
+  // Start with a few random airports for coverage (6 unless the map says otherwise)
+  const pool=[...game.config.londonStations];
+  const start=[];
+  const count = game.config.initialAirportCount ?? 6;
+  for (let i=0;i<count && pool.length>0;i++){
+    const idx=game.rng.int(pool.length);
+    start.push(pool.splice(idx,1)[0]);
+  }
+  start.forEach((s, i)=> {
+    game.stations.push(makeStation(game, s, i, s.x, s.y));
+  });
+  game.nextStationIndex = start.length;
+  game.availableCatalog = pool; // remaining possible spawns
+}
+
+export function addNewAirport(game){
+  if (!game.availableCatalog || game.availableCatalog.length===0) return null;
+  const s = game.availableCatalog.shift();
+  const minDist = game.config.stationRadius*2.5;
+  let attempts=0;
+  let x,y;
+  const jitter = 60 * (game.config.worldScale || 1);
+  do {
+    x = s.x + game.rng.range(-0.5, 0.5)*jitter;
+    y = s.y + game.rng.range(-0.5, 0.5)*jitter;
+    attempts++;
+  } while (attempts<20 && game.stations.some(t=> Math.hypot(t.x-x,t.y-y) < minDist));
+
+  const station = makeStation(game, s, game.stations.length, x, y);
+  game.stations.push(station);
+  bumpNetworkRevision(game);
+  game.needsRedraw = true;
+  game.notifier.airportAdded(station);
+  return station;
+}
+
+// Time-based airport spawning
+export function checkAirportSpawning(game){
+  // Steady, interval-based airport spawning with small jitter
+  const sched = game.schedule;
+  const now = game.gameTime; const gap = game.config.minStationSpawnGapMs;
+  const initDelay = game.config.stationSpawnInitialDelayMs || 20000;
+  const baseInterval = game.config.stationSpawnIntervalMs || 40000;
+  const jitterMs = (game.config.stationSpawnJitterMs == null) ? 5000 : game.config.stationSpawnJitterMs;
+
+  if (sched.nextAirportSpawn == null){
+    sched.nextAirportSpawn = now + initDelay;
+  }
+
+  if (now >= sched.nextAirportSpawn){
+    const lastSpawn = sched.lastAirportSpawn == null ? -Infinity : sched.lastAirportSpawn;
+    // Respect minimum gap and available catalog
+    if (now - lastSpawn >= gap && game.availableCatalog && game.availableCatalog.length > 0){
+      addNewAirport(game);
+      sched.lastAirportSpawn = now;
+    }
+    // Schedule next spawn time
+    const jitter = Math.max(-jitterMs, Math.min(jitterMs, game.rng.range(-1, 1) * jitterMs));
+    // Ensure the next time also respects min gap
+    const earliest = (sched.lastAirportSpawn == null ? -Infinity : sched.lastAirportSpawn) + gap;
+    const proposed = now + baseInterval + jitter;
+    sched.nextAirportSpawn = Math.max(earliest, proposed);
+  }
+}
+
+function schedulePassengerSpawn(game){
+  // spawn demand with BALANCED difficulty scaling + congestion-aware throttling
+  if (game.schedule.nextPassengerSpawn == null || game.gameTime >= game.schedule.nextPassengerSpawn){
+    spawnPassenger(game);
+    const base=game.config.spawnInterval;
+    // Even gentler scaling: 0.04/day, floor at 55%
+    const diff = Math.max(0.55, 1 - (game.day-1)*0.04);
+    const jitter = game.rng.range(-350, 350); // Smaller jitter range
+    // Congestion-aware: slow spawning more aggressively when many are waiting
+    const waitingTotal = game.stations.reduce((s, st) => s + ((st && st.queue) ? st.queue.length : 0), 0);
+    const congestion = Math.min(1, waitingTotal / 36); // ramp sooner
+    const congestionFactor = 1 + 2.2 * congestion; // up to ~3.2x interval under heavy load
+    const intervalMult = game.config.spawnIntervalMultiplier || 1;
+    game.schedule.nextPassengerSpawn = game.gameTime + Math.max(1200, (base*diff + jitter) * congestionFactor * intervalMult);
+    return true;
+  }
+  return false;
+}
+
+// Advance the game by dt ms of game time. Returns true when a week ended this step.
+export function stepSimulation(game, dt){
+  if (game.gameOver) return false;
+  let weekEnded = false;
+
+  game.prevGameTime = game.gameTime; game.gameTime += dt; game.weekProgress = (game.gameTime % game.config.weekLength) / game.config.weekLength;
+  const prevWeek = Math.floor((game.prevGameTime||0) / game.config.weekLength); const nowWeek = Math.floor(game.gameTime / game.config.weekLength);
+
+  if (nowWeek > prevWeek){
+    game.day++;
+    game.trainsAvailable++;
+    weekEnded = true;
+    const offers = rollWeeklyRewards(game);
+    const choice = game.notifier.weekEnded(offers, game);
+    if (choice) {
+      applyReward(game, choice);
+      game.optimizeTrainAllocation();
+    }
+  }
+
+  schedulePassengerSpawn(game);
+
+  // timed airport spawns
+  checkAirportSpawning(game);
+
+  // Weather motion
+  updateWeather(game, dt);
+
+  // planes (slowed inside weather cells, held or diverted by storm closures)
+  Trains.updateTrains(game, dt);
+  Trains.updateScorePopups(game, dt);
+
+  // Optimize train allocation every 2 seconds
+  if (game.schedule.lastOptimization == null || game.gameTime - game.schedule.lastOptimization >= 2000) {
+    game.optimizeTrainAllocation();
+    game.schedule.lastOptimization = game.gameTime;
+  }
+
+  // Update events system (no new random events in early days; announced ones still run)
+  if (game.events) {
+    game.events.update(game.gameTime, { spawn: (game.day||1) >= 4 });
+  }
+
+  // Update auto-routing system
+  if (game.autoRouting) game.autoRouting.update();
+
+  // Update queues/overcrowding AFTER trains/allocation/autorouting had a chance to act
+  updatePassengersAndCheckOvercrowding(game, dt);
+
+  return weekEnded;
+}
+
+export function summarizeGame(game){
+  const waiting = game.stations.reduce((s, st) => s + ((st && st.queue) ? st.queue.length : 0), 0);
+  const overcrowded = game.stations.filter(s => s && s.isOvercrowded).length;
+  const trains = game.trains.length;
+  const lines = game.lines.length;
+  const finals = (game.finalDeliveries || 0);
+  const avgFinalMs = finals > 0 ? Math.round((game.totalFinalDeliveryTime || 0) / finals) : 0;
+  return { day: game.day, score: game.score, waiting, overcrowded, trains, lines, finals, avgFinalMs, diversions: game.diversions || 0 };
+}
+
+// Headless run: simulate N weeks with fixed steps and auto-routing on.
+// Runs with the headless notifier (auto-picked rewards, no UI) and restores the
+// caller's notifier afterwards, so it also works on a live browser game.
+// opts: { dt, log, yieldEveryMs, notifier, onWeek(summary, reward) }
+export async function simulateWeeks(game, weeks = 20, opts = {}){
+  const log = opts.log ?? true;
+  const dt = opts.dt ?? 50; // ms per step
+  const maxMs = weeks * game.config.weekLength;
+
+  const savedNotifier = game.notifier;
+  let lastReward = null;
+  game.notifier = {
+    ...HEADLESS_NOTIFIER,
+    ...(opts.notifier || {}),
+    weekEnded(offers, g){ lastReward = pickRewardHeadless(g, offers); return lastReward; }
+  };
+
+  try {
+    // Ensure auto-routing assists during simulation and acts immediately
+    try {
+      if (game.autoRouting) {
+        game.autoRouting.enabled = true;
+        game.autoRouting.lastAutoAction = -1e9; // trigger immediately
+        game.autoRouting.actionCooldown = Math.min(game.autoRouting.actionCooldown || 8000, 1500);
+        // Try an immediate auto action to bootstrap routes if none exist
+        if (typeof game.autoRouting.performAutoActions === 'function' && game.lines.length === 0 && game.linesAvailable > 0) {
+          game.autoRouting.performAutoActions();
+        }
+      }
+    } catch(e){}
+
+    let maxWaiting = 0;
+    let maxOvercrowded = 0;
+    let firstRouteAtMs = null;
+
+    const startTime = game.gameTime;
+    while (!game.gameOver && (game.gameTime - startTime) < maxMs) {
+      const weekEnded = stepSimulation(game, dt);
+
+      // Metrics tracking
+      const snap = summarizeGame(game);
+      maxWaiting = Math.max(maxWaiting, snap.waiting);
+      maxOvercrowded = Math.max(maxOvercrowded, snap.overcrowded);
+      if (firstRouteAtMs == null && snap.lines > 0) firstRouteAtMs = game.gameTime - startTime;
+
+      if (weekEnded) {
+        if (log) console.log('[Week]', game.day - 1, snap, 'Reward:', lastReward);
+        if (opts.onWeek) opts.onWeek(snap, lastReward);
+      }
+
+      // Yield occasionally for UI responsiveness
+      if (opts.yieldEveryMs && ((game.gameTime - startTime) % opts.yieldEveryMs) < dt) await new Promise(r=> setTimeout(r, 0));
+    }
+
+    const summary = summarizeGame(game);
+    const weeksSimulated = Math.floor((game.gameTime - startTime) / game.config.weekLength);
+    const linesBuilt = summary.lines;
+    const feasible = !game.gameOver && linesBuilt > 0 && maxOvercrowded <= 6 && summary.waiting <= 60;
+    const report = { ...summary, weeksSimulated, linesBuilt, maxWaiting, maxOvercrowded, firstRouteAtMs, feasible, gameOver: game.gameOver, gameOverReason: game.gameOverReason };
+    if (log) console.log('[Simulation Complete]', report);
+    return report;
+  } finally {
+    game.notifier = savedNotifier;
+  }
+}
@@ -1,312 +1,103 @@
 import { createCamera, updateCamera, worldToScreen, screenToWorld } from './core/camera.js';
 import { setDPRTransform, clearScreen } from './render/draw.js';
-import { drawRestrictedAirspace } from './render/airspace.js';
+import { drawRestrictedAirspace, drawNotamClosures } from './render/airspace.js';
 import { drawStations as drawStationsFinal } from './render/stations_final.js';
 import { drawPreview } from './render/preview.js';
 import { buildOverlapMap, drawMultiStationLine } from './render/lines_final.js';
+import { drawPlaneSilhouette } from './render/planes.js';
+import { drawWeather, drawStormClosures } from './render/weather.js';
 import { AIRSPACE_CONFIG } from './maps/airspace.js';
-import { spawnPassenger, updatePassengersAndCheckOvercrowding, canTrainReachDestination } from './systems/passengers.js';
-import * as Trains from './systems/trains.js';
+import { DIFFICULTY_PRESETS, settingsToConfig } from './maps/presets.js';
+import { spawnPassenger, canTrainReachDestination } from './systems/passengers.js';
 import * as Lines from './systems/lines_final.js';
-import { AchievementSystem } from './systems/achievements.js';
-import { EventSystem, setWeatherReference } from './systems/events.js';
-import { AutoRoutingSystem } from './systems/auto_routing.js';
+import { getRestrictedZones, checkRestrictedCrossings, spendPermits } from './systems/airspace.js';
+import { getNotamClosures, planNotam } from './systems/notams.js';
+import { gameHourMs } from './utils/time.js';
+import { BOARDING_POLICIES, getBoardingPolicy } from './systems/boarding.js';
+import { isTimetableMode, departureIntervalMs } from './systems/timetable.js';
+import { setTrainPattern } from './systems/service.js';
+import { AIRCRAFT_TYPES, addAircraft, setLinePin } from './systems/fleet.js';
+import { lineAllocationStats } from './systems/trains.js';
+import { maintenanceStatus } from './systems/maintenance.js';
+import { applyReward as applyRewardEffect } from './systems/rewards.js';
+import { createGame, stepSimulation, simulateWeeks } from './core/simulation.js';
 import { initHUD } from './ui/hud.js';
 import { attachInput } from './ui/input_final.js';
+import { initSavePanel } from './ui/saves.js';
+import { initFleetPanel } from './ui/fleet.js';
+import { initMapPicker, reportMapError } from './ui/maps.js';
+import { initMapEditor } from './ui/editor.js';
+import { loadMapFromUrl, mapToConfig } from './maps/loader.js';
+import { showToast, showEventNotification, showAchievementNotification, showAutoActionNotification } from './ui/notifications.js';
+import { autosave, saveToSlot, loadFromSlot, serializeGame, deserializeGame } from './systems/savegame.js';
 import { createStationSpawnAnimation } from './utils/animations.js';
+import { randomSeed, parseSeed } from './utils/rng.js';
 
 const canvas = document.getElementById('c');
 const ctx = canvas.getContext('2d');
 
-// Expand gameplay area by scaling world coordinates.
-// The factor comes from config.worldScale (default 1.5).
-function scalePathString(d, factor){
-  if (!d || factor === 1) return d;
-  // Scale all numeric tokens in an SVG path string
-  return String(d).replace(/-?\d*\.?\d+(?:e[-+]?\d+)?/gi, (m) => {
-    const v = parseFloat(m);
-    if (!isFinite(v)) return m;
-    const scaled = v * factor;
-    // limit precision to avoid excessively long strings
-    return (Math.round(scaled * 1000) / 1000).toString();
-  });
-}
-
-function makeScaledConfig(cfgIn){
-  const cfg = { ...(cfgIn||{}) };
-  const S = cfg.worldScale && cfg.worldScale > 0 ? cfg.worldScale : 1.5;
-  cfg.worldScale = S;
-
-  // Scale map features that are in world units
-  if (Array.isArray(cfg.londonStations)){
-    cfg.londonStations = cfg.londonStations.map(s => ({
-      ...s,
-      x: (s.x||0) * S,
-      y: (s.y||0) * S
-    }));
-  }
-  if (cfg.thamesPath){
-    cfg.thamesPath = scalePathString(cfg.thamesPath, S);
-  }
-  if (Array.isArray(cfg.thamesPolygon)){
-    cfg.thamesPolygon = cfg.thamesPolygon.map(p => ({ x: (p.x||0)*S, y: (p.y||0)*S }));
-  }
-
-  // Preserve visual weights (pixel-space) by keeping widths unscaled.
-  // Preserve travel time by scaling train speed with distance.
-  if (typeof cfg.trainSpeed === 'number') cfg.trainSpeed = cfg.trainSpeed * S;
-
-  return cfg;
-}
-
-// Game state (air traffic themed)
-const game = {
-  config: { ...makeScaledConfig(AIRSPACE_CONFIG), lineColors: AIRSPACE_CONFIG.lineColors },
-  camera: null,
-  stations: [],
-  lines: [],
-  trains: [], // planes
-  passengers: [], // pax/cargo
-  scorePopups: [],
-  animations: [],
-  score: 0,
-  totalPassengers: 0,
-  linesAvailable: AIRSPACE_CONFIG.initialLines,
-  trainsAvailable: AIRSPACE_CONFIG.initialTrains,
-  tunnels: 2, // permits to cross restricted corridor
-  carriages: 0, // increased plane capacity
-  day: 1,
-  gameTime: 0,
-  prevGameTime: 0,
-  weekProgress: 0,
-  timeScale: 1,
-  paused: false,
-  gameOver: false,
-  selectedLineColorIndex: null,
-  recolorMode: false, colorKeyHeld: false, activeLineForColor: null,
-  removalMode: false, hoveredStationIdx: -1,
-  needsRedraw: true,
-  achievements: null, // Will be initialized after game object creation
-  events: null, // Will be initialized after game object creation
-  autoRouting: null, // Will be initialized after game object creation
-  undoStack: [],
-  canUndo: false,
-  debugPassengerFlow: false, // Toggle for passenger flow debugging
-  calculateLineLength(line){ return Lines.calculateLineLength(this, line); },
-  createTrain(lineId){ return Trains.createTrain(this, lineId); },
-  getTrainWorldPosition(tr){ return Trains.getTrainWorldPosition(this, tr); },
-  optimizeTrainAllocation(){ return Trains.optimizeTrainAllocation(this); },
-  endGame(reason){
-    this.gameOver=true;
+// Seed for all gameplay randomness; ?seed=<number|text> replays a specific game
+const initialSeed = (() => {
+  try { return parseSeed(new URLSearchParams(location.search).get('seed')) ?? randomSeed(); }
+  catch(e) { return randomSeed(); }
+})();
+
+// ?map=<url> starts on a custom JSON map (see MAP_FORMAT.md); errors are reported once the game exists
+let initialMapError = null;
+const initialMap = await (async () => {
+  const url = new URLSearchParams(location.search).get('map');
+  if (!url) return null;
+  try { return await loadMapFromUrl(url); }
+  catch(e) { initialMapError = e; return null; }
+})();
+
+// Browser side of the simulation notifier: DOM toasts, dialogs and camera
+const browserNotifier = {
+  toast: showToast,
+  gameOver(reason){
     const dialog = document.getElementById('gameOver');
     document.getElementById('goReason').textContent=reason;
-    document.getElementById('finalStats').textContent = `Final Score: ${this.score} • Day ${this.day} • ${this.lines.length} routes`;
+    document.getElementById('finalStats').textContent = `Final Score: ${game.score} • Day ${game.day} • ${game.lines.length} routes • ${game.diversions || 0} storm diversions`;
     dialog.style.display='flex';
     setTimeout(() => dialog.classList.add('show'), 10);
     hud.updateHUD();
-
-    // Achievement tracking
-    if (this.achievements) {
-      this.achievements.onGameOver();
-    }
   },
-
-  showToast(message){
-    const toast = document.getElementById('atcToast');
-    if (toast){
-      toast.textContent = message;
-      toast.style.opacity = '1';
-      toast.style.transform = 'translateX(-50%) translateY(0)';
-      clearTimeout(this._toastTimer);
-      this._toastTimer = setTimeout(() => {
-        try {
-          toast.style.opacity = '0';
-          toast.style.transform = 'translateX(-50%) translateY(-8px)';
-        } catch(e) {}
-      }, 2000);
-    }
+  weekEnded(offers){
+    autosave(game);
+    showWeeklyRewards(offers);
+    return null; // chosen later from the dialog
   },
-
-  saveGameState(){
-    // Save a snapshot for undo (limit to prevent memory issues)
-    if (this.undoStack.length >= 5) {
-      this.undoStack.shift();
-    }
-
-    // Create a simple snapshot of key game state
-    const snapshot = {
-      lines: JSON.parse(JSON.stringify(this.lines)),
-      trains: JSON.parse(JSON.stringify(this.trains)),
-      linesAvailable: this.linesAvailable,
-      trainsAvailable: this.trainsAvailable,
-      tunnels: this.tunnels,
-      score: this.score
-    };
-
-    this.undoStack.push(snapshot);
-    this.canUndo = this.undoStack.length > 0;
-    this.updateUndoButton();
-  },
-
-  undo(){
-    if (this.undoStack.length === 0) return false;
-
-    const snapshot = this.undoStack.pop();
-
-    // Restore game state
-    this.lines = snapshot.lines;
-    this.trains = snapshot.trains;
-    this.linesAvailable = snapshot.linesAvailable;
-    this.trainsAvailable = snapshot.trainsAvailable;
-    this.tunnels = snapshot.tunnels;
-    this.score = snapshot.score;
-
-    // Rebuild station connections
-    this.stations.forEach(station => station.connections = []);
-    this.lines.forEach(line => {
-      line.stations.forEach(stationIdx => {
-        if (this.stations[stationIdx]) {
-          this.stations[stationIdx].connections.push(line.id);
-        }
-      });
-    });
-
-    this.canUndo = this.undoStack.length > 0;
-    this.updateUndoButton();
-    this.updateHUD();
-    this.showToast('Action undone');
-    return true;
+  airportAdded(station){
+    // Grow in from nothing
+    station.r = 0;
+    station.opacity = 0;
+    const animation = createStationSpawnAnimation(station, 600, game.config.stationRadius);
+    game.animations.push(animation);
+
+    // Automatically adjust camera to keep all airports visible
+    adjustCameraToFitAllAirports();
   },
-
-  updateUndoButton(){
+  achievementUnlocked: showAchievementNotification,
+  eventStarted: showEventNotification,
+  autoAction: showAutoActionNotification,
+  undoChanged(canUndo){
     const undoBtn = document.getElementById('btnUndo');
     if (undoBtn) {
-      undoBtn.style.opacity = this.canUndo ? '1' : '0.4';
-      undoBtn.style.cursor = this.canUndo ? 'pointer' : 'not-allowed';
+      undoBtn.style.opacity = canUndo ? '1' : '0.4';
+      undoBtn.style.cursor = canUndo ? 'pointer' : 'not-allowed';
     }
   }
 };
 
-// Weather cells (dynamic obstacles that slow planes)
-const weather = {
-  cells: [],
-  enabled: true
-};
-
-function initWeatherCells(){
-  const count = 3;
-  const S = game.config.worldScale || 1;
-  for (let i=0;i<count;i++){
-    weather.cells.push({
-      x: (Math.random()*2-1) * 320 * S,
-      y: (Math.random()*2-1) * 220 * S,
-      r: (50 + Math.random()*30) * S,
-      vx: (-0.03 + Math.random()*0.06),
-      vy: (-0.03 + Math.random()*0.06),
-      strength: 0.6
-    });
-  }
-}
+// Game state (air traffic themed)
+const game = createGame({ config: initialMap ? mapToConfig(initialMap) : AIRSPACE_CONFIG, seed: initialSeed, notifier: browserNotifier, persistStats: true });
+const weather = game.weather;
 
-function updateWeather(dt){
-  if (!weather.enabled) return;
-  const speed = dt * 0.05;
-  weather.cells.forEach(c => {
-    c.x += c.vx * speed * 20;
-    c.y += c.vy * speed * 20;
-    // Wrap around a generous bounds box
-    const B = 520 * (game.config.worldScale || 1);
-    if (c.x < -B) c.x = B; else if (c.x > B) c.x = -B;
-    if (c.y < -B) c.y = B; else if (c.y > B) c.y = -B;
-  });
-}
+let showForecast = true; // weather forecast layer, toggled with 'O'
 
 function drawWeatherCells(){
   if ((game.day||1) <= 3) return; // suppress weather visuals early to reduce cognitive load
-  if (!weather.enabled || weather.cells.length===0) return;
-  ctx.save();
-  ctx.translate(game.camera.x, game.camera.y);
-  ctx.scale(game.camera.scale, game.camera.scale);
-  weather.cells.forEach(c => {
-    const grd = ctx.createRadialGradient(c.x, c.y, Math.max(0, c.r*0.2), c.x, c.y, c.r);
-    grd.addColorStop(0, 'rgba(59,130,246,0.18)');
-    grd.addColorStop(1, 'rgba(59,130,246,0.03)');
-    ctx.fillStyle = grd;
-    ctx.beginPath();
-    ctx.arc(c.x, c.y, c.r, 0, Math.PI*2);
-    ctx.fill();
-    ctx.strokeStyle = 'rgba(147,197,253,0.35)';
-    ctx.lineWidth = 2 / game.camera.scale;
-    ctx.stroke();
-  });
-  ctx.restore();
-}
-
-function isInWeather(x, y){
-  if (!weather.enabled) return false;
-  for (const c of weather.cells){
-    const d = Math.hypot(x - c.x, y - c.y);
-    if (d <= c.r) return c;
-  }
-  return null;
-}
-
-function setupAirports(){
-  // Start with 6 random airports for coverage
-  const pool=[...game.config.londonStations];
-  const start=[];
-  for (let i=0;i<6 && pool.length>0;i++){
-    const idx=Math.floor(Math.random()*pool.length);
-    start.push(pool.splice(idx,1)[0]);
-  }
-  start.forEach((s, i)=> {
-    const station = { id:i, x:s.x, y:s.y, r:game.config.stationRadius, shape:s.shape, name:s.name, zone:s.zone, isFinal: !!s.isFinal, isInterchange: !!s.isInterchange, mctMs: s.mctMs ?? (game.config.defaultMCT||12000), turnaroundMs: s.turnaroundMs ?? (game.config.defaultTurnaroundMs||600), queue:[], connections:[], overflowTimer:0, isOvercrowded:false, maxQueue:6, opacity: 1, glowIntensity: 0 };
-    game.stations.push(station);
-  });
-  game.nextStationIndex = start.length;
-  game.availableCatalog = pool; // remaining possible spawns
-}
-
-function addNewAirport(){
-  if (!game.availableCatalog || game.availableCatalog.length===0) return;
-  const s = game.availableCatalog.shift();
-  const minDist = game.config.stationRadius*2.5;
-  let attempts=0;
-  let x,y;
-  const jitter = 60 * (game.config.worldScale || 1);
-  do {
-    x = s.x + (Math.random()-0.5)*jitter;
-    y = s.y + (Math.random()-0.5)*jitter;
-    attempts++;
-  } while (attempts<20 && game.stations.some(t=> Math.hypot(t.x-x,t.y-y) < minDist));
-
-  const station = {
-    id: game.stations.length,
-    x, y,
-    r: 0,
-    shape: s.shape,
-    name: s.name,
-    zone: s.zone,
-    isFinal: !!s.isFinal,
-    isInterchange: !!s.isInterchange,
-    mctMs: s.mctMs ?? (game.config.defaultMCT||12000),
-    turnaroundMs: s.turnaroundMs ?? (game.config.defaultTurnaroundMs||600),
-    queue: [],
-    connections: [],
-    overflowTimer: 0,
-    isOvercrowded: false,
-    maxQueue: 6,
-    opacity: 0,
-    glowIntensity: 0
-  };
-
-  game.stations.push(station);
-  const animation = createStationSpawnAnimation(station, 600, game.config.stationRadius);
-  game.animations.push(animation);
-  game.needsRedraw = true;
-
-  // Automatically adjust camera to keep all airports visible
-  adjustCameraToFitAllAirports();
+  drawWeather(ctx, game.camera, game, { forecast: showForecast });
 }
 
 // Automatic camera adjustment to keep all airports visible
@@ -388,40 +179,14 @@ function trackManualZoom() {
 // Make trackManualZoom globally available
 window.trackManualZoom = trackManualZoom;
 
-// ENHANCED Weekly rewards - strategic focus on final destination network
-function showWeeklyRewards(){
+// Weekly rewards dialog (offers are rolled by the simulation core)
+function showWeeklyRewards(offers){
   game.paused=true;
   const container=document.getElementById('rewardOptions');
   const dialog=document.getElementById('rewardDialog');
   container.innerHTML='';
 
-  const choices=[
-    { type:'line', icon:'🧭', title:'New Route', description:'Open an additional air corridor' },
-    { type:'carriage', icon:'🧳', title:'Bigger Cabin', description:'+2 capacity to a random plane' },
-    { type:'tunnel', icon:'🛂', title:'Permit', description:'Cross restricted airspace' },
-    { type:'speed', icon:'⚡', title:'Speed Boost', description:'Increase plane speeds by 20%' },
-    { type:'hub_upgrade', icon:'🏢', title:'Hub Upgrade', description:'Convert an airport to interchange status' },
-    { type:'final_express', icon:'✈️', title:'Express Service', description:'Direct routes to finals get +50% speed' }
-  ];
-
-  // Strategic reward selection based on game state
-  let selected = [...choices];
-
-  // Always offer route expansion early game
-  if (game.lines.length < 3) {
-    selected = selected.filter(c => c.type === 'line' || c.type === 'speed' || c.type === 'carriage');
-  }
-
-  // Offer hub upgrades when network grows
-  if (game.stations.length >= 8) {
-    const nonHubs = game.stations.filter(s => s && !s.isInterchange && !s.isFinal);
-    if (nonHubs.length > 0) {
-      selected = selected.filter(c => c.type !== 'carriage'); // Replace with hub upgrade
-    }
-  }
-
-  selected = selected.sort(()=>Math.random()-0.5).slice(0,3);
-  selected.forEach((reward, index) => {
+  offers.forEach((reward, index) => {
     const el = document.createElement('div');
     el.className = 'reward-option';
     el.style.animationDelay = `${index * 100}ms`;
@@ -437,38 +202,7 @@ function showWeeklyRewards(){
 function applyReward(type){
   const dialog = document.getElementById('rewardDialog');
 
-  if (type==='line') game.linesAvailable++;
-  else if (type==='carriage'){
-    game.carriages++;
-    const tr = game.trains[Math.floor(Math.random()*game.trains.length)];
-    if (tr) tr.capacity += 2;
-  }
-  else if (type==='tunnel') game.tunnels++;
-  else if (type==='speed'){
-    game.trains.forEach(tr => tr.speed *= 1.2);
-  }
-  else if (type==='hub_upgrade'){
-    // Convert a regular airport to interchange status
-    const eligible = game.stations.filter(s => s && !s.isInterchange && !s.isFinal);
-    if (eligible.length > 0) {
-      const target = eligible[Math.floor(Math.random() * eligible.length)];
-      target.isInterchange = true;
-      target.mctMs = Math.round((target.mctMs || 12000) * 0.8); // Better transfer times
-      Trains.createScorePopup(game, target.x, target.y, 'HUB UPGRADE!', '#0ea5a3');
-    }
-  }
-  else if (type==='final_express'){
-    // Mark all lines that connect to final destinations for speed boost
-    game.finalExpressActive = true;
-    for (const line of game.lines) {
-      if (line.stations.some(si => game.stations[si] && game.stations[si].isFinal)) {
-        for (const trainId of line.trains) {
-          const train = game.trains.find(t => t.id === trainId);
-          if (train) train.speed *= 1.5;
-        }
-      }
-    }
-  }
+  applyRewardEffect(game, type);
 
   dialog.classList.remove('show');
   setTimeout(() => {
@@ -503,7 +237,7 @@ let preview=null; attachInput(canvas, game, p=> preview=p);
 document.addEventListener('keydown', (e)=>{ if (e.key==='c' || e.key==='C') game.colorKeyHeld = true; });
 document.addEventListener('keyup', (e)=>{ if (e.key==='c' || e.key==='C') game.colorKeyHeld = false; });
 
-// Extra controls: toggle weather with 'W'
+// Extra controls: toggle weather with 'W', its forecast with 'O'
 document.addEventListener('keydown', (e)=>{
   if (e.key==='w' || e.key==='W'){
     weather.enabled = !weather.enabled;
@@ -519,40 +253,12 @@ document.addEventListener('keydown', (e)=>{
       weatherPulse.style.opacity = weather.enabled ? '1' : '0';
     }
   }
-});
-
-// Removal API used by input
-game.removeLine = function(lineId){
-  const idx=this.lines.findIndex(l=>l && l.id===lineId);
-  if (idx===-1) return false;
-
-  // Save state for undo
-  if (this.saveGameState) this.saveGameState();
-  const line=this.lines[idx];
-  const trainIds=[...line.trains];
-  trainIds.forEach(tid=>{
-    const ti=this.trains.findIndex(t=>t && t.id===tid);
-    if (ti!==-1){
-      const tr=this.trains[ti];
-      if (tr.passengers.length>0){
-        tr.passengers.forEach(p=>{ const s=this.stations[Math.floor(Math.random()*this.stations.length)]; if (s) s.queue.push(p); });
-      }
-      this.trains.splice(ti,1);
-    }
-  });
-  line.stations.forEach(si=>{ const st=this.stations[si]; if (st){ const c=st.connections.indexOf(lineId); if (c!==-1) st.connections.splice(c,1); } });
-  this.lines.splice(idx,1);
-  this.linesAvailable++;
-  this.trainsAvailable += trainIds.length;
-  hud.updateHUD();
-
-  // Trigger train reallocation when line is removed
-  if (this.optimizeTrainAllocation) {
-    this.optimizeTrainAllocation();
+  if (e.key==='o' || e.key==='O'){
+    showForecast = !showForecast;
+    game.needsRedraw = true;
+    game.showToast && game.showToast(`Weather forecast ${showForecast ? 'ON' : 'OFF'}`);
   }
-
-  return true;
-};
+});
 
 // Game loop
 let last = performance.now();
@@ -561,86 +267,14 @@ function loop(ts){
     const rawDt = Math.min(50, ts - last); last = ts; const dt = rawDt * (game.timeScale||1);
     let hasUpdates = false;
 
-    if (!game.paused && !game.gameOver){
-      game.prevGameTime = game.gameTime; game.gameTime += dt; game.weekProgress = (game.gameTime % game.config.weekLength) / game.config.weekLength;
-      const prevWeek = Math.floor((game.prevGameTime||0) / game.config.weekLength); const nowWeek = Math.floor(game.gameTime / game.config.weekLength);
-
-      if (nowWeek > prevWeek){
-        game.day++;
-        game.trainsAvailable++;
-        showWeeklyRewards();
-        hasUpdates = true;
-      }
-
-      // spawn demand with BALANCED difficulty scaling + congestion-aware throttling
-      if (!loop._nextSpawn || game.gameTime >= loop._nextSpawn){
-        spawnPassenger(game);
-        const base=game.config.spawnInterval;
-        // Even gentler scaling: 0.04/day, floor at 55%
-        const diff = Math.max(0.55, 1 - (game.day-1)*0.04);
-        const jitter = (Math.random()*700 - 350); // Smaller jitter range
-        // Congestion-aware: slow spawning more aggressively when many are waiting
-        const waitingTotal = game.stations.reduce((s, st) => s + ((st && st.queue) ? st.queue.length : 0), 0);
-        const congestion = Math.min(1, waitingTotal / 36); // ramp sooner
-        const congestionFactor = 1 + 2.2 * congestion; // up to ~3.2x interval under heavy load
-        const intervalMult = game.config.spawnIntervalMultiplier || 1;
-        loop._nextSpawn = game.gameTime + Math.max(1200, (base*diff + jitter) * congestionFactor * intervalMult);
-        hasUpdates = true;
-      }
-
-      // timed airport spawns
-      checkAirportSpawning();
-
-      // Weather motion
-      updateWeather(dt);
-
-      // planes (apply temporary slowdowns inside weather cells)
-      // Smooth slowdown: 1.0 at edge -> dynamic min at center of cell
-      const modified=[];
-      for (const tr of game.trains){
-        const pos = game.getTrainWorldPosition(tr);
-        if (!pos) continue;
-        const cell = isInWeather(pos.x, pos.y);
-        if (cell){
-          // Capture or refresh base speed in case it changed while inside weather
-          tr._origSpeed = (tr._origSpeed == null) ? tr.speed : Math.max(tr._origSpeed, tr.speed);
-          const dx = pos.x - cell.x, dy = pos.y - cell.y;
-          const dist = Math.hypot(dx, dy);
-          const t = Math.max(0, 1 - dist / cell.r); // 0 at edge, 1 at center
-          const minFactor = (game.day <= 2) ? 0.9 : (game.day === 3 ? 0.8 : 0.5); // gentler early-game
-          const slowFactor = 1 - t * (1 - minFactor);
-          tr.speed = tr._origSpeed * slowFactor;
-          modified.push(tr);
-        }
-      }
-      Trains.updateTrains(game, dt);
-      // restore speeds
-      for (const tr of modified){ if (tr._origSpeed!=null){ tr.speed = tr._origSpeed; } }
-      Trains.updateScorePopups(game, dt);
-
-      // Optimize train allocation every 2 seconds
-      if (!loop._lastOptimization || game.gameTime - loop._lastOptimization >= 2000) {
-        game.optimizeTrainAllocation();
-        loop._lastOptimization = game.gameTime;
-      }
-
-      // Update events system (defer in early days)
-      if (game.events) {
-        if ((game.day||1) >= 4) game.events.update(game.gameTime);
-      }
+    if (!game.paused && !game.gameOver && !(editor && editor.isActive())){
+      stepSimulation(game, dt);
 
-      // Update auto-routing system
-      if (game.autoRouting) {
-        game.autoRouting.update();
-        // Keep UI in sync with actual state
-        if (game.frameCount % 60 === 0) { // Update UI every 60 frames (~1 second)
-          updateAutoRoutingToggle();
-        }
+      // Keep UI in sync with auto-routing state
+      if (game.autoRouting && game.frameCount % 60 === 0) { // Update UI every 60 frames (~1 second)
+        updateAutoRoutingToggle();
       }
 
-      // Update queues/overcrowding AFTER trains/allocation/autorouting had a chance to act
-      updatePassengersAndCheckOvercrowding(game, dt);
-
       // Periodic camera adjustment to keep airports visible
       if (!periodicCameraAdjustment._lastCheck || game.gameTime - periodicCameraAdjustment._lastCheck >= 5000) {
         periodicCameraAdjustment();
@@ -665,11 +299,15 @@ function loop(ts){
     if (cameraChanged) hasUpdates = true;
 
     // Render if needed
-    if (game.needsRedraw || hasUpdates) {
+    if (editor && editor.isActive()) {
+      game.needsRedraw = false;
+      clearScreen(ctx, canvas);
+      editor.draw(ctx);
+    } else if (game.needsRedraw || hasUpdates) {
       game.needsRedraw = false;
       clearScreen(ctx, canvas);
       // Draw restricted airspace corridor
-      drawRestrictedAirspace(ctx, game.camera, game.config.thamesPath);
+      drawRestrictedAirspace(ctx, game.camera, getRestrictedZones(game.config), { day: game.day, notamZones: getNotamClosures(game).zones });
       // Weather cells below routes (disabled early)
       drawWeatherCells();
 
@@ -684,6 +322,8 @@ function loop(ts){
       drawPassengerFlowTrails(ctx, game);
 
       drawStationsFinal(ctx, game.camera, game);
+      drawNotamClosures(ctx, game.camera, game);
+      drawStormClosures(ctx, game.camera, game);
 
       // planes
       ctx.save();
@@ -694,6 +334,13 @@ function loop(ts){
         const pos = game.getTrainWorldPosition(tr);
         const line = game.lines[tr.lineId];
         if (!pos || (pos.x === 0 && pos.y === 0)) continue;
+        // Holding short of a storm-closed airport: circle the hold point
+        if (tr.holdPattern) {
+          const a = game.gameTime / 700 + tr.id;
+          const orbit = 14 / game.camera.scale;
+          pos.x += Math.cos(a) * orbit; pos.y += Math.sin(a) * orbit;
+          pos.angle = a + Math.PI / 2;
+        }
         positions.push({ x: pos.x, y: pos.y });
         const color = line ? line.color : '#38bdf8';
         ctx.save();
@@ -704,68 +351,33 @@ function loop(ts){
         const scale = tr.scale || 1;
         const opacity = tr.opacity || 1;
         if (opacity <= 0 || scale <= 0) { ctx.restore(); continue; }
-        ctx.globalAlpha = opacity;
+        const service = maintenanceStatus(game, tr);
+        ctx.globalAlpha = service === 'repair' ? opacity * 0.45 : opacity;
         ctx.scale(scale, scale);
-        ctx.fillStyle = color;
+        ctx.fillStyle = service === 'repair' ? '#6b7280' : color;
         ctx.strokeStyle = '#ffffff';
         ctx.lineWidth = 1.5 / game.camera.scale;
 
-        // Draw plane shape
-        // Fuselage (main body)
-        ctx.beginPath();
-        ctx.ellipse(0, 0, w/2, h/4, 0, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.stroke();
-
-        // Wings (explicit swept polygons so they are clearly visible)
-        // Upper wing
-        ctx.beginPath();
-        ctx.moveTo(-w*0.05, 0);
-        ctx.lineTo(-w*0.42, -h*0.95);
-        ctx.lineTo(w*0.10, -h*0.20);
-        ctx.closePath();
-        ctx.fill();
-        ctx.stroke();
-        // Lower wing (mirror)
-        ctx.beginPath();
-        ctx.moveTo(-w*0.05, 0);
-        ctx.lineTo(-w*0.42, h*0.95);
-        ctx.lineTo(w*0.10, h*0.20);
-        ctx.closePath();
-        ctx.fill();
-        ctx.stroke();
-
-        // Tailplane (horizontal stabilizers)
-        ctx.beginPath();
-        ctx.moveTo(-w*0.40, 0);
-        ctx.lineTo(-w*0.55, -h*0.45);
-        ctx.lineTo(-w*0.25, -h*0.15);
-        ctx.closePath();
-        ctx.fill();
-        ctx.stroke();
-        ctx.beginPath();
-        ctx.moveTo(-w*0.40, 0);
-        ctx.lineTo(-w*0.55, h*0.45);
-        ctx.lineTo(-w*0.25, h*0.15);
-        ctx.closePath();
-        ctx.fill();
-        ctx.stroke();
-
-        // Vertical tail (fin)
-        ctx.beginPath();
-        ctx.moveTo(-w/2, 0);
-        ctx.lineTo(-w/2 + w*0.10, -h*0.50);
-        ctx.lineTo(-w/2 + w*0.18, -h*0.15);
-        ctx.closePath();
-        ctx.fill();
-        ctx.stroke();
+        // Silhouette by aircraft type
+        drawPlaneSilhouette(ctx, tr.type, w, h);
         ctx.restore();
+
+        // Wrench over planes due for (or grounded for) maintenance
+        if (service !== 'ok') {
+          ctx.save();
+          ctx.font = `${11 / game.camera.scale}px sans-serif`;
+          ctx.textAlign = 'center';
+          ctx.globalAlpha = service === 'due' ? 0.7 : 1;
+          ctx.fillText('🔧', pos.x, pos.y - 12 / game.camera.scale);
+          ctx.restore();
+        }
       }
       ctx.restore();
 
       // preview
       drawPreview(ctx, game.camera, preview);
       hud.updateHUD();
+      fleetPanel && fleetPanel.update();
 
       // Update WX count
       try { const wxEl=document.getElementById('wxCount'); if (wxEl) wxEl.textContent = weather.enabled ? weather.cells.length : 0; } catch(e){}
@@ -799,7 +411,7 @@ function loop(ts){
 function roundRect(ctx, x,y,w,h,r){ const rr=Math.min(r, Math.min(w,h)/2); ctx.moveTo(x+rr,y); ctx.arcTo(x+w,y,x+w,y+h,rr); ctx.arcTo(x+w,y+h,x,y+h,rr); ctx.arcTo(x,y+h,x,y,rr); ctx.arcTo(x,y,x+w,y,rr); }
 
 // Init
-resize(); setupAirports(); initWeatherCells();
+resize();
 
 // Initial camera adjustment to fit starting airports
 setTimeout(() => {
@@ -807,28 +419,35 @@ setTimeout(() => {
 }, 500);
 try { const mw=document.getElementById('moduleWarning'); if (mw) mw.style.display='none'; } catch(e){}
 
-// Initialize achievement system
-game.achievements = new AchievementSystem(game);
-
-// Initialize events system
-game.events = new EventSystem(game);
-setWeatherReference(weather);
-
-// Initialize auto-routing system
-game.autoRouting = new AutoRoutingSystem(game);
-
 requestAnimationFrame(loop);
 
 // Initialize enhanced UI systems
 initializeHelpSystem();
 enhanceWeatherVisuals();
 initializeSettingsPanel();
+const savePanel = initSavePanel(game, { onLoaded: onGameLoaded });
+const fleetPanel = initFleetPanel(game);
+initMapPicker(game, { onMapLoaded: onGameLoaded });
+const editor = initMapEditor(canvas, game, { onPlayTest: onGameLoaded });
+if (initialMapError) reportMapError(game, initialMapError);
 
 // Initialize auto-routing toggle state
 setTimeout(() => {
   updateAutoRoutingToggle();
 }, 100);
 
+// Refresh everything that caches derived state after a save is restored
+function onGameLoaded(){
+  try {
+    const dialog = document.getElementById('gameOver');
+    if (dialog) { dialog.classList.remove('show'); dialog.style.display = 'none'; }
+  } catch(e) {}
+  game.updateUndoButton();
+  hud.updateHUD();
+  updateAutoRoutingToggle();
+  adjustCameraToFitAllAirports();
+}
+
 // Enhanced UI and help system
 function initializeHelpSystem() {
   const helpOverlay = document.getElementById('helpOverlay');
@@ -904,9 +523,18 @@ function initializeSettingsPanel() {
     mctMultiplier: document.getElementById('mctMultiplier'),
     hubAndSpoke: document.getElementById('hubAndSpoke'),
     hubBias: document.getElementById('hubBias'),
-    stationInterval: document.getElementById('stationInterval')
+    stationInterval: document.getElementById('stationInterval'),
+    boardingPolicy: document.getElementById('boardingPolicy'),
+    timetableMode: document.getElementById('timetableMode')
   };
 
+  for (const [value, policy] of Object.entries(BOARDING_POLICIES)) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = policy.label;
+    controls.boardingPolicy.appendChild(option);
+  }
+
   // Value display elements
   const valueDisplays = {
     spawnRate: document.getElementById('spawnRateValue'),
@@ -927,6 +555,8 @@ function initializeSettingsPanel() {
     controls.hubAndSpoke.checked = game.config.hubAndSpokeMode !== false;
     controls.hubBias.value = game.config.hubSpokeBias || 1.6;
     controls.stationInterval.value = (game.config.stationSpawnIntervalMs || 53333) / 1000;
+    controls.boardingPolicy.value = getBoardingPolicy(game);
+    controls.timetableMode.checked = isTimetableMode(game);
 
     updateValueDisplays();
     updateHubSpokeToggle();
@@ -951,42 +581,7 @@ function initializeSettingsPanel() {
 
   // Apply difficulty presets
   function applyPreset(preset) {
-    const presets = {
-      easy: {
-        spawnRate: 1.3,
-        maxWaitTime: 300,
-        mctMultiplier: 0.3,
-        hubAndSpoke: true,
-        hubBias: 2.2,
-        stationInterval: 75
-      },
-      normal: {
-        spawnRate: 0.85,
-        maxWaitTime: 200,
-        mctMultiplier: 0.5,
-        hubAndSpoke: true,
-        hubBias: 1.6,
-        stationInterval: 53
-      },
-      hard: {
-        spawnRate: 0.6,
-        maxWaitTime: 150,
-        mctMultiplier: 0.8,
-        hubAndSpoke: false,
-        hubBias: 1.2,
-        stationInterval: 40
-      },
-      insane: {
-        spawnRate: 0.4,
-        maxWaitTime: 120,
-        mctMultiplier: 1.2,
-        hubAndSpoke: false,
-        hubBias: 1.0,
-        stationInterval: 30
-      }
-    };
-
-    const config = presets[preset];
+    const config = DIFFICULTY_PRESETS[preset];
     if (config) {
       controls.spawnRate.value = config.spawnRate;
       controls.maxWaitTime.value = config.maxWaitTime;
@@ -1014,12 +609,16 @@ function initializeSettingsPanel() {
 
   // Apply settings to game config
   function applySettingsToGame() {
-    game.config.spawnIntervalMultiplier = parseFloat(controls.spawnRate.value);
-    game.config.maxWaitSeconds = parseInt(controls.maxWaitTime.value);
-    game.config.mctMultiplier = parseFloat(controls.mctMultiplier.value);
-    game.config.hubAndSpokeMode = controls.hubAndSpoke.checked;
-    game.config.hubSpokeBias = parseFloat(controls.hubBias.value);
-    game.config.stationSpawnIntervalMs = parseInt(controls.stationInterval.value) * 1000;
+    Object.assign(game.config, settingsToConfig({
+      spawnRate: parseFloat(controls.spawnRate.value),
+      maxWaitTime: parseInt(controls.maxWaitTime.value),
+      mctMultiplier: parseFloat(controls.mctMultiplier.value),
+      hubAndSpoke: controls.hubAndSpoke.checked,
+      hubBias: parseFloat(controls.hubBias.value),
+      stationInterval: parseInt(controls.stationInterval.value),
+      boardingPolicy: controls.boardingPolicy.value,
+      timetableMode: controls.timetableMode.checked
+    }));
 
     // Show confirmation toast
     const difficultyLevel =
@@ -1115,6 +714,11 @@ document.addEventListener('keydown', (e) => {
       game.showToast && game.showToast(`Auto-routing ${status}`);
     }
   }
+  if ((e.key === 'f' || e.key === 'F') && !e.ctrlKey && !e.metaKey) {
+    e.preventDefault();
+    fleetPanel && fleetPanel.toggle();
+  }
+  if (e.key === 'Escape' && fleetPanel && fleetPanel.isOpen()) fleetPanel.toggle(false);
   if (e.key === 'd' || e.key === 'D') {
     e.preventDefault();
     game.debugPassengerFlow = !game.debugPassengerFlow;
@@ -1139,25 +743,15 @@ window.Lines = Lines;
       if (game.linesAvailable <= 0) return false;
       const A = game.stations[aIdx], B = game.stations[bIdx];
       if (!A || !B) return false;
-      const crosses = (game.config.thamesPolygon && game.config.thamesPolygon.length >= 3) ?
-        (function(){
-          const poly = game.config.thamesPolygon;
-          function segSeg(p,q,r,s){
-            function orient(a,b,c){ const v=(b.y-a.y)*(c.x-b.x) - (b.x-a.x)*(c.y-b.y); if (Math.abs(v)<1e-9) return 0; return v>0?1:2; }
-            function onSeg(a,b,c){ return Math.min(a.x,c.x)-1e-9<=b.x && b.x<=Math.max(a.x,c.x)+1e-9 && Math.min(a.y,c.y)-1e-9<=b.y && b.y<=Math.max(a.y,c.y)+1e-9; }
-            const o1=orient(p,q,r), o2=orient(p,q,s), o3=orient(r,s,p), o4=orient(r,s,q);
-            if (o1!==o2 && o3!==o4) return true; if (o1===0 && onSeg(p,r,q)) return true; if (o2===0 && onSeg(p,s,q)) return true; if (o3===0 && onSeg(r,p,s)) return true; if (o4===0 && onSeg(r,q,s)) return true; return false;
-          }
-          for (let i=0;i<poly.length;i++){ const C=poly[i], D=poly[(i+1)%poly.length]; if (segSeg(A,B,C,D)) return true; } return false;
-        })() : false;
-      if (crosses && (game.tunnels||0) <= 0) return false;
+      const crossing = checkRestrictedCrossings(game, [[A, B]]);
+      if (!crossing.ok) { game.showToast(crossing.message); return false; }
       const line = Lines.createLine(game, [aIdx, bIdx], game.selectedLineColorIndex);
       if (!line) return false;
       Lines.rebuildWaypointsForLine(game, line);
       game.calculateLineLength(line);
       game.createTrain(line.id);
       if (game.trainsAvailable>0) game.trainsAvailable--; game.linesAvailable--;
-      if (crosses) game.tunnels = Math.max(0, (game.tunnels||0)-1);
+      spendPermits(game, crossing);
       hud.updateHUD();
       return true;
     } catch (e) { console.error('createLineAB failed', e); return false; }
@@ -1165,6 +759,13 @@ window.Lines = Lines;
   removeLine: (id) => game.removeLine(id),
   insertStation: (lineId, stationIdx, pos) => Lines.addStationToLine(game, lineId, stationIdx, pos),
 
+  // Save/load helpers (slot defaults to the quick save slot)
+  saveGame: (slot) => !!saveToSlot(game, slot),
+  loadGame: (slot) => { const ok = !!loadFromSlot(game, slot); if (ok) onGameLoaded(); return ok; },
+  exportSave: () => JSON.stringify(serializeGame(game)),
+  importSave: (json) => { deserializeGame(game, json); onGameLoaded(); return true; },
+  openSaves: () => savePanel && savePanel.show(),
+
   // Quick tuning helpers (DevTools):
   setSpawnMultiplier: (m=1) => { game.config.spawnIntervalMultiplier = Math.max(0.1, m); game.showToast && game.showToast(`Spawn interval x${m.toFixed(2)}`); },
   setStationSpawnInterval: (ms=40000) => { game.config.stationSpawnIntervalMs = Math.max(1000, ms); game.showToast && game.showToast(`Station spawn ${ms}ms`); },
@@ -1172,182 +773,51 @@ window.Lines = Lines;
   setMCTMultiplier: (m=1) => { game.config.mctMultiplier = Math.max(0.1, m); game.showToast && game.showToast(`MCT x${m.toFixed(2)}`); },
   setMaxWaitSeconds: (s=200) => { game.config.maxWaitSeconds = Math.max(10, s); game.showToast && game.showToast(`Max wait ${s}s`); },
   setMissedConnectionMultiplier: (m=1.5) => { game.config.missedConnectionMultiplier = Math.max(1, m); game.showToast && game.showToast(`MissedConn x${m.toFixed(2)}`); },
+  // Announce a NOTAM: MM.scheduleNotam({ kind: 'airport'|'zone'|'corridor', inHours: 2, hours: 6 })
+  scheduleNotam: ({ kind = null, inHours = 0, hours = null } = {}) => {
+    const params = planNotam(game, { kind, hours });
+    if (!params) { game.showToast('Nothing to close'); return null; }
+    return game.events.scheduleEvent('notam', game.gameTime + inHours * gameHourMs(game), params);
+  },
   setDebugLogs: (on=false) => { game.debugLogs = !!on; game.showToast && game.showToast(`Debug logs ${on?'ON':'OFF'}`); },
+  setTimetableMode: (on=true) => { game.config.timetableMode = !!on; game.showToast && game.showToast(`Timetable mode ${on?'ON':'OFF'}`); },
+  // Departure interval for one route in timetable mode (null: automatic); never below one round trip per plane
+  setDepartureInterval: (lineId, seconds=null) => {
+    const line = game.lines.find(l => l && l.id === lineId);
+    if (!line) return null;
+    line.departureIntervalMs = seconds == null ? null : Math.round(seconds * 1000);
+    return departureIntervalMs(game, line) / 1000;
+  },
+  // Service pattern of one plane on a route: 'all' | 'express' | 'custom' (custom: airport indices to stop at)
+  setServicePattern: (lineId, plane = 0, kind = 'express', stops = []) => {
+    const line = game.lines.find(l => l && l.id === lineId);
+    const train = line && game.trains.find(t => t && t.id === line.trains[plane]);
+    return !!train && setTrainPattern(game, train, kind, stops);
+  },
+  // Spare plane of one type for the hangar: 'turboprop' | 'narrowbody' | 'widebody' | 'cargo'
+  addAircraft: (type = 'widebody') => {
+    if (!AIRCRAFT_TYPES[type]) return false;
+    addAircraft(game, type);
+    hud.updateHUD();
+    return true;
+  },
+  // Fix a route's plane count (null: back to automatic allocation)
+  pinLine: (lineId, count = null) => setLinePin(game, lineId, count),
+  // What the plane optimizer sees: [{ lineId, demand, priority, current, target, pinned }]
+  allocationStats: () => lineAllocationStats(game).map(s => ({
+    lineId: s.line.id, demand: s.demand, priority: Math.round(s.priority),
+    current: s.currentTrains, target: s.desiredTrains, pinned: s.pinned
+  })),
+  // Distance between maintenance checks in map units (0: off)
+  setMaintenanceInterval: (units = 3000) => { game.config.maintenanceInterval = Math.max(0, units) * (game.config.worldScale || 1); game.showToast && game.showToast(units > 0 ? `Maintenance every ${units} units` : 'Maintenance OFF'); },
+  // Routing table cache: { hits, misses, rebuilds, revision, destinations, hitRate }
+  routingStats: () => game.routing ? game.routing.getStats() : null,
 
   // Headless simulation helper: simulate N weeks without rendering
   // Usage in console: await MM.simulateWeeks(20, { log: true })
-  simulateWeeks: async (weeks = 20, opts = {}) => {
-    const log = opts.log ?? true;
-    const dt = opts.dt ?? 50; // ms per step
-    const maxMs = weeks * game.config.weekLength;
-    let nextSpawn = null;
-    let lastOpt = 0;
-    let simPrevWeek = Math.floor((game.gameTime || 0) / game.config.weekLength);
-
-    // Ensure auto-routing assists during simulation and acts immediately
-    try {
-      if (game.autoRouting) {
-        game.autoRouting.enabled = true;
-        game.autoRouting.lastAutoAction = -1e9; // trigger immediately
-        game.autoRouting.actionCooldown = Math.min(game.autoRouting.actionCooldown || 8000, 1500);
-        // Try an immediate auto action to bootstrap routes if none exist
-        if (typeof game.autoRouting.performAutoActions === 'function' && game.lines.length === 0 && game.linesAvailable > 0) {
-          game.autoRouting.performAutoActions();
-        }
-      }
-    } catch(e){}
-
-    const summarize = () => {
-      const waiting = game.stations.reduce((s, st) => s + ((st && st.queue) ? st.queue.length : 0), 0);
-      const overcrowded = game.stations.filter(s => s && s.isOvercrowded).length;
-      const trains = game.trains.length;
-      const lines = game.lines.length;
-      const finals = (game.finalDeliveries || 0);
-      const avgFinalMs = finals > 0 ? Math.round((game.totalFinalDeliveryTime || 0) / finals) : 0;
-      return { day: game.day, score: game.score, waiting, overcrowded, trains, lines, finals, avgFinalMs };
-    };
-    let maxWaiting = 0;
-    let maxOvercrowded = 0;
-    let firstRouteAtMs = null;
-
-    const applyRewardHeadless = (type) => {
-      if (type === 'line') game.linesAvailable++;
-      else if (type === 'carriage') {
-        game.carriages = (game.carriages||0) + 1;
-        const tr = game.trains[Math.floor(Math.random()*Math.max(1, game.trains.length))];
-        if (tr) tr.capacity += 2;
-      }
-      else if (type === 'tunnel') game.tunnels = (game.tunnels||0) + 1;
-      else if (type === 'speed') game.trains.forEach(tr => tr.speed *= 1.2);
-      else if (type === 'hub_upgrade') {
-        const eligible = game.stations.filter(s => s && !s.isInterchange && !s.isFinal);
-        if (eligible.length > 0){ const t = eligible[Math.floor(Math.random()*eligible.length)]; t.isInterchange = true; t.mctMs = Math.round((t.mctMs||12000)*0.8); }
-      }
-      else if (type === 'final_express'){
-        game.finalExpressActive = true;
-        for (const line of game.lines) {
-          if (line.stations.some(si => game.stations[si] && game.stations[si].isFinal)) {
-            for (const trainId of line.trains) { const train = game.trains.find(t => t.id === trainId); if (train) train.speed *= 1.5; }
-          }
-        }
-      }
-      // Re-optimize right after reward
-      try { game.optimizeTrainAllocation && game.optimizeTrainAllocation(); } catch(_){}
-    };
-
-    const pickReward = () => {
-      const waiting = game.stations.reduce((s, st) => s + ((st && st.queue) ? st.queue.length : 0), 0);
-      const day = game.day || 1;
-      const linesCount = game.lines.length;
-      // Prefer more route capacity in early game and under load
-      if (day <= 3 || waiting > 35 || linesCount < 4) return 'line';
-      if (waiting > 25) return 'carriage';
-      if (game.trains.length < Math.max(2, linesCount)) return 'speed';
-      const nonHubs = game.stations.filter(s => s && !s.isFinal && !s.isInterchange);
-      if (nonHubs.length > 5) return 'hub_upgrade';
-      return 'speed';
-    };
-
-    const startTime = game.gameTime;
-    while (!game.gameOver && (game.gameTime - startTime) < maxMs) {
-      // Time step
-      game.prevGameTime = game.gameTime; game.gameTime += dt;
-
-      // Week rollover handling
-      const prevWeek = simPrevWeek;
-      const nowWeek = Math.floor(game.gameTime / game.config.weekLength);
-      if (nowWeek > prevWeek) {
-        simPrevWeek = nowWeek;
-        game.day++; game.trainsAvailable++;
-        const reward = pickReward();
-        applyRewardHeadless(reward);
-        if (log) console.log('[Week]', nowWeek, summarize(), 'Reward:', reward);
-      }
-
-      // Spawn demand (mirrors main loop scheduling)
-      if (nextSpawn == null || game.gameTime >= nextSpawn){
-        spawnPassenger(game);
-        const base = game.config.spawnInterval;
-        const diff = Math.max(0.55, 1 - (game.day-1)*0.04);
-        const jitter = (Math.random()*700 - 350);
-        const waitingTotal = game.stations.reduce((s, st) => s + ((st && st.queue) ? st.queue.length : 0), 0);
-        const congestion = Math.min(1, waitingTotal / 36);
-        const congestionFactor = 1 + 2.2 * congestion;
-        const intervalMult = game.config.spawnIntervalMultiplier || 1;
-        nextSpawn = game.gameTime + Math.max(1200, (base*diff + jitter) * congestionFactor * intervalMult);
-      }
-
-      // Time-based airport spawning
-      checkAirportSpawning();
-
-      // Update queues/overcrowding
-      updatePassengersAndCheckOvercrowding(game, dt);
-      if (game.gameOver) break;
-
-      // Metrics tracking
-      const snap = summarize();
-      maxWaiting = Math.max(maxWaiting, snap.waiting);
-      maxOvercrowded = Math.max(maxOvercrowded, snap.overcrowded);
-      if (firstRouteAtMs == null && snap.lines > 0) firstRouteAtMs = game.gameTime - startTime;
-
-      // Weather motion
-      updateWeather(dt);
-
-      // Weather slowdowns while updating trains
-      const modified=[];
-      for (const tr of game.trains){
-        const pos = game.getTrainWorldPosition(tr);
-        if (!pos) continue;
-        const cell = isInWeather(pos.x, pos.y);
-        if (cell){
-          tr._origSpeed = (tr._origSpeed == null) ? tr.speed : Math.max(tr._origSpeed, tr.speed);
-          const dx = pos.x - cell.x, dy = pos.y - cell.y;
-          const dist = Math.hypot(dx, dy);
-          const t = Math.max(0, 1 - dist / cell.r);
-          const minFactor = (game.day <= 2) ? 0.9 : (game.day === 3 ? 0.8 : 0.5);
-          const slowFactor = 1 - t * (1 - minFactor);
-          tr.speed = tr._origSpeed * slowFactor; modified.push(tr);
-        }
-      }
-      Trains.updateTrains(game, dt);
-      for (const tr of modified){ if (tr._origSpeed!=null){ tr.speed = tr._origSpeed; } }
-      Trains.updateScorePopups(game, dt);
-
-      // Periodic train allocation
-      if (game.gameTime - lastOpt >= 3000) { game.optimizeTrainAllocation(); lastOpt = game.gameTime; }
-
-      // Events and auto-routing (defer events early)
-      if (game.events && ((game.day||1) >= 4)) game.events.update(game.gameTime);
-      if (game.autoRouting) game.autoRouting.update();
-
-      // Ensure every line has at least one train when available
-      for (const line of game.lines) {
-        if (!line) continue;
-        if ((((line.trains && line.trains.length) || 0) === 0) && game.trainsAvailable > 0) {
-          const t = game.createTrain(line.id);
-          if (t) game.trainsAvailable--;
-        }
-      }
-
-      // Update queues/overcrowding AFTER trains/allocation/autorouting had a chance to act
-      updatePassengersAndCheckOvercrowding(game, dt);
-      if (game.gameOver) break;
-
-      // Yield occasionally for UI responsiveness
-      if (opts.yieldEveryMs && ((game.gameTime - startTime) % opts.yieldEveryMs) < dt) await new Promise(r=> setTimeout(r, 0));
-    }
-
-    const summary = summarize();
-    const weeksSimulated = Math.floor((game.gameTime - startTime) / game.config.weekLength);
-    const linesBuilt = summary.lines;
-    const feasible = !game.gameOver && linesBuilt > 0 && maxOvercrowded <= 6 && summary.waiting <= 60;
-    const report = { ...summary, weeksSimulated, linesBuilt, maxWaiting, maxOvercrowded, firstRouteAtMs, feasible, gameOver: game.gameOver };
-    if (log) console.log('[Simulation Complete]', report);
-    return report;
-  }
+  simulateWeeks: (weeks = 20, opts = {}) => simulateWeeks(game, weeks, opts)
 };
 
-// Time-based airport spawning
 // FIXED PASSENGER FLOW VISUALIZATION - efficient and correct implementation
 function drawPassengerFlowTrails(ctx, game) {
   if (!game.finalFlowParticles) game.finalFlowParticles = [];
@@ -1607,30 +1077,3 @@ function drawRouteEfficiencyIndicators(ctx, game) {
 
   ctx.restore();
 }
-
-function checkAirportSpawning(){
-  // Steady, interval-based airport spawning with small jitter
-  if (!checkAirportSpawning._last) checkAirportSpawning._last = -Infinity;
-  const now = game.gameTime; const gap = game.config.minStationSpawnGapMs;
-  const initDelay = game.config.stationSpawnInitialDelayMs || 20000;
-  const baseInterval = game.config.stationSpawnIntervalMs || 40000;
-  const jitterMs = (game.config.stationSpawnJitterMs == null) ? 5000 : game.config.stationSpawnJitterMs;
-
-  if (!checkAirportSpawning._next){
-    checkAirportSpawning._next = now + initDelay;
-  }
-
-  if (now >= checkAirportSpawning._next){
-    // Respect minimum gap and available catalog
-    if (now - checkAirportSpawning._last >= gap && game.availableCatalog && game.availableCatalog.length > 0){
-      addNewAirport();
-      checkAirportSpawning._last = now;
-    }
-    // Schedule next spawn time
-    const jitter = Math.max(-jitterMs, Math.min(jitterMs, (Math.random()*2 - 1) * jitterMs));
-    // Ensure the next time also respects min gap
-    const earliest = checkAirportSpawning._last + gap;
-    const proposed = now + baseInterval + jitter;
-    checkAirportSpawning._next = Math.max(earliest, proposed);
-  }
-}
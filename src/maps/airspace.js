@@ -37,11 +37,30 @@ export const AIRSPACE_CONFIG = {
   initialLines: 6, // Slightly more routes to stabilize Day 1–2
   maxLines: 12,
   initialTrains: 9, // More initial planes to handle demand
+  initialTunnels: 2, // permits to cross restricted airspace
+  initialCarriages: 0,
+  initialAirportCount: 6,
+  weatherCellCount: 3, // cells on day 1; one more every 3 days
+  weatherMaxCells: 8,
+  weatherForecastHours: [2, 4, 6], // forecast layer: where cells will be this many hours ahead
+  weatherClosureSeverity: 0.45, // storm strength (depth x intensity) that closes an airport under it
+  weatherHoldMs: 6000, // holding pattern short of a storm-closed airport before diverting
   trainSpeed: 0.085, // Faster for better throughput
   defaultMCT: 10000,
   // Multiplier to scale all Minimum Connection Times globally (0.5 halves MCT)
   mctMultiplier: 0.5,
   defaultTurnaroundMs: 500,
+  routingRefreshMs: 5000, // check this often whether weather or crowding re-timed routes (game ms)
+  // Boarding when a plane can't take everyone: fifo | longestWait | vip | direct | fewestLegs
+  boardingPolicy: 'fifo',
+  crowdingPenalty: 1, // extra headways of expected wait on routes whose planes always leave full
+  timetableMode: false, // planes leave each route's first airport on a fixed interval
+  // Maintenance: planes need a check at a hub or final airport every
+  // maintenanceInterval world units flown (0: off); overdue planes are grounded
+  maintenanceInterval: 3000,
+  maintenanceDueShare: 0.75, // share of the interval after which a plane is due
+  maintenanceCheckMs: 2500, // extra stop time for a check at a hub or final
+  maintenanceRepairMs: 20000, // out of service when overdue
   shapes: ['circle','triangle','square','diamond'],
   passengerColors: { circle: '#38bdf8', triangle: '#f97316', square:'#22c55e', diamond:'#a78bfa' },
   minScale: 0.35,
@@ -60,6 +79,8 @@ export const AIRSPACE_CONFIG = {
 
     // Pathfinding weights
     bundlingBonus: 0.4,       // cost reduction for shared corridors
+    weatherPenalty: 2,        // extra cost per hex inside a weather cell
+    permitPenalty: 6,         // extra cost per permit when a route has to cross a zone
     hubApproachAngles: 12,    // number of approach angles (30° each)
 
     // Rendering
@@ -112,5 +133,6 @@ export const AIRSPACE_CONFIG = {
   ],
 
   // Route color palette
-  lineColors: [ '#0EA5A3', '#2563EB', '#F59E0B', '#EF4444', '#8B5CF6', '#10B981', '#F472B6' ]
+  lineColors: [ '#0EA5A3', '#2563EB', '#F59E0B', '#EF4444', '#8B5CF6', '#10B981', '#F472B6' ],
+  lineColorNames: [ 'Teal', 'Blue', 'Amber', 'Red', 'Violet', 'Green', 'Pink' ]
 };
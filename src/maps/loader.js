@@ -0,0 +1,251 @@
+// JSON map files: validation and conversion to a game config.
+// The format is documented in MAP_FORMAT.md. Coordinates are unscaled world
+// units (the same space as AIRSPACE_CONFIG); makeScaledConfig applies worldScale.
+
+import { AIRSPACE_CONFIG } from './airspace.js';
+import { scalePathString } from './scale.js';
+import { getRestrictedZones } from '../systems/airspace.js';
+import { validateEventDefs } from '../systems/event_defs.js';
+
+export const MAP_FORMAT = 'flightcontrol-map';
+export const MAP_VERSION = 1;
+export const MAP_SHAPES = ['circle', 'triangle', 'square', 'diamond'];
+export const RUNWAYS = ['small', 'large'];
+
+const INVENTORY_KEYS = { lines: 'initialLines', planes: 'initialTrains', permits: 'initialTunnels', carriages: 'initialCarriages' };
+// Keys a map's "config" block may not override (they come from the map itself)
+const RESERVED_CONFIG_KEYS = ['londonStations', 'restrictedZones', 'weatherRegions', 'thamesPath', 'thamesPolygon', 'events'];
+
+const isObject = (v) => v != null && typeof v === 'object' && !Array.isArray(v);
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+function readPoint(p){
+  if (Array.isArray(p) && p.length === 2 && isNum(p[0]) && isNum(p[1])) return { x: p[0], y: p[1] };
+  if (isObject(p) && isNum(p.x) && isNum(p.y)) return { x: p.x, y: p.y };
+  return null;
+}
+
+// Returns a list of human-readable problems; empty when the map is usable
+export function validateMap(map){
+  const errors = [];
+  const err = (path, msg) => errors.push(`${path}: ${msg}`);
+  if (!isObject(map)) return ['map: expected a JSON object'];
+
+  if (map.format !== undefined && map.format !== MAP_FORMAT) err('format', `expected "${MAP_FORMAT}", got ${JSON.stringify(map.format)}`);
+  if (map.version !== undefined && map.version !== MAP_VERSION) err('version', `unsupported version ${JSON.stringify(map.version)} (this build reads ${MAP_VERSION})`);
+  if (map.name !== undefined && typeof map.name !== 'string') err('name', 'must be a string');
+  if (map.worldScale !== undefined && !(isNum(map.worldScale) && map.worldScale > 0)) err('worldScale', 'must be a positive number');
+
+  if (!Array.isArray(map.airports)) {
+    err('airports', 'required, must be an array');
+  } else {
+    if (map.airports.length < 2) err('airports', `need at least 2 airports, got ${map.airports.length}`);
+    const names = new Set();
+    map.airports.forEach((a, i) => {
+      const at = `airports[${i}]`;
+      if (!isObject(a)) { err(at, 'must be an object'); return; }
+      if (typeof a.name !== 'string' || !a.name.trim()) err(`${at}.name`, 'required, must be a non-empty string');
+      else if (names.has(a.name)) err(`${at}.name`, `duplicate airport name "${a.name}"`);
+      else names.add(a.name);
+      if (!isNum(a.x)) err(`${at}.x`, 'required, must be a number');
+      if (!isNum(a.y)) err(`${at}.y`, 'required, must be a number');
+      if (!MAP_SHAPES.includes(a.shape)) err(`${at}.shape`, `must be one of ${MAP_SHAPES.join(', ')}, got ${JSON.stringify(a.shape)}`);
+      if (a.zone !== undefined && typeof a.zone !== 'string') err(`${at}.zone`, 'must be a string');
+      for (const flag of ['isFinal', 'isInterchange']){
+        if (a[flag] !== undefined && typeof a[flag] !== 'boolean') err(`${at}.${flag}`, 'must be true or false');
+      }
+      for (const ms of ['mctMs', 'turnaroundMs']){
+        if (a[ms] !== undefined && !(isNum(a[ms]) && a[ms] >= 0)) err(`${at}.${ms}`, 'must be a number >= 0');
+      }
+      if (a.runway !== undefined && !RUNWAYS.includes(a.runway)) err(`${at}.runway`, `must be one of ${RUNWAYS.join(', ')}, got ${JSON.stringify(a.runway)}`);
+    });
+    if (map.airports.length && !map.airports.some(a => isObject(a) && a.isFinal)) err('airports', 'at least one airport must have "isFinal": true');
+  }
+
+  if (map.restrictedZones !== undefined){
+    if (!Array.isArray(map.restrictedZones)) err('restrictedZones', 'must be an array');
+    else map.restrictedZones.forEach((z, i) => {
+      const at = `restrictedZones[${i}]`;
+      if (!isObject(z)) { err(at, 'must be an object'); return; }
+      if (z.name !== undefined && typeof z.name !== 'string') err(`${at}.name`, 'must be a string');
+      if (!Array.isArray(z.polygon) || z.polygon.length < 3) err(`${at}.polygon`, 'required, needs at least 3 points');
+      else z.polygon.forEach((p, j) => { if (!readPoint(p)) err(`${at}.polygon[${j}]`, 'must be [x, y] or {"x": .., "y": ..}'); });
+      if (z.path !== undefined && typeof z.path !== 'string') err(`${at}.path`, 'must be an SVG path string');
+      if (z.permitCost !== undefined && !(Number.isInteger(z.permitCost) && z.permitCost >= 0)) err(`${at}.permitCost`, 'must be a whole number >= 0');
+      if (z.forbidden !== undefined && typeof z.forbidden !== 'boolean') err(`${at}.forbidden`, 'must be true or false');
+      if (z.closedDays !== undefined){
+        if (!Array.isArray(z.closedDays)) err(`${at}.closedDays`, 'must be an array of days or [from, to] ranges');
+        else z.closedDays.forEach((d, j) => {
+          const ok = Number.isInteger(d) || (Array.isArray(d) && d.length === 2 && d.every(Number.isInteger) && d[0] <= d[1]);
+          if (!ok) err(`${at}.closedDays[${j}]`, 'must be a day number or a [from, to] range');
+        });
+      }
+      if (z.style !== undefined){
+        if (!isObject(z.style)) err(`${at}.style`, 'must be an object');
+        else {
+          if (z.style.color !== undefined && typeof z.style.color !== 'string') err(`${at}.style.color`, 'must be a CSS color string');
+          if (z.style.opacity !== undefined && !(isNum(z.style.opacity) && z.style.opacity >= 0 && z.style.opacity <= 1)) err(`${at}.style.opacity`, 'must be a number from 0 to 1');
+          if (z.style.dashed !== undefined && typeof z.style.dashed !== 'boolean') err(`${at}.style.dashed`, 'must be true or false');
+        }
+      }
+    });
+  }
+
+  if (map.weatherRegions !== undefined){
+    if (!Array.isArray(map.weatherRegions)) err('weatherRegions', 'must be an array');
+    else map.weatherRegions.forEach((r, i) => {
+      const at = `weatherRegions[${i}]`;
+      if (!isObject(r)) { err(at, 'must be an object'); return; }
+      for (const k of ['x', 'y']) if (!isNum(r[k])) err(`${at}.${k}`, 'required, must be a number');
+      for (const k of ['w', 'h']) if (!(isNum(r[k]) && r[k] > 0)) err(`${at}.${k}`, 'required, must be a positive number');
+      if (r.weight !== undefined && !(isNum(r.weight) && r.weight >= 0)) err(`${at}.weight`, 'must be a number >= 0');
+    });
+  }
+  if (map.weatherCellCount !== undefined && !(Number.isInteger(map.weatherCellCount) && map.weatherCellCount >= 0)) err('weatherCellCount', 'must be a whole number >= 0');
+
+  if (map.inventory !== undefined){
+    if (!isObject(map.inventory)) err('inventory', 'must be an object');
+    else for (const [k, v] of Object.entries(map.inventory)){
+      if (!(k in INVENTORY_KEYS)) err(`inventory.${k}`, `unknown item (have: ${Object.keys(INVENTORY_KEYS).join(', ')})`);
+      else if (!(Number.isInteger(v) && v >= 0)) err(`inventory.${k}`, 'must be a whole number >= 0');
+    }
+  }
+  if (map.initialAirportCount !== undefined && !(Number.isInteger(map.initialAirportCount) && map.initialAirportCount >= 1)) err('initialAirportCount', 'must be a whole number >= 1');
+
+  if (map.palette !== undefined){
+    if (!Array.isArray(map.palette) || map.palette.length === 0) err('palette', 'must be a non-empty array of CSS colors');
+    else map.palette.forEach((c, i) => { if (typeof c !== 'string') err(`palette[${i}]`, 'must be a CSS color string'); });
+  }
+
+  if (map.events !== undefined) errors.push(...validateEventDefs(map.events));
+
+  if (map.config !== undefined){
+    if (!isObject(map.config)) err('config', 'must be an object');
+    else for (const k of Object.keys(map.config)){
+      if (RESERVED_CONFIG_KEYS.includes(k)) err(`config.${k}`, 'set by the map itself, not allowed here');
+      else if (!(k in AIRSPACE_CONFIG)) err(`config.${k}`, 'unknown config key');
+    }
+  }
+  return errors;
+}
+
+// Parse + validate; throws one Error listing every problem
+export function parseMap(input){
+  let map = input;
+  if (typeof input === 'string'){
+    try { map = JSON.parse(input); }
+    catch (e) { throw new Error(`Invalid map: not valid JSON (${e.message})`); }
+  }
+  const errors = validateMap(map);
+  if (errors.length) throw new Error(`Invalid map:\n- ${errors.join('\n- ')}`);
+  return map;
+}
+
+// Optional per-zone fields carried between maps and configs as-is
+function zoneRuleFields(z){
+  const out = {};
+  if (z.path) out.path = z.path;
+  if (z.permitCost != null) out.permitCost = z.permitCost;
+  if (z.forbidden) out.forbidden = true;
+  if (Array.isArray(z.closedDays) && z.closedDays.length) out.closedDays = z.closedDays.map(d => Array.isArray(d) ? [...d] : d);
+  if (z.style) out.style = { ...z.style };
+  return out;
+}
+
+// Build an (unscaled) game config from a validated map
+export function mapToConfig(map, base = AIRSPACE_CONFIG){
+  const cfg = { ...base, ...(map.config || {}) };
+  if (map.worldScale) cfg.worldScale = map.worldScale;
+  cfg.mapName = map.name || 'Custom map';
+  cfg.londonStations = map.airports.map(a => ({
+    name: a.name,
+    x: a.x,
+    y: a.y,
+    shape: a.shape,
+    zone: a.zone || 'central',
+    ...(a.isFinal ? { isFinal: true } : {}),
+    ...(a.isInterchange ? { isInterchange: true } : {}),
+    ...(a.mctMs != null ? { mctMs: a.mctMs } : {}),
+    ...(a.turnaroundMs != null ? { turnaroundMs: a.turnaroundMs } : {}),
+    ...(a.runway ? { runway: a.runway } : {})
+  }));
+  cfg.restrictedZones = (map.restrictedZones || []).map((z, i) => ({
+    name: z.name || `Zone ${i + 1}`,
+    polygon: z.polygon.map(readPoint),
+    ...zoneRuleFields(z)
+  }));
+  // Legacy single-corridor keys are superseded by restrictedZones
+  cfg.thamesPath = null;
+  cfg.thamesPolygon = null;
+  if (map.weatherRegions) cfg.weatherRegions = map.weatherRegions.map(r => ({ x: r.x, y: r.y, w: r.w, h: r.h, weight: r.weight ?? 1 }));
+  else delete cfg.weatherRegions;
+  if (map.weatherCellCount != null) cfg.weatherCellCount = map.weatherCellCount;
+  // Events on top of the built-in ones (event_defs.js)
+  if (map.events) cfg.events = JSON.parse(JSON.stringify(map.events));
+  else delete cfg.events;
+  for (const [k, key] of Object.entries(INVENTORY_KEYS)){
+    if (map.inventory && map.inventory[k] != null) cfg[key] = map.inventory[k];
+  }
+  if (map.initialAirportCount != null) cfg.initialAirportCount = map.initialAirportCount;
+  if (map.palette){
+    cfg.lineColors = [...map.palette];
+    // Built-in color names don't describe a custom palette
+    delete cfg.lineColorNames;
+  }
+  return cfg;
+}
+
+// Inverse of mapToConfig for a live (scaled) game config; used by the editor's export
+export function configToMap(config, { name = config.mapName || 'Untitled map', description } = {}){
+  const S = config.worldScale || 1;
+  const un = (v) => Math.round(v / S * 10) / 10;
+  const map = {
+    format: MAP_FORMAT,
+    version: MAP_VERSION,
+    name,
+    ...(description ? { description } : {}),
+    worldScale: S,
+    airports: (config.londonStations || []).map(a => ({
+      name: a.name,
+      x: un(a.x),
+      y: un(a.y),
+      shape: a.shape,
+      zone: a.zone || 'central',
+      ...(a.isFinal ? { isFinal: true } : {}),
+      ...(a.isInterchange ? { isInterchange: true } : {}),
+      ...(a.mctMs != null ? { mctMs: a.mctMs } : {}),
+      ...(a.turnaroundMs != null ? { turnaroundMs: a.turnaroundMs } : {}),
+      ...(a.runway ? { runway: a.runway } : {})
+    })),
+    restrictedZones: getRestrictedZones(config).map(z => ({
+      name: z.name,
+      polygon: z.polygon.map(p => [un(p.x), un(p.y)]),
+      ...zoneRuleFields(z),
+      ...(z.path ? { path: scalePathString(z.path, 1 / S) } : {})
+    })),
+    inventory: {
+      lines: config.initialLines,
+      planes: config.initialTrains,
+      permits: config.initialTunnels ?? 2,
+      carriages: config.initialCarriages ?? 0
+    },
+    initialAirportCount: config.initialAirportCount ?? 6,
+    weatherCellCount: config.weatherCellCount ?? 3
+  };
+  if (Array.isArray(config.weatherRegions)){
+    map.weatherRegions = config.weatherRegions.map(r => ({ x: un(r.x), y: un(r.y), w: un(r.w), h: un(r.h), weight: r.weight ?? 1 }));
+  }
+  // Only a custom palette: exporting the built-in one would drop its color names on load
+  const builtIn = AIRSPACE_CONFIG.lineColors;
+  if (Array.isArray(config.lineColors) && (config.lineColors.length !== builtIn.length || config.lineColors.some((c, i) => c !== builtIn[i]))){
+    map.palette = [...config.lineColors];
+  }
+  if (Array.isArray(config.events) && config.events.length) map.events = JSON.parse(JSON.stringify(config.events));
+  return map;
+}
+
+export async function loadMapFromUrl(url){
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Could not fetch map ${url} (HTTP ${res.status})`);
+  return parseMap(await res.text());
+}
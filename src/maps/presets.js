@@ -0,0 +1,55 @@
+// Difficulty presets, in settings-panel units (stationInterval is seconds)
+export const DIFFICULTY_PRESETS = {
+  easy: {
+    spawnRate: 1.3,
+    maxWaitTime: 300,
+    mctMultiplier: 0.3,
+    hubAndSpoke: true,
+    hubBias: 2.2,
+    stationInterval: 75
+  },
+  normal: {
+    spawnRate: 0.85,
+    maxWaitTime: 200,
+    mctMultiplier: 0.5,
+    hubAndSpoke: true,
+    hubBias: 1.6,
+    stationInterval: 53
+  },
+  hard: {
+    spawnRate: 0.6,
+    maxWaitTime: 150,
+    mctMultiplier: 0.8,
+    hubAndSpoke: false,
+    hubBias: 1.2,
+    stationInterval: 40
+  },
+  insane: {
+    spawnRate: 0.4,
+    maxWaitTime: 120,
+    mctMultiplier: 1.2,
+    hubAndSpoke: false,
+    hubBias: 1.0,
+    stationInterval: 30
+  }
+};
+
+// Map settings-panel values onto config keys (same mapping as "Apply Changes")
+export function settingsToConfig(settings){
+  return {
+    spawnIntervalMultiplier: settings.spawnRate,
+    maxWaitSeconds: settings.maxWaitTime,
+    mctMultiplier: settings.mctMultiplier,
+    hubAndSpokeMode: settings.hubAndSpoke,
+    hubSpokeBias: settings.hubBias,
+    stationSpawnIntervalMs: settings.stationInterval * 1000,
+    // Presets leave the boarding policy and timetable mode alone
+    ...(settings.boardingPolicy ? { boardingPolicy: settings.boardingPolicy } : {}),
+    ...(settings.timetableMode != null ? { timetableMode: !!settings.timetableMode } : {})
+  };
+}
+
+export function presetConfig(name){
+  const preset = DIFFICULTY_PRESETS[name];
+  return preset ? settingsToConfig(preset) : null;
+}
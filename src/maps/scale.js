@@ -0,0 +1,59 @@
+// Expand gameplay area by scaling world coordinates.
+// The factor comes from config.worldScale (default 1.5).
+export function scalePathString(d, factor){
+  if (!d || factor === 1) return d;
+  // Scale all numeric tokens in an SVG path string
+  return String(d).replace(/-?\d*\.?\d+(?:e[-+]?\d+)?/gi, (m) => {
+    const v = parseFloat(m);
+    if (!isFinite(v)) return m;
+    const scaled = v * factor;
+    // limit precision to avoid excessively long strings
+    return (Math.round(scaled * 1000) / 1000).toString();
+  });
+}
+
+export function makeScaledConfig(cfgIn){
+  const cfg = { ...(cfgIn||{}) };
+  const S = cfg.worldScale && cfg.worldScale > 0 ? cfg.worldScale : 1.5;
+  cfg.worldScale = S;
+
+  // Scale map features that are in world units
+  if (Array.isArray(cfg.londonStations)){
+    cfg.londonStations = cfg.londonStations.map(s => ({
+      ...s,
+      x: (s.x||0) * S,
+      y: (s.y||0) * S
+    }));
+  }
+  if (cfg.thamesPath){
+    cfg.thamesPath = scalePathString(cfg.thamesPath, S);
+  }
+  if (Array.isArray(cfg.thamesPolygon)){
+    cfg.thamesPolygon = cfg.thamesPolygon.map(p => ({ x: (p.x||0)*S, y: (p.y||0)*S }));
+  }
+
+  if (Array.isArray(cfg.restrictedZones)){
+    cfg.restrictedZones = cfg.restrictedZones.map(z => ({
+      ...z,
+      polygon: (z.polygon || []).map(p => ({ x: (p.x||0)*S, y: (p.y||0)*S })),
+      path: z.path ? scalePathString(z.path, S) : z.path
+    }));
+  }
+  if (Array.isArray(cfg.weatherRegions)){
+    cfg.weatherRegions = cfg.weatherRegions.map(r => ({
+      ...r,
+      x: (r.x||0) * S,
+      y: (r.y||0) * S,
+      w: (r.w||0) * S,
+      h: (r.h||0) * S
+    }));
+  }
+
+  // Preserve visual weights (pixel-space) by keeping widths unscaled.
+  // Preserve travel time by scaling train speed with distance.
+  if (typeof cfg.trainSpeed === 'number') cfg.trainSpeed = cfg.trainSpeed * S;
+  // ...and the distance between maintenance checks with it
+  if (typeof cfg.maintenanceInterval === 'number') cfg.maintenanceInterval = cfg.maintenanceInterval * S;
+
+  return cfg;
+}
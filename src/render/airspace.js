@@ -1,19 +1,137 @@
-export function drawRestrictedAirspace(ctx, cam, pathD){
-  if (!pathD) return;
+// Restricted airspace: zones with an SVG centerline are drawn as a corridor,
+// plain polygons as a filled area. zone.style = { color, opacity, dashed } overrides
+// the default red; forbidden/closed zones are drawn solid and hatched, zones that
+// are open today but close on other days get a dashed outline.
+// NOTAM closures are hatched too, with corridors and airports drawn in amber.
+import { zoneRule } from '../systems/airspace.js';
+import { getNotamClosures } from '../systems/notams.js';
+
+const DEFAULT_COLOR = '#ef4444'; // red-500
+const NOTAM_COLOR = '#f59e0b'; // amber-500
+
+function rgba(hex, alpha){
+  const m = /^#?([0-9a-f]{6})$/i.exec(hex || '');
+  if (!m) return hex;
+  const n = parseInt(m[1], 16);
+  return `rgba(${(n >> 16) & 255}, ${(n >> 8) & 255}, ${n & 255}, ${alpha})`;
+}
+
+// notamZones: names of zones currently closed by NOTAM
+export function drawRestrictedAirspace(ctx, cam, zones, { day = 1, labels = true, notamZones = null } = {}){
+  if (!zones || zones.length === 0) return;
   ctx.save();
   ctx.translate(cam.x, cam.y);
   ctx.scale(cam.scale, cam.scale);
   ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
   ctx.globalAlpha = 1.0;
+  for (const zone of zones){
+    const rule = notamZones && notamZones.has(zone.name) ? { closed: true, reason: 'notam', cost: 0 } : zoneRule(zone, day);
+    const style = zone.style || {};
+    const color = style.color || DEFAULT_COLOR;
+    const alpha = style.opacity ?? 1;
+    if (zone.path) drawCorridor(ctx, cam, zone.path, color, alpha);
+    else if (zone.polygon && zone.polygon.length >= 3) drawArea(ctx, cam, zone.polygon, color, alpha, style.dashed || !!zone.closedDays);
+    if (rule.closed && zone.polygon && zone.polygon.length >= 3) drawHatch(ctx, cam, zone.polygon, color);
+    if (labels && zone.polygon && zone.polygon.length >= 3) drawLabel(ctx, cam, zone, rule);
+  }
+  ctx.restore();
+}
+
+function drawCorridor(ctx, cam, pathD, color, alpha){
   const path = new Path2D(pathD);
   // Outer haze
-  ctx.strokeStyle = 'rgba(244, 63, 94, 0.35)'; // rose-500
+  ctx.strokeStyle = color === DEFAULT_COLOR ? `rgba(244, 63, 94, ${0.35 * alpha})` : rgba(color, 0.35 * alpha); // rose-500
   ctx.lineWidth = 48 / cam.scale;
   ctx.stroke(path);
   // Core corridor
-  ctx.strokeStyle = 'rgba(239, 68, 68, 0.9)'; // red-500
+  ctx.strokeStyle = rgba(color, 0.9 * alpha);
   ctx.lineWidth = 28 / cam.scale;
   ctx.stroke(path);
+}
+
+function tracePolygon(ctx, polygon){
+  ctx.beginPath();
+  ctx.moveTo(polygon[0].x, polygon[0].y);
+  for (let i = 1; i < polygon.length; i++) ctx.lineTo(polygon[i].x, polygon[i].y);
+  ctx.closePath();
+}
+
+function drawArea(ctx, cam, polygon, color, alpha, dashed){
+  tracePolygon(ctx, polygon);
+  ctx.fillStyle = rgba(color, 0.22 * alpha);
+  ctx.fill();
+  ctx.strokeStyle = rgba(color, 0.9 * alpha);
+  ctx.lineWidth = 4 / cam.scale;
+  if (dashed) ctx.setLineDash([14 / cam.scale, 8 / cam.scale]);
+  ctx.stroke();
+  ctx.setLineDash([]);
+}
+
+// Diagonal stripes clipped to the zone: no crossing possible right now
+function drawHatch(ctx, cam, polygon, color){
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const p of polygon){ minX = Math.min(minX, p.x); minY = Math.min(minY, p.y); maxX = Math.max(maxX, p.x); maxY = Math.max(maxY, p.y); }
+  ctx.save();
+  tracePolygon(ctx, polygon);
+  ctx.clip();
+  ctx.strokeStyle = rgba(color, 0.45);
+  ctx.lineWidth = 3 / cam.scale;
+  const step = 18 / cam.scale;
+  ctx.beginPath();
+  for (let x = minX - (maxY - minY); x < maxX; x += step){
+    ctx.moveTo(x, maxY);
+    ctx.lineTo(x + (maxY - minY), minY);
+  }
+  ctx.stroke();
   ctx.restore();
 }
 
+function drawLabel(ctx, cam, zone, rule){
+  if (cam.scale < 0.6) return;
+  let cx = 0, cy = 0;
+  for (const p of zone.polygon){ cx += p.x; cy += p.y; }
+  cx /= zone.polygon.length; cy /= zone.polygon.length;
+  const detail = rule.reason === 'forbidden' ? 'NO ENTRY'
+    : rule.reason === 'closed' ? 'CLOSED TODAY'
+    : rule.reason === 'notam' ? 'NOTAM'
+    : `${rule.cost} permit${rule.cost === 1 ? '' : 's'}`;
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+  ctx.font = `bold ${Math.max(9, 11 / cam.scale)}px Inter, Arial, sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.fillText(zone.name || 'Restricted', cx, cy);
+  ctx.font = `${Math.max(8, 10 / cam.scale)}px Inter, Arial, sans-serif`;
+  ctx.fillText(detail, cx, cy + 14 / cam.scale);
+}
+
+// Active NOTAM corridors hatched in amber, closed airports crossed out
+// (zones closed by NOTAM are drawn by drawRestrictedAirspace)
+export function drawNotamClosures(ctx, cam, game){
+  const closures = getNotamClosures(game);
+  if (closures.corridors.length === 0 && closures.airports.size === 0) return;
+  ctx.save();
+  ctx.translate(cam.x, cam.y);
+  ctx.scale(cam.scale, cam.scale);
+  for (const area of closures.corridors){
+    drawArea(ctx, cam, area.polygon, NOTAM_COLOR, 1, true);
+    drawHatch(ctx, cam, area.polygon, NOTAM_COLOR);
+    drawLabel(ctx, cam, area, { reason: 'notam' });
+  }
+  for (const id of closures.airports){
+    const s = game.stations[id];
+    if (!s) continue;
+    const r = (s.r || 12) + 8;
+    ctx.strokeStyle = rgba(NOTAM_COLOR, 0.95);
+    ctx.lineWidth = 3 / cam.scale;
+    ctx.setLineDash([6 / cam.scale, 4 / cam.scale]);
+    ctx.beginPath();
+    ctx.arc(s.x, s.y, r, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.beginPath();
+    ctx.moveTo(s.x - r * 0.7, s.y - r * 0.7); ctx.lineTo(s.x + r * 0.7, s.y + r * 0.7);
+    ctx.moveTo(s.x + r * 0.7, s.y - r * 0.7); ctx.lineTo(s.x - r * 0.7, s.y + r * 0.7);
+    ctx.stroke();
+  }
+  ctx.restore();
+}
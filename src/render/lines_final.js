@@ -1,4 +1,5 @@
 import { createHexPath } from '../systems/hexgrid.js';
+import { skippedStops } from '../systems/service.js';
 
 export function buildOverlapMap(game){
   const map = {};
@@ -75,6 +76,9 @@ export function drawMultiStationLine(ctx, cam, game, line, overlapMap){
   // Waypoint markers at station connections
   drawWaypointMarkers(ctx, cam, pts, line, game);
 
+  // Airports some of this line's planes fly past (express / skip-stop)
+  drawSkippedStopMarkers(ctx, cam, line, game);
+
   // Aviation-style end caps
   if (!line.isLoop && pts.length >= 2){
     drawAviationEndCap(ctx, cam, pts[0], pts[1], line.color, game);
@@ -212,6 +216,38 @@ function drawWaypointMarkers(ctx, cam, points, line, game) {
   ctx.restore();
 }
 
+// Small struck-through badge on the line just outside each skipped airport
+function drawSkippedStopMarkers(ctx, cam, line, game) {
+  const skipped = skippedStops(game, line);
+  if (skipped.size === 0) return;
+  ctx.save();
+  ctx.globalAlpha = 0.95;
+  line.stations.forEach((si, k) => {
+    if (!skipped.has(si)) return;
+    const s = game.stations[si];
+    const other = game.stations[line.stations[k > 0 ? k - 1 : k + 1]];
+    if (!s || !other) return;
+    const len = Math.hypot(other.x - s.x, other.y - s.y) || 1;
+    const d = s.r + 9 / cam.scale;
+    const x = s.x + (other.x - s.x) / len * d, y = s.y + (other.y - s.y) / len * d;
+    const r = 5 / cam.scale;
+    ctx.beginPath();
+    ctx.fillStyle = '#111827';
+    ctx.strokeStyle = line.color;
+    ctx.lineWidth = 2 / cam.scale;
+    ctx.arc(x, y, r, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 1.5 / cam.scale;
+    ctx.moveTo(x - r * 0.6, y + r * 0.6);
+    ctx.lineTo(x + r * 0.6, y - r * 0.6);
+    ctx.stroke();
+  });
+  ctx.restore();
+}
+
 function drawAviationEndCap(ctx, cam, point, nextPoint, color, game){
   const dx = nextPoint.x - point.x;
   const dy = nextPoint.y - point.y;
@@ -0,0 +1,83 @@
+// Plane silhouettes by aircraft type, drawn nose along +x around the origin.
+// The caller sets the transform, fill (route color), stroke and line width.
+
+function fill(ctx, points){
+  ctx.beginPath();
+  ctx.moveTo(points[0][0], points[0][1]);
+  for (let i = 1; i < points.length; i++) ctx.lineTo(points[i][0], points[i][1]);
+  ctx.closePath();
+  ctx.fill();
+  ctx.stroke();
+}
+
+// Both wings (or stabilizers): root at x, tip reached `sweep` further back
+function mirrored(ctx, x, span, sweep, chord){
+  for (const side of [-1, 1]){
+    fill(ctx, [[x, 0], [x - sweep, side * span], [x - sweep - chord * 0.3, side * span], [x - chord, side * span * 0.2]]);
+  }
+}
+
+function narrowbody(ctx, w, h){
+  // Fuselage (main body)
+  ctx.beginPath();
+  ctx.ellipse(0, 0, w/2, h/4, 0, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.stroke();
+  // Swept wings
+  for (const side of [-1, 1]) fill(ctx, [[-w*0.05, 0], [-w*0.42, side * h*0.95], [w*0.10, side * h*0.20]]);
+  // Tailplane (horizontal stabilizers)
+  for (const side of [-1, 1]) fill(ctx, [[-w*0.40, 0], [-w*0.55, side * h*0.45], [-w*0.25, side * h*0.15]]);
+  // Vertical tail (fin)
+  fill(ctx, [[-w/2, 0], [-w/2 + w*0.10, -h*0.50], [-w/2 + w*0.18, -h*0.15]]);
+}
+
+// Longer, with a wide sweep and four engine pods
+function widebody(ctx, w, h){
+  const L = w * 1.3, H = h * 1.35;
+  ctx.beginPath();
+  ctx.ellipse(0, 0, L/2, H/3.6, 0, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.stroke();
+  mirrored(ctx, L*0.08, H*1.05, L*0.30, L*0.22);
+  mirrored(ctx, -L*0.36, H*0.42, L*0.12, L*0.10);
+  for (const y of [-0.45, -0.8, 0.45, 0.8]){
+    ctx.beginPath();
+    ctx.ellipse(-L*0.05 - Math.abs(y) * L*0.12, y * H, L*0.05, H*0.07, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+  }
+}
+
+// Short body, straight wings with propeller discs
+function turboprop(ctx, w, h){
+  const L = w * 0.8, H = h * 0.9;
+  ctx.beginPath();
+  ctx.ellipse(0, 0, L/2, H/4.5, 0, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.stroke();
+  mirrored(ctx, L*0.12, H*1.05, 0, L*0.16);
+  mirrored(ctx, -L*0.40, H*0.38, L*0.02, L*0.10);
+  const fillStyle = ctx.fillStyle;
+  ctx.fillStyle = 'rgba(255,255,255,0.55)';
+  for (const side of [-1, 1]){
+    ctx.beginPath();
+    ctx.ellipse(L*0.17, side * H*0.5, L*0.02, H*0.22, 0, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  ctx.fillStyle = fillStyle;
+}
+
+// Fat fuselage, blunt nose and a high T-tail
+function cargo(ctx, w, h){
+  const L = w * 1.1, H = h * 1.2;
+  fill(ctx, [[L*0.46, -H*0.12], [L*0.5, 0], [L*0.46, H*0.12], [L*0.30, H*0.22], [-L*0.38, H*0.18], [-L*0.5, H*0.05], [-L*0.5, -H*0.05], [-L*0.38, -H*0.18], [L*0.30, -H*0.22]]);
+  mirrored(ctx, L*0.05, H*0.95, L*0.18, L*0.16);
+  fill(ctx, [[-L*0.42, 0], [-L*0.50, -H*0.10], [-L*0.56, -H*0.42], [-L*0.50, -H*0.42]]);
+  mirrored(ctx, -L*0.50, H*0.40, L*0.06, L*0.08);
+}
+
+const SILHOUETTES = { narrowbody, widebody, turboprop, cargo };
+
+export function drawPlaneSilhouette(ctx, type, w, h){
+  (SILHOUETTES[type] || narrowbody)(ctx, w, h);
+}
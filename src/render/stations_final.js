@@ -1,5 +1,8 @@
+import { eventsByAirport } from '../systems/event_script.js';
+
 export function drawStations(ctx, cam, game){
   ctx.save(); ctx.translate(cam.x, cam.y); ctx.scale(cam.scale, cam.scale);
+  const airportEvents = eventsByAirport(game);
   for (let i = 0; i < game.stations.length; i++) {
     const s = game.stations[i];
     if (!s) continue;
@@ -136,6 +139,25 @@ export function drawStations(ctx, cam, game){
       }
     }
 
+    // Airport events (surges, strikes, closures): their icons off the top right
+    const events = airportEvents.get(s.id);
+    if (events) {
+      const size = 16 / cam.scale;
+      ctx.save();
+      ctx.font = `${14 / cam.scale}px system-ui, sans-serif`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      events.forEach((e, k) => {
+        const x = s.x + stationRadius + size * (0.5 + k), y = s.y - stationRadius - size * 0.3;
+        ctx.beginPath();
+        ctx.fillStyle = 'rgba(17,24,39,0.75)';
+        ctx.arc(x, y, size * 0.6, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillText(e.icon, x, y);
+      });
+      ctx.restore();
+    }
+
     // Station name (when zoomed in) - highlight final airports
     if (cam.scale > 1.0) {
       ctx.fillStyle = s.isFinal ? '#f59e0b' : (isHovered ? '#0ea5a3' : '#334155');
@@ -0,0 +1,119 @@
+// Weather cells, drawn as ellipses shaded by intensity, and the forecast layer:
+// each cell's track with dashed outlines where it will be config.weatherForecastHours
+// ahead (cells that will have dissipated by then drop out).
+// Storm closures: closed airports get a dashed red ring, diverting planes a dashed
+// line to the airport they are diverting to.
+import { weatherForecast, weatherClosedAirports } from '../systems/weather.js';
+
+const CLOSED_COLOR = 'rgba(248,113,113,0.9)'; // red-400
+const DIVERT_COLOR = 'rgba(251,191,36,0.85)'; // amber-400
+
+function traceCell(ctx, c){
+  ctx.beginPath();
+  ctx.ellipse(c.x, c.y, Math.max(1, c.rx), Math.max(1, c.ry), c.angle || 0, 0, Math.PI * 2);
+}
+
+function drawCells(ctx, cam, cells){
+  for (const c of cells){
+    const a = 0.35 + 0.65 * (c.intensity || 0);
+    ctx.save();
+    ctx.translate(c.x, c.y);
+    ctx.rotate(c.angle || 0);
+    ctx.scale(1, Math.max(1, c.ry) / Math.max(1, c.rx));
+    const grd = ctx.createRadialGradient(0, 0, Math.max(0, c.rx * 0.2), 0, 0, Math.max(1, c.rx));
+    grd.addColorStop(0, `rgba(59,130,246,${(0.28 * a).toFixed(3)})`);
+    grd.addColorStop(1, `rgba(59,130,246,${(0.04 * a).toFixed(3)})`);
+    ctx.fillStyle = grd;
+    ctx.beginPath();
+    ctx.arc(0, 0, Math.max(1, c.rx), 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+    traceCell(ctx, c);
+    ctx.strokeStyle = `rgba(147,197,253,${(0.45 * a).toFixed(3)})`;
+    ctx.lineWidth = 2 / cam.scale;
+    ctx.stroke();
+  }
+}
+
+function drawForecast(ctx, cam, game){
+  const steps = weatherForecast(game);
+  if (steps.length === 0) return;
+  // Tracks from each cell to its last forecast position
+  ctx.strokeStyle = 'rgba(147,197,253,0.35)';
+  ctx.lineWidth = 1.5 / cam.scale;
+  ctx.setLineDash([4 / cam.scale, 6 / cam.scale]);
+  for (const c of game.weather.cells){
+    const path = steps.map(s => s.cells.find(f => f.id === c.id)).filter(Boolean);
+    if (path.length === 0) continue;
+    ctx.beginPath();
+    ctx.moveTo(c.x, c.y);
+    for (const p of path) ctx.lineTo(p.x, p.y);
+    ctx.stroke();
+  }
+  // Outlines fade with the hours ahead
+  ctx.setLineDash([10 / cam.scale, 8 / cam.scale]);
+  ctx.font = `${11 / cam.scale}px system-ui, sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  steps.forEach(({ hours, cells }, i) => {
+    const alpha = 0.5 * (1 - i / (steps.length + 1));
+    for (const c of cells){
+      traceCell(ctx, c);
+      ctx.strokeStyle = `rgba(147,197,253,${(alpha * (0.4 + 0.6 * c.intensity)).toFixed(3)})`;
+      ctx.stroke();
+      ctx.fillStyle = `rgba(191,219,254,${alpha.toFixed(3)})`;
+      ctx.fillText(`+${hours}h`, c.x, c.y);
+    }
+  });
+  ctx.setLineDash([]);
+}
+
+// forecast: also draw the forecast layer
+export function drawWeather(ctx, cam, game, { forecast = true } = {}){
+  const weather = game.weather;
+  if (!weather || !weather.enabled || weather.cells.length === 0) return;
+  ctx.save();
+  ctx.translate(cam.x, cam.y);
+  ctx.scale(cam.scale, cam.scale);
+  if (forecast) drawForecast(ctx, cam, game);
+  drawCells(ctx, cam, weather.cells);
+  ctx.restore();
+}
+
+export function drawStormClosures(ctx, cam, game){
+  const closed = weatherClosedAirports(game);
+  const diverting = game.trains.filter(t => t && t.divertTo != null);
+  if (closed.size === 0 && diverting.length === 0) return;
+  ctx.save();
+  ctx.translate(cam.x, cam.y);
+  ctx.scale(cam.scale, cam.scale);
+  const radius = (game.config.stationRadius || 15) * 1.9;
+  ctx.lineWidth = 2.5 / cam.scale;
+  ctx.font = `${13 / cam.scale}px system-ui, sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  for (const si of closed){
+    const s = game.stations[si];
+    if (!s) continue;
+    ctx.setLineDash([6 / cam.scale, 5 / cam.scale]);
+    ctx.strokeStyle = CLOSED_COLOR;
+    ctx.beginPath();
+    ctx.arc(s.x, s.y, radius, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.fillText('⛈️', s.x + radius * 0.75, s.y - radius * 0.75);
+  }
+  ctx.strokeStyle = DIVERT_COLOR;
+  ctx.lineWidth = 2 / cam.scale;
+  ctx.setLineDash([8 / cam.scale, 6 / cam.scale]);
+  for (const t of diverting){
+    const to = game.stations[t.divertTo];
+    const at = game.getTrainWorldPosition(t);
+    if (!to || !at) continue;
+    ctx.beginPath();
+    ctx.moveTo(at.x, at.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.stroke();
+  }
+  ctx.restore();
+}
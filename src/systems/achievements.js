@@ -1,6 +1,8 @@
 // Achievement system for Flight Control game
 // Creates progression goals and dopamine hits to increase engagement
 
+import { addModifier } from './modifiers.js';
+
 export const ACHIEVEMENTS = {
   // Basic progression achievements
   first_route: {
@@ -137,8 +139,11 @@ export const ACHIEVEMENTS = {
 };
 
 export class AchievementSystem {
-  constructor(game) {
+  // persist: keep lifetime stats in localStorage (off for headless runs so
+  // unlocks from earlier games don't change the rewards of this one)
+  constructor(game, { persist = true } = {}) {
     this.game = game;
+    this.persist = persist;
     this.stats = this.loadStats();
     this.unlockedAchievements = new Set(this.stats.achievements || []);
     this.pendingNotifications = [];
@@ -152,7 +157,7 @@ export class AchievementSystem {
 
   loadStats() {
     try {
-      const saved = localStorage.getItem('flightcontrol_stats');
+      const saved = this.persist ? localStorage.getItem('flightcontrol_stats') : null;
       return saved ? JSON.parse(saved) : {
         highScore: 0,
         totalScore: 0,
@@ -174,6 +179,7 @@ export class AchievementSystem {
   }
 
   saveStats() {
+    if (!this.persist) return;
     try {
       this.stats.achievements = Array.from(this.unlockedAchievements);
       localStorage.setItem('flightcontrol_stats', JSON.stringify(this.stats));
@@ -216,6 +222,23 @@ export class AchievementSystem {
     this.sessionStats.timeouts++;
   }
 
+  // Snapshot for save games: this game's counts, plus the lifetime stats when they
+  // are not kept in localStorage (headless games, where they only cover this game)
+  getState() {
+    const state = { sessionStats: { ...this.sessionStats } };
+    if (!this.persist) state.stats = { ...this.stats, achievements: Array.from(this.unlockedAchievements) };
+    return state;
+  }
+
+  restoreState(state) {
+    if (!state) return;
+    this.sessionStats = { ...this.sessionStats, ...(state.sessionStats || {}) };
+    if (!this.persist && state.stats) {
+      this.stats = { ...state.stats };
+      this.unlockedAchievements = new Set(state.stats.achievements || []);
+    }
+  }
+
   checkAchievements() {
     for (const [id, achievement] of Object.entries(ACHIEVEMENTS)) {
       if (!this.unlockedAchievements.has(id)) {
@@ -255,10 +278,10 @@ export class AchievementSystem {
         this.game.tunnels += (reward.amount || 1);
         break;
       case 'speed_boost':
-        this.game.trains.forEach(train => train.speed *= 1.15);
+        this.game.trains.forEach(train => addModifier(this.game, train, { stat: 'speed', source: 'reward', mul: 1.15 }));
         break;
       case 'capacity_upgrade':
-        this.game.trains.forEach(train => train.capacity += 2);
+        this.game.trains.forEach(train => addModifier(this.game, train, { stat: 'capacity', source: 'reward', add: 2 }));
         break;
       case 'mega_upgrade':
         this.game.trainsAvailable += 3;
@@ -273,29 +296,7 @@ export class AchievementSystem {
   }
 
   showAchievementNotification(achievement) {
-    const notification = document.createElement('div');
-    notification.className = 'achievement-notification';
-    notification.innerHTML = `
-      <div class="achievement-content">
-        <div class="achievement-icon">${achievement.icon}</div>
-        <div class="achievement-text">
-          <div class="achievement-title">Achievement Unlocked!</div>
-          <div class="achievement-name">${achievement.name}</div>
-          <div class="achievement-desc">${achievement.description}</div>
-        </div>
-      </div>
-    `;
-
-    document.body.appendChild(notification);
-
-    // Animate in
-    setTimeout(() => notification.classList.add('show'), 10);
-
-    // Remove after delay
-    setTimeout(() => {
-      notification.classList.remove('show');
-      setTimeout(() => document.body.removeChild(notification), 300);
-    }, 4000);
+    if (this.game.notifier) this.game.notifier.achievementUnlocked(achievement);
   }
 
   getProgress() {
@@ -0,0 +1,90 @@
+// Restricted airspace zones
+// Maps define any number of restricted polygons in config.restrictedZones:
+//   { name, polygon: [{x,y}, ...], path?: SVG centerline used for drawing,
+//     permitCost?: permits used per crossing (default 1),
+//     forbidden?: true when no permit allows crossing,
+//     closedDays?: [day | [fromDay, toDay], ...] game days on which the zone is closed,
+//     style?: { color, opacity, dashed } }
+// Older configs/saves only have the single thamesPath/thamesPolygon corridor.
+// Active NOTAMs (see notams.js) close zones and hex corridors on top of these rules.
+
+import { segmentCrossesPolygon } from '../utils/intersections.js';
+import { getNotamClosures, isZoneClosedByNotam } from './notams.js';
+import { findHexDetour } from './hexgrid.js';
+
+export function getRestrictedZones(config){
+  if (!config) return [];
+  if (Array.isArray(config.restrictedZones)) return config.restrictedZones;
+  if (Array.isArray(config.thamesPolygon) && config.thamesPolygon.length >= 3){
+    return [{ name: 'Restricted corridor', polygon: config.thamesPolygon, path: config.thamesPath }];
+  }
+  return [];
+}
+
+export function isZoneClosedOnDay(zone, day){
+  if (!Array.isArray(zone.closedDays)) return false;
+  return zone.closedDays.some(d => Array.isArray(d) ? (day >= d[0] && day <= d[1]) : day === d);
+}
+
+// Current rule for one zone: closed (forbidden or closed today) or a permit cost
+export function zoneRule(zone, day){
+  if (zone.forbidden) return { closed: true, reason: 'forbidden', cost: 0 };
+  if (isZoneClosedOnDay(zone, day)) return { closed: true, reason: 'closed', cost: 0 };
+  return { closed: false, reason: null, cost: zone.permitCost ?? 1 };
+}
+
+// Check the new segments of a route ([[A, B], ...]) against every zone.
+// Returns { ok, cost, crossed, blockedBy, reason, message }; reason is 'forbidden',
+// 'closed', 'notam' or 'permits' when the route is refused, and blockedBy names
+// the zone (or NOTAM corridor). A segment whose hex route can go around all
+// restricted airspace (findHexDetour) is free: permits only pay for legs that
+// have no legal detour.
+// Pass { permits: Infinity } to check zone closures only.
+export function checkRestrictedCrossings(game, segments, { permits = game.tunnels || 0, detours = true } = {}){
+  const day = game.day || 1;
+  const closures = getNotamClosures(game);
+  const zones = getRestrictedZones(game.config).filter(z => z.polygon && z.polygon.length >= 3);
+  const crossed = [];
+  let cost = 0;
+  for (const [A, B] of segments){
+    if (!A || !B) continue;
+    const a = {x:A.x,y:A.y}, b = {x:B.x,y:B.y};
+    const corridor = closures.corridors.find(c => segmentCrossesPolygon(a, b, c.polygon));
+    const hits = zones.filter(zone => segmentCrossesPolygon(a, b, zone.polygon));
+    if (!corridor && hits.length === 0) continue;
+    const obstructed = !!corridor || hits.some(zone => {
+      const rule = zoneRule(zone, day);
+      return rule.closed || rule.cost > 0 || isZoneClosedByNotam(zone, closures);
+    });
+    if (detours && obstructed && findHexDetour(game, A, B)) continue;
+    if (corridor){
+      return { ok: false, cost, crossed, blockedBy: corridor, reason: 'notam', message: `${corridor.name} is closed by NOTAM` };
+    }
+    for (const zone of hits){
+      if (isZoneClosedByNotam(zone, closures)){
+        return { ok: false, cost, crossed, blockedBy: zone, reason: 'notam', message: `${zone.name} is closed by NOTAM` };
+      }
+      const rule = zoneRule(zone, day);
+      if (rule.closed){
+        const message = rule.reason === 'forbidden'
+          ? `${zone.name} is forbidden airspace`
+          : `${zone.name} is closed today`;
+        return { ok: false, cost, crossed, blockedBy: zone, reason: rule.reason, message };
+      }
+      cost += rule.cost;
+      crossed.push(zone);
+    }
+  }
+  if (cost > permits){
+    // Blame the most expensive zone on the route
+    const blockedBy = crossed.reduce((a, b) => ((b.permitCost ?? 1) > (a.permitCost ?? 1) ? b : a));
+    const names = [...new Set(crossed.map(z => z.name))].join(', ');
+    const message = `Need ${cost} permit${cost > 1 ? 's' : ''} to cross ${names} (have ${permits})`;
+    return { ok: false, cost, crossed, blockedBy, reason: 'permits', message };
+  }
+  return { ok: true, cost, crossed, blockedBy: null, reason: null, message: null };
+}
+
+export function spendPermits(game, check){
+  if (check && check.cost > 0) game.tunnels = Math.max(0, (game.tunnels || 0) - check.cost);
+}
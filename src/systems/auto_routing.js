@@ -1,6 +1,10 @@
 // Intelligent Auto-Routing System for Flight Control
 // Automatically manages route complexity when networks become difficult to manage manually
 
+import * as Lines from './lines_final.js';
+import { checkRestrictedCrossings } from './airspace.js';
+import { getRoutingTable } from './routing.js';
+
 export class AutoRoutingSystem {
   constructor(game) {
     this.game = game;
@@ -377,31 +381,9 @@ export class AutoRoutingSystem {
   }
 
   canReachDestination(fromStationIdx, toStationIdx) {
-    // Simple BFS to check if path exists
-    const visited = new Set();
-    const queue = [fromStationIdx];
-
-    while (queue.length > 0) {
-      const current = queue.shift();
-      if (current === toStationIdx) return true;
-      if (visited.has(current)) continue;
-      visited.add(current);
-
-      const station = this.game.stations[current];
-      if (station && station.connections) {
-        for (const lineId of station.connections) {
-          const line = this.game.lines[lineId];
-          if (line) {
-            for (const stationIdx of line.stations) {
-              if (!visited.has(stationIdx)) {
-                queue.push(stationIdx);
-              }
-            }
-          }
-        }
-      }
-    }
-    return false;
+    // Any route through the (station, line) graph, planes or not: routes still
+    // waiting for a plane count as connected here
+    return getRoutingTable(this.game).reachable(fromStationIdx, toStationIdx);
   }
 
   findNearestFinalDestination(station) {
@@ -506,15 +488,14 @@ export class AutoRoutingSystem {
   // Create an automatic line
   createAutoLine(stationIds, reason) {
     try {
-      // Use the global Lines module
-      const Lines = window.Lines;
-      if (Lines && Lines.createLine && this.game.linesAvailable > 0) {
+      if (this.game.linesAvailable > 0) {
+        // Never route through forbidden or closed airspace (auto routes don't spend permits)
+        const segments = stationIds.slice(1).map((id, i) => [this.game.stations[stationIds[i]], this.game.stations[id]]);
+        if (!checkRestrictedCrossings(this.game, segments, { permits: Infinity }).ok) return false;
         const line = Lines.createLine(this.game, stationIds);
         if (line) {
           // Ensure waypoints use hex pathfinding
-          if (Lines.rebuildWaypointsForLine) {
-            Lines.rebuildWaypointsForLine(this.game, line);
-          }
+          Lines.rebuildWaypointsForLine(this.game, line);
           this.game.linesAvailable--;
           // Immediately place a train on the new route if available to avoid early crowding
           if (this.game.trainsAvailable > 0 && typeof this.game.createTrain === 'function') {
@@ -552,6 +533,9 @@ export class AutoRoutingSystem {
       const distToFirst = this.calculateDistance(this.game.stations[firstStation], targetStation);
       const distToLast = this.calculateDistance(this.game.stations[lastStation], targetStation);
 
+      const endStation = this.game.stations[distToFirst < distToLast ? firstStation : lastStation];
+      if (!checkRestrictedCrossings(this.game, [[endStation, targetStation]], { permits: Infinity }).ok) return false;
+
       if (distToFirst < distToLast) {
         line.stations.unshift(targetIdx);
       } else {
@@ -559,11 +543,8 @@ export class AutoRoutingSystem {
       }
 
       // Rebuild line waypoints and connections
-      const Lines = window.Lines;
-      if (Lines && Lines.rebuildWaypointsForLine) {
-        Lines.rebuildWaypointsForLine(this.game, line);
-        line.totalLength = this.game.calculateLineLength(line);
-      }
+      Lines.rebuildWaypointsForLine(this.game, line, { changedStations: [targetIdx] });
+      line.totalLength = this.game.calculateLineLength(line);
 
       // Add connection
       if (!targetStation.connections.includes(line.id)) {
@@ -624,36 +605,7 @@ export class AutoRoutingSystem {
 
   // Show auto-action notification
   showAutoActionNotification(message, color = 'rgba(14,165,163,0.8)') {
-    const notification = document.createElement('div');
-    notification.className = 'auto-action-notification';
-    notification.style.cssText = `
-      position: fixed; top: 80px; right: 20px; z-index: 998;
-      background: ${color}; color: white; padding: 8px 12px;
-      border-radius: 8px; font-size: 12px; font-weight: 600;
-      transform: translateX(120%); opacity: 0;
-      transition: all 0.3s ease; max-width: 250px;
-      box-shadow: 0 4px 12px rgba(0,0,0,0.3);
-    `;
-    notification.textContent = message;
-
-    document.body.appendChild(notification);
-
-    // Animate in
-    setTimeout(() => {
-      notification.style.transform = 'translateX(0)';
-      notification.style.opacity = '1';
-    }, 10);
-
-    // Remove after delay
-    setTimeout(() => {
-      notification.style.transform = 'translateX(120%)';
-      notification.style.opacity = '0';
-      setTimeout(() => {
-        if (notification.parentNode) {
-          document.body.removeChild(notification);
-        }
-      }, 300);
-    }, 3000);
+    if (this.game.notifier) this.game.notifier.autoAction(message, color);
   }
 
   // Get current suggestions for UI
@@ -694,4 +646,25 @@ export class AutoRoutingSystem {
       this.suggestions[suggestionIndex].action();
     }
   }
+
+  // Snapshot for save games (suggestions hold callbacks, so they are worked out again)
+  getState() {
+    return {
+      enabled: this.enabled,
+      userToggled: this.userToggled,
+      complexityThreshold: this.complexityThreshold,
+      lastAutoAction: this.lastAutoAction,
+      actionCooldown: this.actionCooldown,
+      autoExtensionEnabled: this.autoExtensionEnabled,
+      routeOptimizationEnabled: this.routeOptimizationEnabled,
+      debugEnabled: this.debugEnabled
+    };
+  }
+
+  // Restore a snapshot from getState(); older saves lack some fields and keep the defaults
+  restoreState(state) {
+    if (!state) return;
+    for (const key of Object.keys(this.getState())) if (key in state) this[key] = state[key];
+    this.updateSuggestions();
+  }
 }
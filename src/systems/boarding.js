@@ -0,0 +1,61 @@
+// Boarding policies and per-line load factors
+// config.boardingPolicy picks who gets the seats when a plane can't take everyone
+// who wants it; ties keep queue order. Each departure also feeds the line's load
+// stats, which the station inspector shows and routing reads to avoid routes
+// whose planes keep leaving full.
+
+import { currentLeg } from './itinerary.js';
+
+function waitedMs(game, p){
+  return game.gameTime - (p.spawnTime ?? game.gameTime);
+}
+
+function legsLeft(p){
+  const legs = p.itinerary && p.itinerary.legs;
+  return legs ? legs.length - (p.leg || 0) : Infinity;
+}
+
+// Sort keys: lower boards first
+export const BOARDING_POLICIES = {
+  fifo: { label: 'First come, first served', key: () => 0 },
+  longestWait: { label: 'Longest wait first', key: (game, p) => -waitedMs(game, p) },
+  vip: { label: 'VIPs first', key: (game, p) => p.isVIP ? 0 : 1 },
+  direct: {
+    label: 'Direct to destination first',
+    key: (game, p) => {
+      const leg = currentLeg(p);
+      return (leg ? leg.alight === p.destStation : false) ? 0 : 1;
+    }
+  },
+  fewestLegs: { label: 'Fewest remaining legs first', key: (game, p) => legsLeft(p) }
+};
+
+export function getBoardingPolicy(game){
+  const name = game.config.boardingPolicy;
+  return BOARDING_POLICIES[name] ? name : 'fifo';
+}
+
+// Candidates (already willing to board this plane) in the order they get seats
+export function orderForBoarding(game, candidates){
+  const policy = BOARDING_POLICIES[getBoardingPolicy(game)];
+  if (policy === BOARDING_POLICIES.fifo) return candidates;
+  return candidates
+    .map((p, i) => ({ p, i, k: policy.key(game, p) }))
+    .sort((a, b) => (a.k - b.k) || (a.i - b.i))
+    .map(e => e.p);
+}
+
+// Record one departure: load is the share of seats taken, leftBehind the
+// passengers who wanted this plane but didn't fit. ema smooths over ~10 departures.
+export function recordDeparture(line, load, leftBehind){
+  const stats = line.load || (line.load = { ema: 0, departures: 0, full: 0, leftBehind: 0 });
+  stats.ema = stats.departures === 0 ? load : stats.ema * 0.9 + load * 0.1;
+  stats.departures++;
+  if (load >= 1) stats.full++;
+  stats.leftBehind += leftBehind;
+}
+
+// Smoothed share of seats taken on departure (0 before the first departure)
+export function lineLoadFactor(line){
+  return (line && line.load) ? line.load.ema : 0;
+}
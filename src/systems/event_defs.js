@@ -0,0 +1,293 @@
+// Event definitions: random events as data, built from the pieces in
+// event_script.js. A map can add its own (its "events" array, see MAP_FORMAT.md);
+// one with the id of a built-in event changes just the fields it gives, and
+// "enabled": false takes a built-in out.
+//
+// {
+//   id, name, description, icon
+//   probability  chance per roll: a number (it grows 10% a day, up to double)
+//                or [[day, chance], ...] points joined by straight lines
+//   minDay       first day it can happen (default 1)
+//   cooldown     ms before it can roll again
+//   duration     ms (0: instant)
+//   when         conditions that must hold to roll, e.g. { maxWaiting: 25 }
+//   targets      { kind, count, served, final } airports, planes or routes it hits
+//   effects      [{ type, ...params }] applied at the start, undone at the end
+//   plan         planner that picks the details and announces the event ahead
+//   message      toast when it starts ('{target}' names the targets)
+//   endMessage   toast when it ends
+// }
+
+import { CONDITIONS, TARGETS, EFFECTS, PLANNERS, INVENTORY, AIRPORT_FIELDS, AIRPORT_KINDS } from './event_script.js';
+import { MODIFIER_STATS } from './modifiers.js';
+
+export const DEFAULT_EVENTS = [
+  {
+    id: 'rush_hour',
+    name: 'Rush Hour',
+    description: 'Increased passenger spawn rate for 30 seconds',
+    icon: '🏃‍♂️',
+    probability: 0.25,
+    duration: 25000,
+    minDay: 6,
+    cooldown: 45000,
+    // Not while the network is already congested
+    when: { maxWaiting: 25 },
+    effects: [{ type: 'config', key: 'spawnInterval', mul: 0.7, min: 1500 }]
+  },
+  {
+    id: 'vip_flight',
+    name: 'VIP Flight',
+    description: 'High-value passenger worth 3x points arrives',
+    icon: '⭐',
+    probability: 0.4,
+    duration: 0,
+    minDay: 1,
+    cooldown: 20000,
+    targets: { kind: 'final' },
+    effects: [{ type: 'passengers', to: 'target', count: 1, vip: true, pointMultiplier: 3 }],
+    message: 'VIP passenger to {target} - Worth 3x points!'
+  },
+  {
+    id: 'equipment_failure',
+    name: 'Equipment Failure',
+    description: 'One random plane temporarily slowed',
+    icon: '⚠️',
+    probability: 0.2,
+    duration: 15000,
+    minDay: 6,
+    cooldown: 60000,
+    targets: { kind: 'plane' },
+    effects: [{ type: 'modifier', stat: 'speed', mul: 0.6 }],
+    message: 'Equipment failure: {target} slowed'
+  },
+  {
+    id: 'weather_clear',
+    name: 'Weather Clear',
+    description: 'All weather cells temporarily disappear',
+    icon: '☀️',
+    probability: 0.3,
+    duration: 20000,
+    minDay: 2,
+    cooldown: 40000,
+    effects: [{ type: 'weather', enabled: false }],
+    message: 'Weather cleared - perfect flying conditions!'
+  },
+  {
+    id: 'bonus_routes',
+    name: 'Infrastructure Grant',
+    description: 'Temporary extra route available',
+    icon: '🛤️',
+    probability: 0.25,
+    duration: 45000,
+    minDay: 4,
+    cooldown: 80000,
+    // Taken back at the end unless the player has used it
+    effects: [{ type: 'inventory', item: 'routes', add: 1, temporary: true }],
+    message: 'Infrastructure grant - extra route available!'
+  },
+  // Airport events: each hits one airport on a route, marked on the map
+  {
+    id: 'concert_surge',
+    name: 'Concert Surge',
+    description: 'Fans flying in to {target}',
+    icon: '🎤',
+    probability: 0.15,
+    duration: 20000,
+    minDay: 3,
+    cooldown: 70000,
+    when: { maxWaiting: 30 },
+    targets: { kind: 'airport', served: true },
+    effects: [{ type: 'passengers', to: 'target', count: 8 }],
+    message: 'Concert at {target}: a wave of fans on the way'
+  },
+  {
+    id: 'ground_strike',
+    name: 'Ground Crew Strike',
+    description: 'Turnarounds take twice as long at {target}',
+    icon: '🪧',
+    probability: 0.12,
+    duration: 30000,
+    minDay: 5,
+    cooldown: 80000,
+    targets: { kind: 'airport', served: true },
+    effects: [{ type: 'airport', field: 'turnaroundMs', mul: 2 }],
+    message: 'Ground crew strike at {target}: slow turnarounds',
+    endMessage: 'Strike over at {target}'
+  },
+  {
+    id: 'security_backlog',
+    name: 'Security Backlog',
+    description: 'Connections take longer at {target}',
+    icon: '🛃',
+    probability: 0.12,
+    duration: 30000,
+    minDay: 4,
+    cooldown: 80000,
+    targets: { kind: 'airport', served: true },
+    effects: [{ type: 'airport', field: 'mctMs', mul: 2 }],
+    message: 'Security backlog at {target}: connections take longer',
+    endMessage: 'Security queues cleared at {target}'
+  },
+  {
+    id: 'runway_closure',
+    name: 'Runway Closure',
+    description: '{target} closed for runway repairs',
+    icon: '🚧',
+    probability: 0.1,
+    duration: 20000,
+    minDay: 6,
+    cooldown: 90000,
+    // Never a final, so every destination stays open
+    targets: { kind: 'airport', served: true, final: false },
+    effects: [{ type: 'closeAirport' }],
+    message: 'Runway closure at {target}: planes hold short, passengers rebooked',
+    endMessage: '{target} runway reopened'
+  },
+  {
+    id: 'notam',
+    name: 'NOTAM',
+    description: 'Scheduled airspace closure',
+    icon: '📛',
+    probability: 0.2,
+    duration: 0, // set per NOTAM by the planner
+    minDay: 5,
+    cooldown: 60000,
+    plan: 'notam',
+    effects: [{ type: 'notam' }]
+  }
+];
+
+// Built-in events merged with config.events: { [id]: definition }, in roll order
+export function eventDefinitions(config){
+  const defs = {};
+  for (const def of DEFAULT_EVENTS) defs[def.id] = def;
+  for (const def of (config && config.events) || []){
+    if (!def || !def.id) continue;
+    defs[def.id] = { ...(defs[def.id] || {}), ...def };
+  }
+  for (const id of Object.keys(defs)) if (defs[id].enabled === false) delete defs[id];
+  return defs;
+}
+
+// Chance of the event on one roll on this day
+export function eventChance(def, day = 1){
+  const p = def.probability ?? 0;
+  if (typeof p === 'number') return p * Math.min(2, 1 + (day - 1) * 0.1);
+  if (!Array.isArray(p) || p.length === 0) return 0;
+  if (day <= p[0][0]) return p[0][1];
+  for (let i = 1; i < p.length; i++){
+    const [d0, c0] = p[i - 1], [d1, c1] = p[i];
+    if (day <= d1) return c0 + (c1 - c0) * (day - d0) / Math.max(1e-9, d1 - d0);
+  }
+  return p[p.length - 1][1];
+}
+
+const isObject = (v) => v != null && typeof v === 'object' && !Array.isArray(v);
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+const PASSENGER_ENDS = ['target', 'final', 'any'];
+
+function validateEffect(fx, def, at, err){
+  if (!isObject(fx)) { err(at, 'must be an object'); return; }
+  if (!EFFECTS[fx.type]) { err(`${at}.type`, `must be one of ${Object.keys(EFFECTS).join(', ')}, got ${JSON.stringify(fx.type)}`); return; }
+  const targetsAirports = isObject(def.targets) && AIRPORT_KINDS.includes(def.targets.kind);
+  for (const k of ['mul', 'add', 'set', 'min', 'max']){
+    if (fx[k] !== undefined && !isNum(fx[k])) err(`${at}.${k}`, 'must be a number');
+  }
+  switch (fx.type){
+    case 'config':
+      if (typeof fx.key !== 'string' || !fx.key) err(`${at}.key`, 'required, must be a config key');
+      break;
+    case 'inventory':
+      if (!(fx.item in INVENTORY)) err(`${at}.item`, `must be one of ${Object.keys(INVENTORY).join(', ')}`);
+      if (!(Number.isInteger(fx.add) && fx.add >= 1)) err(`${at}.add`, 'required, must be a whole number >= 1');
+      if (fx.temporary !== undefined && typeof fx.temporary !== 'boolean') err(`${at}.temporary`, 'must be true or false');
+      break;
+    case 'weather':
+      if (typeof fx.enabled !== 'boolean') err(`${at}.enabled`, 'required, must be true or false');
+      break;
+    case 'modifier':
+      if (!MODIFIER_STATS.includes(fx.stat)) err(`${at}.stat`, `must be one of ${MODIFIER_STATS.join(', ')}`);
+      if (fx.mul !== undefined && !(fx.mul >= 0)) err(`${at}.mul`, 'must be a number >= 0');
+      if (!(def.duration > 0)) err(`${at}`, 'needs an event duration');
+      break;
+    case 'airport':
+      if (!AIRPORT_FIELDS.includes(fx.field)) err(`${at}.field`, `must be one of ${AIRPORT_FIELDS.join(', ')}`);
+      if (!targetsAirports) err(at, 'needs airport targets');
+      break;
+    case 'passengers':
+      if (fx.count !== undefined && !(Number.isInteger(fx.count) && fx.count >= 1)) err(`${at}.count`, 'must be a whole number >= 1');
+      for (const k of ['from', 'to']){
+        if (fx[k] === undefined) continue;
+        if (!PASSENGER_ENDS.includes(fx[k])) err(`${at}.${k}`, `must be one of ${PASSENGER_ENDS.join(', ')}`);
+        else if (fx[k] === 'target' && !targetsAirports) err(`${at}.${k}`, '"target" needs airport targets');
+      }
+      if (fx.vip !== undefined && typeof fx.vip !== 'boolean') err(`${at}.vip`, 'must be true or false');
+      break;
+    case 'closeAirport':
+      if (!targetsAirports) err(at, 'needs airport targets');
+      if (!(def.duration > 0)) err(at, 'needs an event duration');
+      break;
+    case 'notam':
+      if (def.plan !== 'notam') err(at, 'needs "plan": "notam"');
+      break;
+  }
+}
+
+// Problems with a list of event definitions (a map's "events"); empty when usable
+export function validateEventDefs(events, path = 'events'){
+  const errors = [];
+  const err = (p, msg) => errors.push(`${p}: ${msg}`);
+  if (!Array.isArray(events)) return [`${path}: must be an array`];
+  const builtIn = eventDefinitions(null);
+  const ids = new Set();
+  events.forEach((raw, i) => {
+    const at = `${path}[${i}]`;
+    if (!isObject(raw)) { err(at, 'must be an object'); return; }
+    if (typeof raw.id !== 'string' || !raw.id.trim()) { err(`${at}.id`, 'required, must be a non-empty string'); return; }
+    if (ids.has(raw.id)) err(`${at}.id`, `duplicate event id "${raw.id}"`);
+    ids.add(raw.id);
+    if (raw.enabled !== undefined && typeof raw.enabled !== 'boolean') err(`${at}.enabled`, 'must be true or false');
+    if (raw.enabled === false) return;
+    // Overrides are checked as the built-in event they change
+    const def = { ...(builtIn[raw.id] || {}), ...raw };
+    if (!builtIn[raw.id]){
+      if (typeof def.name !== 'string' || !def.name.trim()) err(`${at}.name`, 'required for a new event, must be a non-empty string');
+      if (!Array.isArray(def.effects)) err(`${at}.effects`, 'required for a new event, must be an array');
+    }
+    for (const k of ['name', 'description', 'icon', 'message', 'endMessage']){
+      if (def[k] !== undefined && typeof def[k] !== 'string') err(`${at}.${k}`, 'must be a string');
+    }
+    const p = def.probability;
+    if (Array.isArray(p)){
+      const ok = p.length > 0 && p.every((pt, j) => Array.isArray(pt) && pt.length === 2 && isNum(pt[0]) && isNum(pt[1]) && pt[1] >= 0 && pt[1] <= 1 && (j === 0 || pt[0] > p[j - 1][0]));
+      if (!ok) err(`${at}.probability`, 'must be [[day, chance], ...] with days in increasing order and chances from 0 to 1');
+    } else if (!(isNum(p) && p >= 0 && p <= 1)) err(`${at}.probability`, 'required, must be a number from 0 to 1 or [[day, chance], ...]');
+    for (const k of ['duration', 'cooldown']){
+      if (def[k] !== undefined && !(isNum(def[k]) && def[k] >= 0)) err(`${at}.${k}`, 'must be a number of ms >= 0');
+    }
+    if (def.minDay !== undefined && !(Number.isInteger(def.minDay) && def.minDay >= 1)) err(`${at}.minDay`, 'must be a whole number >= 1');
+    if (def.when !== undefined){
+      if (!isObject(def.when)) err(`${at}.when`, 'must be an object');
+      else for (const [k, v] of Object.entries(def.when)){
+        if (!CONDITIONS[k]) err(`${at}.when.${k}`, `unknown condition (have: ${Object.keys(CONDITIONS).join(', ')})`);
+        else if (k === 'weather' ? typeof v !== 'boolean' : !isNum(v)) err(`${at}.when.${k}`, k === 'weather' ? 'must be true or false' : 'must be a number');
+      }
+    }
+    if (def.targets !== undefined){
+      const t = def.targets;
+      if (!isObject(t)) err(`${at}.targets`, 'must be an object');
+      else {
+        if (!TARGETS[t.kind]) err(`${at}.targets.kind`, `must be one of ${Object.keys(TARGETS).join(', ')}`);
+        if (t.count !== undefined && !(Number.isInteger(t.count) && t.count >= 1)) err(`${at}.targets.count`, 'must be a whole number >= 1');
+        for (const k of ['served', 'final']){
+          if (t[k] !== undefined && typeof t[k] !== 'boolean') err(`${at}.targets.${k}`, 'must be true or false');
+        }
+      }
+    }
+    if (def.plan !== undefined && !PLANNERS[def.plan]) err(`${at}.plan`, `must be one of ${Object.keys(PLANNERS).join(', ')}`);
+    if (Array.isArray(def.effects)) def.effects.forEach((fx, j) => validateEffect(fx, def, `${at}.effects[${j}]`, err));
+    else if (def.effects !== undefined) err(`${at}.effects`, 'must be an array');
+  });
+  return errors;
+}
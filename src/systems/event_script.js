@@ -0,0 +1,252 @@
+// Event scripting: the pieces event definitions are built from (the format and
+// the built-in events are in event_defs.js)
+//   CONDITIONS  when: { name: value }; every one must hold for the event to roll
+//   TARGETS     targets: { kind, count, served, final }; picked when the event starts,
+//               kept as event.targetKind / event.targetIds
+//   EFFECTS     effects: [{ type, ...params }]; apply returns an undo record
+//               (plain data, saved with the event) that revert uses at the end
+//   PLANNERS    plan: name; events that pick their own details and are announced
+//               ahead (see EventSystem.scheduleEvent)
+
+import { planNotam, applyNotam, liftNotam, rebookPassengers, getNotamClosures } from './notams.js';
+import { bumpNetworkRevision } from './routing.js';
+import { addModifier, removeModifier } from './modifiers.js';
+import { addPassenger } from './passengers.js';
+import { isOutOfService } from './maintenance.js';
+import { aircraftType } from './fleet.js';
+import { lineDisplayName } from './lines_final.js';
+
+const waiting = (game) => game.stations.reduce((s, st) => s + ((st && st.queue) ? st.queue.length : 0), 0);
+
+export const CONDITIONS = {
+  maxDay: (game, day) => (game.day || 1) <= day,
+  minWaiting: (game, n) => waiting(game) >= n,
+  maxWaiting: (game, n) => waiting(game) <= n,
+  minRoutes: (game, n) => game.lines.length >= n,
+  minPlanes: (game, n) => game.trains.length >= n,
+  minAirports: (game, n) => game.stations.filter(Boolean).length >= n,
+  weather: (game, on) => !!(game.weather && game.weather.enabled) === !!on
+};
+
+export function conditionsMet(game, when){
+  return Object.entries(when || {}).every(([name, value]) => CONDITIONS[name] && CONDITIONS[name](game, value));
+}
+
+function servedAirports(game){
+  return new Set(game.lines.flatMap(l => (l && l.stations) || []));
+}
+
+export const AIRPORT_KINDS = ['airport', 'final', 'hub', 'regional'];
+
+// kind -> candidates: [{ id, name }]. Airports already closed are never targets;
+// served: only airports on a route, final: false leaves finals out
+export const TARGETS = {
+  airport: (game, { served, final }) => {
+    const on = served ? servedAirports(game) : null;
+    const closed = getNotamClosures(game).airports;
+    return game.stations.filter(s => s && !closed.has(s.id) && (!on || on.has(s.id)) && (final === undefined || !!s.isFinal === final));
+  },
+  final: (game, opts) => TARGETS.airport(game, opts).filter(s => s.isFinal),
+  hub: (game, opts) => TARGETS.airport(game, opts).filter(s => s.isInterchange),
+  // Neither hub nor final
+  regional: (game, opts) => TARGETS.airport(game, opts).filter(s => !s.isInterchange && !s.isFinal),
+  plane: (game) => game.trains.filter(t => t && !isOutOfService(game, t) && game.lines[t.lineId])
+    .map(t => ({ id: t.id, name: `${aircraftType(t).short} on ${lineDisplayName(game, game.lines[t.lineId])}` })),
+  route: (game) => game.lines.filter(l => l && l.stations.length >= 2).map(l => ({ id: l.id, name: lineDisplayName(game, l) }))
+};
+
+// { targetKind, targetIds, targetNames }, or null when nothing qualifies
+export function pickTargets(game, targets){
+  if (!targets) return { targetKind: null, targetIds: [], targetNames: [] };
+  const pool = [...TARGETS[targets.kind](game, targets)];
+  const picked = [];
+  for (let n = targets.count ?? 1; n > 0 && pool.length > 0; n--) picked.push(...pool.splice(game.rng.int(pool.length), 1));
+  if (picked.length === 0) return null;
+  return { targetKind: targets.kind, targetIds: picked.map(t => t.id), targetNames: picked.map(t => t.name) };
+}
+
+// '{target}' in event text: the names of the targets
+export function fillTargets(text, event){
+  return String(text || '').replace(/\{target\}/g, (event.targetNames || []).join(', ') || 'the network');
+}
+
+export const INVENTORY = { routes: 'linesAvailable', planes: 'trainsAvailable', permits: 'tunnels' };
+export const AIRPORT_FIELDS = ['turnaroundMs', 'mctMs'];
+
+function scaled(value, { mul = 1, add = 0, set, min = -Infinity, max = Infinity }){
+  return Math.min(max, Math.max(min, set !== undefined ? set : value * mul + add));
+}
+
+// Put back the value a number had before an effect, keeping any other change
+// made since (two events scaling the same value can end in either order)
+function restoreNumber(current, prev, value){
+  if (current === value || typeof current !== 'number' || !value) return prev;
+  return current * (prev / value);
+}
+
+// Planes an effect acts on: the event's target planes, or every plane
+function targetPlanes(game, event){
+  if (event.targetKind === 'plane') return game.trains.filter(t => t && event.targetIds.includes(t.id));
+  if (event.targetKind === 'route') return game.trains.filter(t => t && event.targetIds.includes(t.lineId));
+  return game.trains.filter(Boolean);
+}
+
+export const EFFECTS = {
+  // Scale or set a config value: { key, mul, add, set, min, max }
+  config: {
+    apply(game, event, fx){
+      const prev = game.config[fx.key];
+      const value = typeof prev === 'number' ? scaled(prev, fx) : fx.set;
+      game.config[fx.key] = value;
+      return { key: fx.key, prev, value };
+    },
+    revert(game, event, undo){
+      game.config[undo.key] = restoreNumber(game.config[undo.key], undo.prev, undo.value);
+    }
+  },
+
+  // Add to the player's inventory: { item: 'routes' | 'planes' | 'permits', add,
+  // temporary }; temporary takes back whatever is still unused at the end
+  inventory: {
+    apply(game, event, fx){
+      const key = INVENTORY[fx.item];
+      game[key] = (game[key] || 0) + fx.add;
+      if (game.updateHUD) game.updateHUD();
+      return { item: fx.item, add: fx.add, temporary: !!fx.temporary };
+    },
+    revert(game, event, undo){
+      if (!undo.temporary) return;
+      const key = INVENTORY[undo.item];
+      game[key] -= Math.max(0, Math.min(undo.add, game[key] || 0));
+      if (game.updateHUD) game.updateHUD();
+    }
+  },
+
+  // Turn weather on or off: { enabled }
+  weather: {
+    apply(game, event, fx){
+      const prev = !!game.weather.enabled;
+      game.weather.enabled = !!fx.enabled;
+      return { prev };
+    },
+    revert(game, event, undo){
+      game.weather.enabled = undo.prev;
+    }
+  },
+
+  // A plane modifier for the event's duration (see modifiers.js): { stat, mul, add }
+  // on the target planes (or the planes on the target routes), else on every plane.
+  // One per stat and event.
+  modifier: {
+    apply(game, event, fx){
+      const id = `event:${event.type}:${fx.stat}`;
+      const trains = targetPlanes(game, event);
+      const durationMs = event.endTime > event.startTime ? event.endTime - game.gameTime : null;
+      for (const t of trains) addModifier(game, t, { id, stat: fx.stat, source: 'event', mul: fx.mul ?? 1, add: fx.add ?? 0, durationMs });
+      return { id, trains: trains.map(t => t.id) };
+    },
+    revert(game, event, undo){
+      for (const t of game.trains) if (t && undo.trains.includes(t.id)) removeModifier(t, undo.id);
+    }
+  },
+
+  // Scale a field of the target airports: { field: 'turnaroundMs' | 'mctMs', mul }
+  airport: {
+    apply(game, event, fx){
+      const changes = [];
+      for (const id of event.targetIds){
+        const s = game.stations[id];
+        if (!s || typeof s[fx.field] !== 'number') continue;
+        const prev = s[fx.field];
+        s[fx.field] = scaled(prev, fx);
+        changes.push({ id, prev, value: s[fx.field] });
+      }
+      return { field: fx.field, changes };
+    },
+    revert(game, event, undo){
+      for (const c of undo.changes){
+        const s = game.stations[c.id];
+        if (s) s[undo.field] = restoreNumber(s[undo.field], c.prev, c.value);
+      }
+    }
+  },
+
+  // Extra passengers: { count, from, to, vip, pointMultiplier }; from / to:
+  // 'target' (the event's target airports), 'final' or 'any'
+  passengers: {
+    apply(game, event, fx){
+      const airports = (where) => {
+        if (where === 'target') return event.targetIds.map(id => game.stations[id]).filter(Boolean);
+        return game.stations.filter(s => s && (where !== 'final' || s.isFinal));
+      };
+      const extra = fx.vip ? { isVIP: true, pointMultiplier: fx.pointMultiplier ?? 3 } : {};
+      for (let i = 0; i < (fx.count ?? 1); i++){
+        const dest = game.rng.pick(airports(fx.to || 'any'));
+        const origin = game.rng.pick(airports(fx.from || 'any').filter(s => dest && s.id !== dest.id));
+        if (origin && dest) addPassenger(game, origin, dest, extra);
+      }
+      return null;
+    }
+  },
+
+  // Close the target airports (a runway closure) until the event ends. They count
+  // as closed wherever airport NOTAMs do (getNotamClosures): planes hold short of
+  // them, routing leaves them out and passengers bound there are rebooked.
+  closeAirport: {
+    apply(game, event){
+      for (const id of event.targetIds) rebookPassengers(game, id);
+      event.closedAirports = [...event.targetIds];
+      bumpNetworkRevision(game);
+      game.needsRedraw = true;
+      return {};
+    },
+    revert(game, event){
+      event.closedAirports = [];
+      bumpNetworkRevision(game);
+      game.needsRedraw = true;
+    }
+  },
+
+  // A NOTAM closure (event params from the notam planner)
+  notam: {
+    apply(game, event){ applyNotam(game, event); return {}; },
+    revert(game, event){ liftNotam(game, event); }
+  }
+};
+
+export const PLANNERS = {
+  notam: (game) => planNotam(game)
+};
+
+// Apply an event's effects; returns the undo records to keep on the event
+export function applyEffects(game, event, effects){
+  const undo = [];
+  for (const fx of effects || []){
+    const record = EFFECTS[fx.type].apply(game, event, fx);
+    if (record && EFFECTS[fx.type].revert) undo.push({ type: fx.type, ...record });
+  }
+  return undo;
+}
+
+// Undo an event's effects, last applied first
+export function revertEffects(game, event){
+  for (const record of [...(event.undo || [])].reverse()){
+    const effect = EFFECTS[record.type];
+    if (!effect || !effect.revert) continue;
+    try { effect.revert(game, event, record); }
+    catch (e) { console.warn(`Could not revert ${record.type} effect of ${event.type}`, e); }
+  }
+}
+
+// Active events aimed at airports: stationId -> [event], for map icons
+export function eventsByAirport(game){
+  const out = new Map();
+  for (const event of (game.events ? game.events.getActiveEvents() : [])){
+    if (!AIRPORT_KINDS.includes(event.targetKind)) continue;
+    for (const id of event.targetIds || []){
+      if (!out.has(id)) out.set(id, []);
+      out.get(id).push(event);
+    }
+  }
+  return out;
+}
@@ -1,136 +1,11 @@
 // Dynamic events system for Flight Control game
 // Adds variety, challenge, and engagement through special scenarios
+// Event types are data (event_defs.js: the built-in ones plus config.events from
+// the map). Types with a plan are announced ahead: the planner returns the event
+// params (including duration and leadMs) and the event is scheduled instead of spawned.
 
-const EVENT_TYPES = {
-  rush_hour: {
-    name: 'Rush Hour',
-    description: 'Increased passenger spawn rate for 30 seconds',
-    icon: '🏃‍♂️',
-    probability: 0.25,
-    duration: 25000,
-    minDay: 6,
-    cooldown: 45000,
-    effect: (game, event) => {
-      // Increase passenger spawn rate only if network isn't already congested
-      try {
-        const waiting = game.stations.reduce((s, st) => s + ((st && st.queue) ? st.queue.length : 0), 0);
-        if (waiting > 25) {
-          if (game.showToast) game.showToast('Rush Hour deferred due to congestion');
-          return; // Skip applying under heavy load
-        }
-      } catch(_) {}
-      if (!event.originalSpawnRate) {
-        event.originalSpawnRate = game.config.spawnInterval;
-      }
-      game.config.spawnInterval = Math.max(1500, event.originalSpawnRate * 0.7);
-    },
-    cleanup: (game, event) => {
-      if (event.originalSpawnRate) {
-        game.config.spawnInterval = event.originalSpawnRate;
-      }
-    }
-  },
-
-  vip_flight: {
-    name: 'VIP Flight',
-    description: 'High-value passenger worth 3x points arrives',
-    icon: '⭐',
-    probability: 0.4,
-    duration: 0, // Instant event
-    minDay: 1,
-    cooldown: 20000,
-    effect: (game, event) => {
-      // Spawn a high-value passenger
-      const finals = game.stations.filter(s => s.isFinal);
-      if (finals.length === 0) return;
-
-      const randomFinal = finals[Math.floor(Math.random() * finals.length)];
-      const randomStart = game.stations[Math.floor(Math.random() * game.stations.length)];
-
-      if (randomStart.id === randomFinal.id) return;
-
-      const vipPassenger = {
-        id: Math.random(),
-        shape: randomFinal.shape,
-        destStation: randomFinal.id,
-        spawnTime: game.gameTime,
-        isVIP: true,
-        pointMultiplier: 3
-      };
-
-      randomStart.queue.push(vipPassenger);
-      game.showToast(`VIP passenger to ${randomFinal.name} - Worth 3x points!`);
-    }
-  },
-
-  equipment_failure: {
-    name: 'Equipment Failure',
-    description: 'One random plane temporarily slowed',
-    icon: '⚠️',
-    probability: 0.2,
-    duration: 15000,
-    minDay: 6,
-    cooldown: 60000,
-    effect: (game, event) => {
-      if (game.trains.length === 0) return;
-
-      const randomTrain = game.trains[Math.floor(Math.random() * game.trains.length)];
-      event.affectedTrain = randomTrain.id;
-      event.originalSpeed = randomTrain.speed;
-      randomTrain.speed = randomTrain.speed * 0.6;
-
-      game.showToast(`Equipment failure on route - plane slowed`);
-    },
-    cleanup: (game, event) => {
-      const train = game.trains.find(t => t.id === event.affectedTrain);
-      if (train && event.originalSpeed) {
-        train.speed = event.originalSpeed;
-      }
-    }
-  },
-
-  weather_clear: {
-    name: 'Weather Clear',
-    description: 'All weather cells temporarily disappear',
-    icon: '☀️',
-    probability: 0.3,
-    duration: 20000,
-    minDay: 2,
-    cooldown: 40000,
-    effect: (game, event) => {
-      event.wasWeatherEnabled = weather.enabled;
-      weather.enabled = false;
-      game.showToast('Weather cleared - perfect flying conditions!');
-    },
-    cleanup: (game, event) => {
-      if (event.wasWeatherEnabled) {
-        weather.enabled = true;
-      }
-    }
-  },
-
-  bonus_routes: {
-    name: 'Infrastructure Grant',
-    description: 'Temporary extra route available',
-    icon: '🛤️',
-    probability: 0.25,
-    duration: 45000,
-    minDay: 4,
-    cooldown: 80000,
-    effect: (game, event) => {
-      game.linesAvailable += 1;
-      game.showToast('Infrastructure grant - extra route available!');
-      if (game.updateHUD) game.updateHUD();
-    },
-    cleanup: (game, event) => {
-      // Don't remove if player hasn't used it
-      if (game.linesAvailable > 0) {
-        game.linesAvailable -= 1;
-        if (game.updateHUD) game.updateHUD();
-      }
-    }
-  }
-};
+import { eventDefinitions, eventChance } from './event_defs.js';
+import { conditionsMet, pickTargets, fillTargets, applyEffects, revertEffects, PLANNERS } from './event_script.js';
 
 export class EventSystem {
   constructor(game) {
@@ -139,16 +14,38 @@ export class EventSystem {
     this.eventHistory = [];
     this.lastEventTime = 0;
     this.cooldowns = {};
+    this.scheduledEvents = []; // [{ type, startTime, params }]
+    this.defs = null;
+    this.defsFor = null;
+  }
+
+  // Event types by id, rebuilt when the config's events change (a map or save loads)
+  definitions() {
+    const events = this.game.config.events;
+    if (!this.defs || this.defsFor !== events) {
+      this.defs = eventDefinitions(this.game.config);
+      this.defsFor = events;
+    }
+    return this.defs;
   }
 
-  update(currentTime) {
+  // spawn: false still runs scheduled starts and expiries, but rolls no new events
+  update(currentTime, { spawn = true } = {}) {
+    // Start scheduled events that are due
+    if (this.scheduledEvents.length > 0) {
+      const due = this.scheduledEvents.filter(s => currentTime >= s.startTime);
+      if (due.length > 0) {
+        this.scheduledEvents = this.scheduledEvents.filter(s => currentTime < s.startTime);
+        for (const s of due) this.spawnEvent(s.type, currentTime, s.params);
+      }
+    }
+
     // Update active events
     this.activeEvents = this.activeEvents.filter(event => {
       if (currentTime >= event.endTime) {
-        // Event ended, cleanup
-        if (EVENT_TYPES[event.type].cleanup) {
-          EVENT_TYPES[event.type].cleanup(this.game, event);
-        }
+        // Event ended, undo its effects
+        revertEffects(this.game, event);
+        if (event.endMessage && this.game.showToast) this.game.showToast(fillTargets(event.endMessage, event));
         if (this.game.debugLogs) console.log(`Event ended: ${event.name}`);
         return false;
       }
@@ -156,7 +53,7 @@ export class EventSystem {
     });
 
     // Consider spawning new events (not too frequently)
-    if (currentTime - this.lastEventTime > 15000) { // Min 15 seconds between events
+    if (spawn && currentTime - this.lastEventTime > 15000) { // Min 15 seconds between events
       this.considerSpawningEvent(currentTime);
     }
   }
@@ -169,92 +66,101 @@ export class EventSystem {
     if (this.activeEvents.length >= 2) return;
 
     // Check each event type
-    for (const [eventType, eventData] of Object.entries(EVENT_TYPES)) {
+    for (const [eventType, eventData] of Object.entries(this.definitions())) {
       // Check cooldown
       if (this.cooldowns[eventType] && currentTime < this.cooldowns[eventType]) {
         continue;
       }
 
-      // Check minimum day requirement
-      if (this.game.day < eventData.minDay) {
+      // Check minimum day requirement and trigger conditions
+      if (this.game.day < (eventData.minDay || 1) || !conditionsMet(this.game, eventData.when)) {
         continue;
       }
 
-      // Don't spawn if already active
-      if (this.activeEvents.some(e => e.type === eventType)) {
+      // Don't spawn if already active or announced
+      if (this.activeEvents.some(e => e.type === eventType) || this.scheduledEvents.some(s => s.type === eventType)) {
         continue;
       }
 
       // Random chance (affected by day - more events later)
-      const dayMultiplier = Math.min(2, 1 + (this.game.day - 1) * 0.1);
-      const chance = eventData.probability * dayMultiplier;
-
-      if (Math.random() < chance) {
-        this.spawnEvent(eventType, currentTime);
+      const chance = eventChance(eventData, this.game.day);
+
+      if (this.game.rng.next() < chance) {
+        if (eventData.plan) {
+          const params = PLANNERS[eventData.plan](this.game);
+          if (!params) continue;
+          this.scheduleEvent(eventType, currentTime + (params.leadMs || 0), params);
+        } else if (!this.spawnEvent(eventType, currentTime)) {
+          continue; // Nothing to target
+        }
         break; // Only spawn one event at a time
       }
     }
   }
 
-  spawnEvent(eventType, currentTime) {
-    const eventData = EVENT_TYPES[eventType];
-    if (!eventData) return;
+  // Announce an event that starts at startTime; params override the type's
+  // defaults (duration, description, ...) when it spawns
+  scheduleEvent(eventType, startTime, params = {}) {
+    const eventData = this.definitions()[eventType];
+    if (!eventData) return null;
+    const scheduled = { type: eventType, startTime, params };
+    this.scheduledEvents.push(scheduled);
+    this.scheduledEvents.sort((a, b) => a.startTime - b.startTime);
+    this.lastEventTime = this.game.gameTime;
+    this.cooldowns[eventType] = this.game.gameTime + eventData.cooldown;
+    if (this.game.showToast) this.game.showToast(`${eventData.icon} ${eventData.name} issued: ${params.description || eventData.description}`);
+    if (this.game.debugLogs) console.log(`Event scheduled: ${eventData.name} at ${startTime}`);
+    return scheduled;
+  }
+
+  getScheduledEvents() {
+    return this.scheduledEvents;
+  }
+
+  // Start an event now; returns it, or null when it has nothing to target
+  spawnEvent(eventType, currentTime, params = {}) {
+    const eventData = this.definitions()[eventType];
+    if (!eventData) return null;
+    const targets = pickTargets(this.game, eventData.targets);
+    if (!targets) return null;
 
+    const duration = params.duration ?? eventData.duration ?? 0;
     const event = {
       type: eventType,
       name: eventData.name,
       description: eventData.description,
       icon: eventData.icon,
+      endMessage: eventData.endMessage,
       startTime: currentTime,
-      endTime: currentTime + eventData.duration,
-      ...eventData // Copy additional properties
+      ...params,
+      ...targets,
+      endTime: currentTime + duration
     };
+    event.description = fillTargets(event.description, event);
 
     this.activeEvents.push(event);
-    this.eventHistory.push({ ...event });
     this.lastEventTime = currentTime;
-    this.cooldowns[eventType] = currentTime + eventData.cooldown;
-
-    // Apply event effect
-    if (eventData.effect) {
-      eventData.effect(this.game, event);
+    this.cooldowns[eventType] = Math.max(this.cooldowns[eventType] || 0, currentTime + (eventData.cooldown || 0));
+
+    // Apply event effects, keeping what it takes to undo them
+    try {
+      event.undo = applyEffects(this.game, event, eventData.effects);
+    } catch (e) {
+      console.warn(`Event ${eventType} failed to apply`, e);
+      event.undo = [];
     }
+    this.eventHistory.push({ ...event });
+    if (eventData.message && this.game.showToast) this.game.showToast(fillTargets(eventData.message, event));
 
     // Show notification
     this.showEventNotification(event);
 
     if (this.game.debugLogs) console.log(`Event spawned: ${event.name}`);
+    return event;
   }
 
   showEventNotification(event) {
-    // Create a special event notification
-    const notification = document.createElement('div');
-    notification.className = 'event-notification';
-    notification.innerHTML = `
-      <div class="event-content">
-        <div class="event-icon">${event.icon}</div>
-        <div class="event-text">
-          <div class="event-title">Special Event</div>
-          <div class="event-name">${event.name}</div>
-          <div class="event-desc">${event.description}</div>
-        </div>
-      </div>
-    `;
-
-    document.body.appendChild(notification);
-
-    // Animate in
-    setTimeout(() => notification.classList.add('show'), 10);
-
-    // Remove after delay
-    setTimeout(() => {
-      notification.classList.remove('show');
-      setTimeout(() => {
-        if (notification.parentNode) {
-          document.body.removeChild(notification);
-        }
-      }, 300);
-    }, 5000);
+    if (this.game.notifier) this.game.notifier.eventStarted(event);
   }
 
   getActiveEvents() {
@@ -262,14 +168,34 @@ export class EventSystem {
   }
 
   forceEvent(eventType) {
-    // Debug function to force spawn an event
-    this.spawnEvent(eventType, this.game.gameTime);
+    // Debug function to force spawn an event (planned events start right away)
+    const eventData = this.definitions()[eventType];
+    const params = eventData && eventData.plan ? PLANNERS[eventData.plan](this.game) : {};
+    if (!params) return null;
+    return this.spawnEvent(eventType, this.game.gameTime, params);
   }
-}
 
-// Weather reference will be passed when needed
-let weather = null;
+  // Plain-data snapshot for save files
+  getState() {
+    const copy = (value) => JSON.parse(JSON.stringify(value));
+    return {
+      activeEvents: copy(this.activeEvents),
+      eventHistory: copy(this.eventHistory.slice(-20)),
+      lastEventTime: this.lastEventTime,
+      cooldowns: { ...this.cooldowns },
+      scheduledEvents: this.scheduledEvents.map(s => ({ ...s, params: { ...s.params } }))
+    };
+  }
 
-export function setWeatherReference(weatherRef) {
-  weather = weatherRef;
+  // Restore a snapshot from getState(); effects are not re-applied, their
+  // results are already part of the saved game (and event.undo reverts them)
+  restoreState(state) {
+    if (!state) return;
+    const defs = this.definitions();
+    this.activeEvents = (state.activeEvents || []).filter(event => defs[event.type]);
+    this.eventHistory = state.eventHistory || [];
+    this.lastEventTime = state.lastEventTime || 0;
+    this.cooldowns = { ...(state.cooldowns || {}) };
+    this.scheduledEvents = (state.scheduledEvents || []).filter(s => defs[s.type]);
+  }
 }
@@ -0,0 +1,212 @@
+// Aircraft types and the hangar of spare planes
+// Every plane has a type from AIRCRAFT_TYPES; speed is a multiple of
+// config.trainSpeed, turnaround a multiple of the airport's turnaround time.
+//   permits  may fly routes that cross permit airspace
+//   runway   shortest runway it lands on: 'small' (any airport) or 'large'
+//
+// game.trainsAvailable stays the number of spare planes of any type;
+// game.hangar = { [type]: count } holds the spare planes that are not narrow-bodies,
+// so everything that adds or uses a plane without a type deals in narrow-bodies.
+//
+// Airports are large when the map says so (runway: 'large'), otherwise when they
+// are hubs or final destinations; runway: 'small' keeps a hub small.
+//
+// Player fleet management: planes can be moved between routes or parked back in
+// the hangar, and line.pinnedTrains (null: automatic) fixes a route's plane count
+// so optimizeTrainAllocation leaves it alone. Moving or parking a plane on a
+// pinned route moves the pin with it. Planes grounded for repairs stay put.
+
+import { checkRestrictedCrossings } from './airspace.js';
+import { bumpNetworkRevision } from './routing.js';
+import { isOutOfService } from './maintenance.js';
+
+export const DEFAULT_AIRCRAFT = 'narrowbody';
+
+export const AIRCRAFT_TYPES = {
+  turboprop: { label: 'Regional turboprop', short: 'Turboprop', icon: '🛩️', speed: 0.8, capacity: 6, turnaround: 0.6, permits: true, runway: 'small' },
+  narrowbody: { label: 'Narrow-body jet', short: 'Narrow-body', icon: '✈️', speed: 1.0, capacity: 10, turnaround: 1.0, permits: true, runway: 'small' },
+  widebody: { label: 'Wide-body jet', short: 'Wide-body', icon: '🛫', speed: 1.15, capacity: 18, turnaround: 1.5, permits: false, runway: 'large' },
+  cargo: { label: 'Cargo combi', short: 'Cargo', icon: '📦', speed: 0.9, capacity: 14, turnaround: 1.8, permits: false, runway: 'small' }
+};
+
+export function aircraftType(train){
+  return AIRCRAFT_TYPES[train && train.type] || AIRCRAFT_TYPES[DEFAULT_AIRCRAFT];
+}
+
+export function airportRunway(station){
+  if (!station) return 'small';
+  if (station.runway === 'large' || station.runway === 'small') return station.runway;
+  return (station.isInterchange || station.isFinal) ? 'large' : 'small';
+}
+
+// Does the route cross airspace that costs permits (legs with a free detour don't)?
+export function lineNeedsPermits(game, line){
+  const segments = [];
+  for (let i = 0; i < line.stations.length - 1; i++){
+    segments.push([game.stations[line.stations[i]], game.stations[line.stations[i + 1]]]);
+  }
+  if (line.isLoop && line.stations.length > 2) segments.push([game.stations[line.stations[line.stations.length - 1]], game.stations[line.stations[0]]]);
+  return (checkRestrictedCrossings(game, segments, { permits: Infinity }).cost || 0) > 0;
+}
+
+// Why a type can't fly this route (null when it can). stations: airports it
+// would have to land at, all of the route's by default.
+export function aircraftRestriction(game, line, type, stations = line.stations){
+  const spec = AIRCRAFT_TYPES[type];
+  if (!spec) return 'unknown aircraft';
+  if (spec.runway === 'large'){
+    const short = stations.map(si => game.stations[si]).find(s => s && airportRunway(s) !== 'large');
+    if (short) return `${short.name} runway too short for a ${spec.short}`;
+  }
+  if (!spec.permits && lineNeedsPermits(game, line)) return `${spec.short} not cleared for restricted airspace`;
+  return null;
+}
+
+// Why the route's planes can't take stationIdx as a new stop (null when they can);
+// permitLegs: the new legs cost permits
+export function extensionRestriction(game, line, stationIdx, permitLegs = false){
+  const station = game.stations[stationIdx];
+  for (const id of line.trains || []){
+    const spec = aircraftType(game.trains.find(t => t && t.id === id));
+    if (spec.runway === 'large' && airportRunway(station) !== 'large') return `${station ? station.name : 'Airport'} runway too short for the ${spec.short} on this route`;
+    if (!spec.permits && permitLegs) return `The ${spec.short} on this route is not cleared for restricted airspace`;
+  }
+  return null;
+}
+
+// Spare planes by type; the hangar never holds more than trainsAvailable
+export function spareAircraft(game){
+  const total = Math.max(0, game.trainsAvailable || 0);
+  const counts = {};
+  let left = total;
+  for (const type of Object.keys(AIRCRAFT_TYPES)){
+    if (type === DEFAULT_AIRCRAFT) continue;
+    counts[type] = Math.min(left, Math.max(0, (game.hangar && game.hangar[type]) || 0));
+    left -= counts[type];
+  }
+  counts[DEFAULT_AIRCRAFT] = left;
+  return counts;
+}
+
+// The type createTrain takes out of the hangar for this route: the requested one
+// when it is spare and allowed, else the roomiest spare type allowed here,
+// else a narrow-body
+export function pickAircraftType(game, line, requested = null){
+  const spare = spareAircraft(game);
+  const fits = (type) => spare[type] > 0 && !aircraftRestriction(game, line, type);
+  if (requested && fits(requested)) return requested;
+  const options = Object.keys(AIRCRAFT_TYPES).filter(fits).sort((a, b) => AIRCRAFT_TYPES[b].capacity - AIRCRAFT_TYPES[a].capacity);
+  return options[0] || DEFAULT_AIRCRAFT;
+}
+
+// A spare plane of this type leaves the hangar (the caller counts trainsAvailable)
+export function takeFromHangar(game, type){
+  if (type === DEFAULT_AIRCRAFT || !game.hangar || !game.hangar[type]) return;
+  game.hangar[type]--;
+}
+
+// A plane comes back as a spare (its route was removed)
+export function returnToHangar(game, train){
+  const type = train && train.type;
+  if (!type || type === DEFAULT_AIRCRAFT || !AIRCRAFT_TYPES[type]) return;
+  if (!game.hangar) game.hangar = {};
+  game.hangar[type] = (game.hangar[type] || 0) + 1;
+}
+
+// A new spare plane of this type
+export function addAircraft(game, type = DEFAULT_AIRCRAFT){
+  game.trainsAvailable = (game.trainsAvailable || 0) + 1;
+  if (type !== DEFAULT_AIRCRAFT && AIRCRAFT_TYPES[type]){
+    if (!game.hangar) game.hangar = {};
+    game.hangar[type] = (game.hangar[type] || 0) + 1;
+  }
+}
+
+function findLine(game, lineId){
+  return game.lines.find(l => l && l.id === lineId) || null;
+}
+
+// Passengers aboard get off at the airport the plane last stopped at
+export function unloadPassengers(game, train, line){
+  const station = game.stations[train.lastStationVisited] || (line && game.stations[line.stations[0]]);
+  if (station) for (const p of train.passengers){
+    p.transferReadyAt = game.gameTime;
+    station.queue.push(p);
+  }
+  train.passengers = [];
+}
+
+function networkChanged(game){
+  bumpNetworkRevision(game);
+  if (game.needsRedraw !== undefined) game.needsRedraw = true;
+}
+
+function followPin(line){
+  if (line && line.pinnedTrains != null) line.pinnedTrains = line.trains.length;
+}
+
+function grounded(game, train){
+  if (!isOutOfService(game, train)) return false;
+  if (game.showToast) game.showToast(`${aircraftType(train).short} is grounded for repairs`);
+  return true;
+}
+
+// Take a plane off its route and back into the hangar as a spare
+export function parkTrain(game, train){
+  if (grounded(game, train)) return false;
+  const line = findLine(game, train.lineId);
+  unloadPassengers(game, train, line);
+  if (line){
+    line.trains = line.trains.filter(id => id !== train.id);
+    followPin(line);
+  }
+  game.trains = game.trains.filter(t => t !== train);
+  returnToHangar(game, train);
+  game.trainsAvailable = (game.trainsAvailable || 0) + 1;
+  networkChanged(game);
+  return true;
+}
+
+// Move a plane to another route; it starts over from that route's first airport
+export function moveTrain(game, train, toLineId){
+  const from = findLine(game, train.lineId), to = findLine(game, toLineId);
+  if (!to || to === from || to.stations.length < 2) return false;
+  if (grounded(game, train)) return false;
+  const why = aircraftRestriction(game, to, train.type || DEFAULT_AIRCRAFT);
+  if (why){ if (game.showToast) game.showToast(why); return false; }
+  unloadPassengers(game, train, from);
+  if (from){
+    from.trains = from.trains.filter(id => id !== train.id);
+    followPin(from);
+  }
+  to.trains.push(train.id);
+  followPin(to);
+  Object.assign(train, {
+    lineId: to.id, position: 0, direction: 1, pattern: null,
+    lastStationVisited: -1, stationCooldown: 0, dwellRemaining: 0,
+    departAt: null, holding: false, heldForSlot: false,
+    divertTo: null, holdPattern: null, coverFor: null, returnToReserve: false
+  });
+  networkChanged(game);
+  return true;
+}
+
+// Pin a route at count planes (null hands it back to the optimizer). Spare
+// planes fill it up to the pin; planes over the pin are parked, except those
+// grounded for repairs.
+export function setLinePin(game, lineId, count){
+  const line = findLine(game, lineId);
+  if (!line) return false;
+  if (count == null){ line.pinnedTrains = null; return true; }
+  const pin = Math.max(0, Math.floor(count));
+  line.trains = line.trains.filter(id => game.trains.some(t => t && t.id === id));
+  const parkable = line.trains.map(id => game.trains.find(t => t && t.id === id)).filter(t => !isOutOfService(game, t));
+  while (line.trains.length > pin && parkable.length) parkTrain(game, parkable.pop());
+  while (line.trains.length < pin && game.trainsAvailable > 0 && game.createTrain){
+    if (!game.createTrain(line.id)) break;
+    game.trainsAvailable--;
+  }
+  line.pinnedTrains = pin;
+  if (line.trains.length < pin && game.showToast) game.showToast(`No spare planes: route pinned at ${pin}, flying ${line.trains.length}`);
+  return true;
+}
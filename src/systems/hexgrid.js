@@ -1,5 +1,11 @@
 // Hexagonal lattice routing (true 60°). Provides hex conversions and A* pathfinding.
 
+import { getRestrictedZones, zoneRule } from './airspace.js';
+import { getNotamClosures } from './notams.js';
+import { pointInCell } from './weather.js';
+import { segmentCrossesPolygon, pointInPolygon } from '../utils/intersections.js';
+import { MinHeap } from '../utils/heap.js';
+
 // Defaults; size is usually supplied via config, but we keep a sane fallback.
 const DEFAULT_HEX_SIZE = 44;
 
@@ -59,57 +65,90 @@ function hexDistance(a, b) {
   return (Math.abs(a.q - b.q) + Math.abs(a.r - b.r) + Math.abs(a.s - b.s)) / 2;
 }
 
-// Minimal A* search on infinite hex lattice. Stateless and game-agnostic for compatibility.
-export function hexAStar(startWorld, endWorld, size = DEFAULT_HEX_SIZE) {
-  const start = pixelToCube(startWorld.x, startWorld.y, size);
-  const goal = pixelToCube(endWorld.x, endWorld.y, size);
-
-  const key = (c) => `${c.q},${c.r},${c.s}`;
-  const open = [start];
+// Integer key for a cube coordinate (s is implied by q + r + s = 0); valid for
+// |q|, |r| < 32768, far beyond any map
+const KEY_OFFSET = 32768;
+const KEY_STRIDE = 65536;
+export function cubeKey(q, r) { return (q + KEY_OFFSET) * KEY_STRIDE + (r + KEY_OFFSET); }
+function keyQ(key) { return Math.floor(key / KEY_STRIDE) - KEY_OFFSET; }
+function keyR(key) { return (key % KEY_STRIDE) - KEY_OFFSET; }
+
+const NEIGHBOR_DQ = [1, 1, 0, -1, -1, 0];
+const NEIGHBOR_DR = [-1, 0, 1, 1, 0, -1];
+
+// A* core shared by hexAStar and hexAStarCost: binary-heap open set with lazy
+// deletion, integer keys, and the search bounded to the start/goal box plus `pad`
+// hexes so an unreachable goal ends the search. cost is null for uniform steps.
+function searchHex(start, goal, size, cost, minCost, pad) {
+  const loQ = Math.min(start.q, goal.q) - pad, hiQ = Math.max(start.q, goal.q) + pad;
+  const loR = Math.min(start.r, goal.r) - pad, hiR = Math.max(start.r, goal.r) + pad;
+  const loS = Math.min(start.s, goal.s) - pad, hiS = Math.max(start.s, goal.s) + pad;
+  const h = (q, r) => ((Math.abs(q - goal.q) + Math.abs(r - goal.r) + Math.abs(q + r - goal.q - goal.r)) / 2) * minCost;
+
+  const startKey = cubeKey(start.q, start.r);
+  const goalKey = cubeKey(goal.q, goal.r);
+  const g = new Map([[startKey, 0]]);
   const came = new Map();
-  const g = new Map();
-  const f = new Map();
-  g.set(key(start), 0);
-  f.set(key(start), hexDistance(start, goal));
-  const inOpen = new Set([key(start)]);
-
-  while (open.length) {
-    // Node with lowest f-score
-    let idx = 0;
-    for (let i = 1; i < open.length; i++) {
-      if ((f.get(key(open[i])) ?? Infinity) < (f.get(key(open[idx])) ?? Infinity)) idx = i;
-    }
-    const current = open.splice(idx, 1)[0];
-    inOpen.delete(key(current));
-
-    if (hexDistance(current, goal) < 1) {
-      // Reconstruct path in cube space
-      const pathCubes = [];
-      let cur = current;
-      let curKey = key(cur);
-      pathCubes.unshift(cur);
-      while (came.has(curKey)) {
-        cur = came.get(curKey);
-        curKey = key(cur);
-        pathCubes.unshift(cur);
+  const closed = new Set();
+  const open = new MinHeap();
+  open.push(startKey, h(start.q, start.r));
+
+  while (open.size) {
+    const ck = open.pop();
+    if (closed.has(ck)) continue; // stale entry
+    closed.add(ck);
+
+    if (ck === goalKey) {
+      const path = [];
+      for (let k = ck; k !== undefined; k = came.get(k)) {
+        const q = keyQ(k), r = keyR(k);
+        path.push(cubeToPixel(q, r, -q - r, size));
       }
-      return pathCubes.map(c => cubeToPixel(c.q, c.r, c.s, size));
+      return path.reverse();
     }
 
-    for (const nb of getHexNeighbors(current)) {
-      const nk = key(nb);
-      const tentativeG = (g.get(key(current)) ?? Infinity) + 1; // uniform cost per edge
+    const cq = keyQ(ck), cr = keyR(ck);
+    const gc = g.get(ck);
+    const from = cost ? cubeToPixel(cq, cr, -cq - cr, size) : null;
+    for (let d = 0; d < 6; d++) {
+      const q = cq + NEIGHBOR_DQ[d], r = cr + NEIGHBOR_DR[d], s = -q - r;
+      if (q < loQ || q > hiQ || r < loR || r > hiR || s < loS || s > hiS) continue;
+      const nk = cubeKey(q, r);
+      if (closed.has(nk)) continue;
+      let step = 1; // uniform cost per edge
+      if (cost) {
+        step = cost({ q, r, s }, cubeToPixel(q, r, s, size), from);
+        if (!isFinite(step)) continue;
+        step = Math.max(minCost, step);
+      }
+      const tentativeG = gc + step;
       if (tentativeG < (g.get(nk) ?? Infinity)) {
-        came.set(nk, current);
         g.set(nk, tentativeG);
-        f.set(nk, tentativeG + hexDistance(nb, goal));
-        if (!inOpen.has(nk)) { open.push(nb); inOpen.add(nk); }
+        came.set(nk, ck);
+        open.push(nk, tentativeG + h(q, r));
       }
     }
   }
+  return null;
+}
+
+// Minimal A* search on the hex lattice. Stateless and game-agnostic for compatibility.
+// With uniform costs the goal is always inside the box, so a small margin suffices.
+export function hexAStar(startWorld, endWorld, size = DEFAULT_HEX_SIZE, { margin = 2 } = {}) {
+  const start = pixelToCube(startWorld.x, startWorld.y, size);
+  const goal = pixelToCube(endWorld.x, endWorld.y, size);
+  return searchHex(start, goal, size, null, 1, margin) || [startWorld, endWorld];
+}
 
-  // Fallback (shouldn't be hit in an unbounded lattice)
-  return [startWorld, endWorld];
+// A* over a cost field. cost(cube, point, fromPoint) is the cost of stepping into a
+// hex (Infinity = impassable); minCost must not exceed any finite cost so the
+// heuristic stays admissible. The search is bounded to the start/goal box plus a
+// margin of hexes, so an unreachable goal returns null instead of searching forever.
+export function hexAStarCost(startWorld, endWorld, cost, { size = DEFAULT_HEX_SIZE, minCost = 1, margin = null } = {}) {
+  const start = pixelToCube(startWorld.x, startWorld.y, size);
+  const goal = pixelToCube(endWorld.x, endWorld.y, size);
+  const pad = margin ?? searchPad(start, goal);
+  return searchHex(start, goal, size, cost, minCost, pad);
 }
 
 // Backward-compatible adapter used around the codebase.
@@ -128,25 +167,227 @@ export function createHexPath(ax, ay, bx, by, size = DEFAULT_HEX_SIZE) {
   return out;
 }
 
+// ---------------- Cost-field routing ----------------
+
+function polygonArea(polygon, extra = {}){
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const p of polygon){ minX = Math.min(minX, p.x); minY = Math.min(minY, p.y); maxX = Math.max(maxX, p.x); maxY = Math.max(maxY, p.y); }
+  return { polygon, minX, minY, maxX, maxY, ...extra };
+}
+
+// Does the step from -> to enter (or cut through) the area?
+function stepHitsArea(area, from, to){
+  if (Math.max(from.x, to.x) < area.minX || Math.min(from.x, to.x) > area.maxX) return false;
+  if (Math.max(from.y, to.y) < area.minY || Math.min(from.y, to.y) > area.maxY) return false;
+  return pointInPolygon(to, area.polygon) || segmentCrossesPolygon(from, to, area.polygon);
+}
+
+// Terrain for hexAStarCost on the current map:
+// - closed zones (forbidden, closed today, NOTAM) and NOTAM corridors are impassable;
+//   zones that cost permits are too, unless allowPermits (then each permit adds permitPenalty)
+// - hexes inside weather cells cost weatherPenalty extra (cells snapped to the hex
+//   grid, see snapCell, so a leg's cache key covers everything the storms add)
+// - hexes already used by other routes are discounted by bundlingBonus
+// Returns { cost, minCost }.
+export function createHexCostField(game, { line = null, allowPermits = false, weather = true, bundling = true } = {}){
+  const cfg = (game && game.config && game.config.hexGrid) || {};
+  const size = cfg.size || DEFAULT_HEX_SIZE;
+  const permitPenalty = cfg.permitPenalty ?? 6;
+  const weatherPenalty = cfg.weatherPenalty ?? 2;
+  const bonus = bundling ? Math.max(0, Math.min(0.9, cfg.bundlingBonus ?? 0.4)) : 0;
+  const day = game.day || 1;
+  const closures = getNotamClosures(game);
+
+  const blocked = [], permitAreas = [];
+  for (const zone of getRestrictedZones(game.config)){
+    if (!zone.polygon || zone.polygon.length < 3) continue;
+    const rule = closures.zones.has(zone.name) ? { closed: true, cost: 0 } : zoneRule(zone, day);
+    if (!rule.closed && rule.cost === 0) continue; // free to cross
+    if (rule.closed || !allowPermits) blocked.push(polygonArea(zone.polygon));
+    else permitAreas.push(polygonArea(zone.polygon, { penalty: permitPenalty * rule.cost }));
+  }
+  for (const corridor of closures.corridors) blocked.push(polygonArea(corridor.polygon));
+
+  const cells = (weather && game.weather && game.weather.enabled) ? game.weather.cells.map(c => snapCell(c, size)) : [];
+
+  const shared = new Set();
+  if (bonus > 0){
+    for (const other of game.lines){
+      if (!other || other === line || (line && other.id === line.id) || !other.waypoints) continue;
+      for (const p of other.waypoints){ const c = pixelToCube(p.x, p.y, size); shared.add(cubeKey(c.q, c.r)); }
+    }
+  }
+
+  function cost(cube, point, from){
+    for (const area of blocked) if (stepHitsArea(area, from, point)) return Infinity;
+    let c = 1;
+    for (const area of permitAreas) if (stepHitsArea(area, from, point)) c += area.penalty;
+    for (const cell of cells) if (pointInCell(cell, point.x, point.y)) c += weatherPenalty;
+    if (shared.has(cubeKey(cube.q, cube.r))) c -= bonus;
+    return c;
+  }
+  return { cost, minCost: 1 - bonus };
+}
+
+function dedupePoints(path){
+  const out = [];
+  for (const p of path) {
+    const last = out[out.length - 1];
+    if (!last || last.x !== p.x || last.y !== p.y) out.push(p);
+  }
+  return out;
+}
+
+// Terrain that changes routed paths besides the map itself: the day (closed days)
+// and active NOTAMs
+function terrainKey(game){
+  const closures = getNotamClosures(game);
+  return `${game.day || 1}|${[...closures.zones].join(',')}|${closures.corridors.map(c => c.name).join(',')}`;
+}
+
+// A weather cell with its center on a hex, its radii in whole hexes and its angle
+// in eighths of a radian: storms only change routed paths as they move by a hex
+function snapCell(cell, size){
+  const c = pixelToCube(cell.x, cell.y, size);
+  const { x, y } = cubeToPixel(c.q, c.r, c.s, size);
+  return { x, y, rx: Math.max(1, Math.round(cell.rx / size)) * size, ry: Math.max(1, Math.round(cell.ry / size)) * size, angle: Math.round((cell.angle || 0) * 8) / 8, q: c.q, r: c.r, s: c.s };
+}
+
+// Search margin in hexes around the start/goal box (as in hexAStarCost)
+function searchPad(start, goal){
+  return Math.max(6, Math.ceil(hexDistance(start, goal) / 2));
+}
+
+// Costs inside a leg's search box that move during play: storm cells (as snapped
+// by snapCell) and the hexes of other routes (bundling). Anything outside the box
+// cannot change the path.
+function legContextKey(game, start, goal, size, line){
+  const pad = searchPad(start, goal);
+  const inBox = (c, extra) =>
+    c.q >= Math.min(start.q, goal.q) - pad - extra && c.q <= Math.max(start.q, goal.q) + pad + extra &&
+    c.r >= Math.min(start.r, goal.r) - pad - extra && c.r <= Math.max(start.r, goal.r) + pad + extra &&
+    c.s >= Math.min(start.s, goal.s) - pad - extra && c.s <= Math.max(start.s, goal.s) + pad + extra;
+
+  const storms = [];
+  if (game.weather && game.weather.enabled){
+    for (const cell of game.weather.cells || []){
+      const c = snapCell(cell, size);
+      if (!inBox(c, Math.ceil(Math.max(c.rx, c.ry) / size) + 1)) continue;
+      storms.push(`${c.q},${c.r},${c.rx / size},${c.ry / size},${c.angle * 8}`);
+    }
+  }
+
+  // Order-free digest of the shared hexes in the box
+  let count = 0, sum = 0, mix = 0;
+  const cfg = game.config.hexGrid || {};
+  if ((cfg.bundlingBonus ?? 0.4) > 0){
+    for (const other of game.lines){
+      if (!other || other === line || (line && other.id === line.id) || !other.waypoints) continue;
+      for (const p of other.waypoints){
+        const c = pixelToCube(p.x, p.y, size);
+        if (!inBox(c, 0)) continue;
+        const k = cubeKey(c.q, c.r);
+        count++; sum = (sum + k) % 2147483647; mix ^= (k * 2654435761) >>> 0;
+      }
+    }
+  }
+  return `${storms.sort().join(';')}|${count}.${sum}.${mix >>> 0}`;
+}
+
+function hexKeyOf(p, size){
+  const c = pixelToCube(p.x, p.y, size);
+  return cubeKey(c.q, c.r);
+}
+
+// Map-aware hex route from A to B: around restricted airspace when a legal detour
+// exists, through permit zones (at a penalty) when it does not, and the plain
+// lattice path when even that fails (closed airspace; the route is refused elsewhere).
+// Results are cached per leg, keyed by the terrain and by the storms and other
+// routes inside the leg's search box, so a leg is routed again once either
+// changes there (see also invalidateHexCacheForStations); pass { cache: false }
+// for throwaway paths such as a preview to the cursor.
+export function createRoutedHexPath(game, ax, ay, bx, by, { line = null, cache = true } = {}){
+  const size = (game.config.hexGrid && game.config.hexGrid.size) || DEFAULT_HEX_SIZE;
+  const start = snapToHexVertex(ax, ay, size);
+  const end = snapToHexVertex(bx, by, size);
+  const from = hexKeyOf(start, size), to = hexKeyOf(end, size);
+  const context = cache ? legContextKey(game, pixelToCube(start.x, start.y, size), pixelToCube(end.x, end.y, size), size, line) : '';
+  const key = `route:${from}:${to}:${terrainKey(game)}:${context}`;
+  const routes = routeCache(game);
+  if (cache && routes.has(key)) return routes.get(key).path.slice();
+
+  let path = null;
+  for (const allowPermits of [false, true]){
+    const field = createHexCostField(game, { line, allowPermits });
+    path = hexAStarCost(start, end, field.cost, { size, minCost: field.minCost });
+    if (path && path.length > 0) break;
+  }
+  path = (path && path.length > 0) ? dedupePoints(path) : createHexPath(ax, ay, bx, by, size);
+  if (cache) remember(routes, key, { from, to, path });
+  return path.slice();
+}
+
+// Hex route from A to B that stays out of every restricted area (closed or
+// permit-costing), or null. Used to waive permits for legs that can go around.
+export function findHexDetour(game, A, B){
+  const size = (game.config.hexGrid && game.config.hexGrid.size) || DEFAULT_HEX_SIZE;
+  const start = snapToHexVertex(A.x, A.y, size), end = snapToHexVertex(B.x, B.y, size);
+  const from = hexKeyOf(start, size), to = hexKeyOf(end, size);
+  const key = `detour:${from}:${to}:${terrainKey(game)}`;
+  const routes = routeCache(game);
+  if (routes.has(key)) return routes.get(key).path;
+  const field = createHexCostField(game, { allowPermits: false, weather: false, bundling: false });
+  const path = hexAStarCost(start, end, field.cost, { size, minCost: field.minCost });
+  remember(routes, key, { from, to, path });
+  return path;
+}
+
 // ---------------- Performance Cache (Phase 10) ----------------
+// Plain lattice paths are shared by every game; routed legs and detours are kept
+// per config, since they depend on the map. Entries remember their endpoint hexes
+// so a changed station only drops the legs that touch it.
 
 const hexCache = new Map();
+const routeCaches = new WeakMap();
 const CACHE_SIZE = 1000;
 
+function routeCache(game){
+  let cache = routeCaches.get(game.config);
+  if (!cache) { cache = new Map(); routeCaches.set(game.config, cache); }
+  return cache;
+}
+
+function remember(cache, key, entry){
+  if (cache.size >= CACHE_SIZE) cache.delete(cache.keys().next().value);
+  cache.set(key, entry);
+}
+
 export function getCachedHexPath(start, end, size = DEFAULT_HEX_SIZE) {
-  const key = `${start.x},${start.y}-${end.x},${end.y}-${size}`;
-  if (hexCache.has(key)) return hexCache.get(key);
+  const from = hexKeyOf(start, size), to = hexKeyOf(end, size);
+  const key = `${from}:${to}:${size}`;
+  if (hexCache.has(key)) return hexCache.get(key).path;
   const path = hexAStar(start, end, size);
-  if (hexCache.size >= CACHE_SIZE) {
-    const first = hexCache.keys().next().value;
-    hexCache.delete(first);
-  }
-  hexCache.set(key, path);
+  remember(hexCache, key, { from, to, path });
   return path;
 }
 
-export function clearHexCache() {
+// Drop cached paths that start or end at these stations' hexes; returns the count
+export function invalidateHexCacheForStations(game, stations){
+  const size = (game.config.hexGrid && game.config.hexGrid.size) || DEFAULT_HEX_SIZE;
+  const keys = new Set(stations.filter(Boolean).map(st => hexKeyOf(st, size)));
+  if (keys.size === 0) return 0;
+  let dropped = 0;
+  for (const cache of [hexCache, routeCache(game)]){
+    for (const [key, entry] of cache){
+      if (keys.has(entry.from) || keys.has(entry.to)) { cache.delete(key); dropped++; }
+    }
+  }
+  return dropped;
+}
+
+export function clearHexCache(game = null) {
   hexCache.clear();
+  if (game) routeCaches.delete(game.config);
 }
 
 // ---------------- Corridor Bundling (Phase 2) ----------------
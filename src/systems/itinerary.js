@@ -0,0 +1,147 @@
+// Passenger itineraries
+// Each passenger gets a planned list of legs at spawn: [{ lineId, service, board, alight }],
+// the fastest path through the (station, line) routing graph, so a leg ends only
+// where the passenger changes planes. Boarding and alighting then follow the plan.
+// A plan remembers the network revision it was made on and is replanned lazily,
+// from wherever the passenger is, once routes change.
+//
+// p.itinerary = { legs: [...] | null (no route), eta, dest, from, revision }
+// p.leg       = index of the leg the passenger is on or waiting for
+// A leg's service is the stop set it was planned on (see service.js); any plane
+// of the line that stops at both ends will do.
+
+import { MinHeap } from '../utils/heap.js';
+import { getRoutingTable } from './routing.js';
+import { trainServes, trainStops, serviceKey } from './service.js';
+
+// Plan from fromIdx to destIdx over the routing graph. onLineId: the line the
+// passenger is already on, so staying aboard is free and changing costs a connection;
+// onService: that plane's service key, when the line runs more than one.
+export function planItinerary(game, fromIdx, destIdx, { onLineId = null, onService = null, graph = getRoutingTable(game).getGraph() } = {}){
+  const revision = game.networkRevision || 0;
+  const plan = { legs: null, eta: Infinity, dest: destIdx, from: fromIdx, revision };
+  if (fromIdx === destIdx) return { ...plan, legs: [], eta: 0 };
+  const starts = graph.stops.get(fromIdx);
+  if (!starts || !graph.stops.has(destIdx)) return plan;
+
+  const dist = new Array(graph.nodeStation.length).fill(Infinity);
+  const prev = new Map();
+  const open = new MinHeap();
+  const onLine = onLineId == null ? null : (
+    starts.find(n => graph.lines[graph.nodeLine[n]].id === onLineId && (onService == null || graph.services[graph.nodeLine[n]].key === onService)) ??
+    starts.find(n => graph.lines[graph.nodeLine[n]].id === onLineId)
+  );
+  // Aboard a plane, changing to another line goes through the transfer edges
+  for (const n of starts){
+    let cost = graph.boardMs[n];
+    if (onLine != null) cost = n === onLine ? 0 : Infinity;
+    if (cost < dist[n]){ dist[n] = cost; open.push(n, cost); }
+  }
+  const done = new Set();
+  while (open.size){
+    const n = open.pop();
+    if (done.has(n)) continue;
+    done.add(n);
+    if (graph.nodeStation[n] === destIdx) return { ...plan, legs: legsFromNodes(graph, prev, n), eta: dist[n] };
+    for (const { to, cost } of graph.outEdges[n]){
+      const alt = dist[n] + cost;
+      if (alt < dist[to]){ dist[to] = alt; prev.set(to, n); open.push(to, alt); }
+    }
+  }
+  return plan;
+}
+
+// Collapse the node chain into legs: consecutive nodes on one line form a leg
+function legsFromNodes(graph, prev, endNode){
+  const nodes = [];
+  for (let n = endNode; n !== undefined; n = prev.get(n)) nodes.push(n);
+  nodes.reverse();
+  const legs = [];
+  for (const n of nodes){
+    const si = graph.nodeStation[n], li = graph.nodeLine[n];
+    const last = legs[legs.length - 1];
+    if (last && last.li === li) last.alight = si;
+    else legs.push({ li, lineId: graph.lines[li].id, service: graph.services[li].key, board: si, alight: si });
+  }
+  return legs.filter(leg => leg.board !== leg.alight).map(({ lineId, service, board, alight }) => ({ lineId, service, board, alight }));
+}
+
+function isCurrent(game, p){
+  const it = p.itinerary;
+  return !!it && it.revision === (game.networkRevision || 0) && it.dest === p.destStation;
+}
+
+// The passenger's plan from stationIdx, replanned when missing, stale, or made
+// somewhere else (moved by emergency rerouting, boarded without a plan).
+// onLineId: set for passengers aboard a plane on that line; onService: its service.
+export function ensureItinerary(game, p, stationIdx, onLineId = null, onService = null){
+  let fresh = isCurrent(game, p);
+  if (fresh){
+    const leg = p.itinerary.legs ? p.itinerary.legs[p.leg || 0] : null;
+    if (!p.itinerary.legs) fresh = p.itinerary.from === stationIdx;
+    else if (onLineId == null) fresh = !!leg && leg.board === stationIdx;
+    else fresh = !!leg && leg.lineId === onLineId && (onService == null || leg.service === onService);
+  }
+  if (!fresh){
+    p.itinerary = planItinerary(game, stationIdx, p.destStation, { onLineId, onService });
+    p.leg = 0;
+  }
+  return p.itinerary;
+}
+
+export function currentLeg(p){
+  return (p.itinerary && p.itinerary.legs) ? (p.itinerary.legs[p.leg || 0] || null) : null;
+}
+
+// Does this plane, stopped at stationIdx, move towards targetIdx next?
+// Endpoints turn around after the stop, so they always head inwards.
+export function headsTowards(line, train, stationIdx, targetIdx){
+  const i = line.stations.indexOf(stationIdx), j = line.stations.indexOf(targetIdx);
+  if (i === -1 || j === -1 || i === j) return false;
+  if (line.isLoop || !train) return true;
+  const dir = i === 0 ? 1 : (i === line.stations.length - 1 ? -1 : train.direction);
+  return Math.sign(j - i) === dir;
+}
+
+// Boarding by plan: the current leg starts here, on this line, in this direction,
+// and the plane stops where the leg ends.
+// Returns null when the passenger has no route (callers fall back to relief rules).
+export function plannedBoarding(game, p, line, stationIdx, train = null){
+  const it = ensureItinerary(game, p, stationIdx);
+  if (!it.legs) return null;
+  const leg = currentLeg(p);
+  return !!leg && leg.lineId === line.id && leg.board === stationIdx &&
+    headsTowards(line, train, stationIdx, leg.alight) && trainServes(game, train, leg.alight);
+}
+
+// Alighting by plan at a stop that is not the destination. Advances p.leg when the
+// leg ends here. Returns null when the passenger has no route.
+export function plannedAlighting(game, p, line, stationIdx, train = null){
+  const it = ensureItinerary(game, p, stationIdx, line.id, train ? serviceKey(trainStops(game, train)) : null);
+  if (!it.legs) return null;
+  const leg = currentLeg(p);
+  if (!leg || leg.lineId !== line.id) return true;
+  if (leg.alight !== stationIdx) return false;
+  p.leg = (p.leg || 0) + 1;
+  return true;
+}
+
+// "to Bayview via Teal → Blue at Metro City"
+export function describeItinerary(game, p, lineName){
+  const dest = game.stations[p.destStation];
+  const to = `to ${dest ? dest.name : '?'}`;
+  const it = p.itinerary;
+  if (!it || !it.legs) return `${to} (no route yet)`;
+  const legs = it.legs.slice(p.leg || 0);
+  if (legs.length === 0) return to;
+  const name = (lineId) => {
+    const line = game.lines.find(l => l && l.id === lineId);
+    return line ? lineName(game, line) : '?';
+  };
+  const parts = legs.map((leg, i) => {
+    if (i === 0) return name(leg.lineId);
+    const at = game.stations[leg.board];
+    return `${name(leg.lineId)} at ${at ? at.name : '?'}`;
+  });
+  return `${to} via ${parts.join(' → ')}`;
+}
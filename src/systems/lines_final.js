@@ -1,5 +1,7 @@
-import { segmentCrossesPolygon } from '../utils/intersections.js';
-import { createHexPath, applyCorridorBundling, applyTerminalBubbles, clearHexCache } from './hexgrid.js';
+import { checkRestrictedCrossings, spendPermits } from './airspace.js';
+import { createRoutedHexPath, applyCorridorBundling, applyTerminalBubbles, invalidateHexCacheForStations } from './hexgrid.js';
+import { bumpNetworkRevision } from './routing.js';
+import { extensionRestriction } from './fleet.js';
 
 export function pickAvailableColorIndex(game){
   const used = new Set(game.lines.map(l => l.colorIndex).filter(i => i !== undefined));
@@ -30,15 +32,15 @@ export function createLine(game, stations, colorIndex=null){
     finalColorIndex = pickAvailableColorIndex(game);
   }
 
-  const line = {
+  const line = attachLineColor(game, {
     id: game.lines.length,
     stations: [...stations],
     colorIndex: finalColorIndex,
-    get color(){ return game.config.lineColors[this.colorIndex]; },
     isLoop: false, trains: [], waypoints: null, totalLength: 0
-  };
+  });
   line.totalLength = calculateLineLength(game, line);
   game.lines.push(line);
+  bumpNetworkRevision(game);
   // add connections
   for (const idx of line.stations){
     if (!game.stations[idx].connections.includes(line.id)) game.stations[idx].connections.push(line.id);
@@ -57,6 +59,35 @@ export function createLine(game, stations, colorIndex=null){
   return line;
 }
 
+// Player-facing route name: the palette color name ("Teal"), or "Color N" for
+// palettes without names
+export function lineDisplayName(game, line){
+  const names = game.config.lineColorNames || [];
+  return names[line.colorIndex] || `Color ${(line.colorIndex ?? 0) + 1}`;
+}
+
+// Lines keep only colorIndex as data; the color itself is read live from the palette.
+// Plain line objects (undo snapshots, loaded saves) need the getter re-attached.
+export function attachLineColor(game, line){
+  Object.defineProperty(line, 'color', {
+    get(){ return game.config.lineColors[this.colorIndex]; },
+    enumerable: false,
+    configurable: true
+  });
+  return line;
+}
+
+export function rebuildStationConnections(game){
+  bumpNetworkRevision(game);
+  game.stations.forEach(station => { if (station) station.connections = []; });
+  game.lines.forEach(line => {
+    line.stations.forEach(stationIdx => {
+      const st = game.stations[stationIdx];
+      if (st && !st.connections.includes(line.id)) st.connections.push(line.id);
+    });
+  });
+}
+
 export function calculateLineLength(game, line){
   let total = 0;
   for (let i=0;i<line.stations.length-1;i++){
@@ -69,18 +100,23 @@ export function calculateLineLength(game, line){
 export function addStationToLine(game, lineId, stationIdx, position=null){
   const line = game.lines[lineId]; if (!line) return false; const newIdx = position==null? line.stations.length : Math.max(0, Math.min(position, line.stations.length));
 
+  // Restricted airspace: zone rules and permits for the new segments
+  const S = game.stations[stationIdx]; const segments = [];
+  const prevIdx = newIdx-1, nextIdx = newIdx;
+  if (prevIdx >= 0 && line.stations[prevIdx]!=null) segments.push([game.stations[line.stations[prevIdx]], S]);
+  if (nextIdx < line.stations.length && line.stations[nextIdx]!=null) segments.push([S, game.stations[line.stations[nextIdx]]]);
+  const crossing = checkRestrictedCrossings(game, segments);
+  if (!crossing.ok){ if (game.showToast) game.showToast(crossing.message); return false; }
+  // Aircraft types: runway length and airspace clearance of the planes already flying it
+  const grounded = extensionRestriction(game, line, stationIdx, crossing.cost > 0);
+  if (grounded){ if (game.showToast) game.showToast(grounded); return false; }
+
   // Save state for undo
   if (game.saveGameState) game.saveGameState();
-  // tunnels needed check
-  let crossingsNeeded = 0; const S = game.stations[stationIdx]; const poly = game.config.thamesPolygon;
-  const prevIdx = newIdx-1, nextIdx = newIdx;
-  if (prevIdx >= 0 && line.stations[prevIdx]!=null){ const A = game.stations[line.stations[prevIdx]]; if (segmentCrossesPolygon(A,S,poly)) crossingsNeeded++; }
-  if (nextIdx < line.stations.length && line.stations[nextIdx]!=null){ const B = game.stations[line.stations[nextIdx]]; if (segmentCrossesPolygon(S,B,poly)) crossingsNeeded++; }
-  if (crossingsNeeded>0 && (game.tunnels||0) < crossingsNeeded) return false;
   if (position==null || position>=line.stations.length) line.stations.push(stationIdx); else line.stations.splice(position,0,stationIdx);
-  if (crossingsNeeded>0) game.tunnels = Math.max(0, (game.tunnels||0)-crossingsNeeded);
+  spendPermits(game, crossing);
   if (!game.stations[stationIdx].connections.includes(lineId)) game.stations[stationIdx].connections.push(lineId);
-  rebuildWaypointsForLine(game, line);
+  rebuildWaypointsForLine(game, line, { changedStations: [stationIdx] });
   line.totalLength = calculateLineLength(game, line);
 
   // Trigger train reallocation when line is extended
@@ -142,15 +178,18 @@ function distanceToLineSegment(px, py, x1, y1, x2, y2){
   const A=px-x1, B=py-y1, C=x2-x1, D=y2-y1; const lenSq=C*C+D*D; if (lenSq===0) return Math.hypot(A,B); let t = Math.max(0, Math.min(1, (A*C+B*D)/lenSq)); const projX=x1+t*C, projY=y1+t*D; return Math.hypot(px-projX, py-projY);
 }
 
-export function rebuildWaypointsForLine(game, line){
-  clearHexCache();
+// changedStations: station indices whose legs must be re-routed; every other
+// leg reuses its cached path
+export function rebuildWaypointsForLine(game, line, { changedStations = [] } = {}){
+  bumpNetworkRevision(game);
+  if (changedStations.length > 0) invalidateHexCacheForStations(game, changedStations.map(i => game.stations[i]));
   if (!line || !line.stations || line.stations.length < 2){ line.waypoints = null; return; }
   const pts = [];
   for (let i=0; i<line.stations.length-1; i++){
     const A = game.stations[line.stations[i]];
     const B = game.stations[line.stations[i+1]];
     if (!A || !B) continue;
-    let seg = createHexPath(A.x, A.y, B.x, B.y, game.config.hexGrid.size);
+    let seg = createRoutedHexPath(game, A.x, A.y, B.x, B.y, { line });
     // Add terminal approach patterns only at ends and only for hubs/finals
     const isFirst = (i === 0);
     const isLast = (i === line.stations.length-2);
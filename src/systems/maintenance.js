@@ -0,0 +1,114 @@
+// Plane maintenance (config.maintenanceInterval, world units flown; 0 turns it off)
+// Every plane logs the distance it flies since its last check. Once it has flown
+// maintenanceDueShare of the interval it is due: landing at a maintenance base
+// (a hub or final airport) then adds a maintenanceCheckMs check to its stop. A
+// plane that flies the whole interval without one is overdue: at the next airport
+// its passengers get off and it is out of service for maintenanceRepairMs.
+// Grounded planes run no service, so routing plans around them and the allocator
+// sends a spare to cover their route. Once the repair ends the spare goes back to
+// the reserve at its next stop, unless the player has pinned the route since.
+//
+// train.sinceService       distance flown since the last check
+// train.outOfServiceUntil  game time the repair ends (null while in service)
+// train.coverFor           id of the grounded plane this one covers for
+// train.returnToReserve    parks at its next stop (the plane it covered is back)
+
+import { bumpNetworkRevision } from './routing.js';
+import { aircraftType, unloadPassengers } from './fleet.js';
+
+export function maintenanceInterval(game){
+  return Math.max(0, game.config.maintenanceInterval || 0);
+}
+
+export function isMaintenanceBase(station){
+  return !!(station && (station.isInterchange || station.isFinal));
+}
+
+export function isOutOfService(game, train){
+  return !!train && train.outOfServiceUntil != null;
+}
+
+// 'ok' | 'due' | 'overdue' | 'repair'
+export function maintenanceStatus(game, train){
+  if (isOutOfService(game, train)) return 'repair';
+  const interval = maintenanceInterval(game);
+  if (!interval) return 'ok';
+  const flown = train.sinceService || 0;
+  if (flown >= interval) return 'overdue';
+  if (flown >= interval * (game.config.maintenanceDueShare ?? 0.75)) return 'due';
+  return 'ok';
+}
+
+// Share of the interval flown since the last check (0 when maintenance is off)
+export function maintenanceWear(game, train){
+  const interval = maintenanceInterval(game);
+  return interval ? (train.sinceService || 0) / interval : 0;
+}
+
+export function logFlight(game, train, distance){
+  if (maintenanceInterval(game) && distance > 0) train.sinceService = (train.sinceService || 0) + distance;
+}
+
+function changed(game){
+  bumpNetworkRevision(game);
+  if (game.needsRedraw !== undefined) game.needsRedraw = true;
+}
+
+// On landing: extra stop time for a check (ms), or ground an overdue plane
+export function serviceAtAirport(game, train, station){
+  const status = maintenanceStatus(game, train);
+  if (status === 'overdue'){
+    unloadPassengers(game, train, null);
+    train.outOfServiceUntil = game.gameTime + (game.config.maintenanceRepairMs ?? 20000);
+    train.holding = false;
+    changed(game);
+    if (game.showToast) game.showToast(`${aircraftType(train).short} grounded at ${station.name}: overdue for maintenance`);
+    if (game.optimizeTrainAllocation) game.optimizeTrainAllocation();
+    return 0;
+  }
+  if (status === 'due' && isMaintenanceBase(station)){
+    train.sinceService = 0;
+    return game.config.maintenanceCheckMs ?? 2500;
+  }
+  return 0;
+}
+
+// The allocator just put train on line: cover for a grounded plane there that
+// has no cover yet
+export function assignCover(game, line, train){
+  const covered = new Set(game.trains.filter(t => t && t.coverFor != null).map(t => t.coverFor));
+  const grounded = line.trains.find(id => !covered.has(id) && isOutOfService(game, game.trains.find(t => t && t.id === id)));
+  if (grounded !== undefined) train.coverFor = grounded;
+}
+
+// train is back in service: its cover heads back to the reserve, unless the
+// route is pinned at a count that includes it
+function releaseCover(game, train){
+  const cover = game.trains.find(t => t && t.coverFor === train.id);
+  if (!cover) return;
+  cover.coverFor = null;
+  const line = game.lines.find(l => l && l.id === cover.lineId);
+  if (line && line.pinnedTrains != null && line.pinnedTrains >= line.trains.length) return;
+  cover.returnToReserve = true;
+}
+
+// Called each update for a grounded plane: false while the repair lasts; true
+// once it is back in service with a fresh check
+export function endRepair(game, train){
+  if (game.gameTime < train.outOfServiceUntil) return false;
+  train.outOfServiceUntil = null;
+  train.sinceService = 0;
+  releaseCover(game, train);
+  changed(game);
+  return true;
+}
+
+// Planes that are due, overdue or grounded, for the HUD
+export function maintenanceCounts(game){
+  const counts = { due: 0, overdue: 0, repair: 0 };
+  for (const t of game.trains){
+    const status = t && maintenanceStatus(game, t);
+    if (status in counts) counts[status]++;
+  }
+  return counts;
+}
@@ -0,0 +1,75 @@
+// Plane stat modifiers
+// A plane keeps its base stats (baseSpeed, baseCapacity) and a stack of named
+// modifiers; effective stats are worked out on read, so effects that come and go
+// (storms, events) never get mixed up with lasting ones (rewards, express service).
+//
+// train.modifiers = [{ id, stat, source, mul, add, until }]
+//   stat    'speed' | 'capacity' | 'dwell' (dwell: a multiple of its stop time)
+//   source  'weather' | 'event' | 'reward' | 'express'
+//   add     added to the base first (default 0), then mul multiplies (default 1)
+//   id      optional; adding a modifier with the same id replaces the old one
+//   until   game time it expires (null: lasts)
+
+export const MODIFIER_STATS = ['speed', 'capacity', 'dwell'];
+export const MODIFIER_SOURCES = ['weather', 'event', 'reward', 'express'];
+
+// durationMs: expire that long from now (null: lasts)
+export function addModifier(game, train, { id = null, stat, source, mul = 1, add = 0, durationMs = null }){
+  if (!train) return null;
+  if (id != null) removeModifier(train, id);
+  const modifier = { id, stat, source, mul, add, until: durationMs != null ? game.gameTime + durationMs : null };
+  train.modifiers = [...(train.modifiers || []), modifier];
+  return modifier;
+}
+
+export function removeModifier(train, id){
+  if (!train || !train.modifiers) return false;
+  const count = train.modifiers.length;
+  train.modifiers = train.modifiers.filter(m => m.id !== id);
+  return train.modifiers.length !== count;
+}
+
+function active(game, m){
+  return m.until == null || game.gameTime < m.until;
+}
+
+// Drop expired modifiers (reads already skip them; this keeps the stack short)
+export function expireModifiers(game, train){
+  if (train.modifiers && train.modifiers.some(m => !active(game, m))) train.modifiers = train.modifiers.filter(m => active(game, m));
+}
+
+// ignore: sources to leave out
+function applyModifiers(game, train, stat, base, ignore = null){
+  let add = 0, mul = 1;
+  for (const m of train.modifiers || []){
+    if (m.stat !== stat || !active(game, m) || (ignore && ignore.includes(m.source))) continue;
+    add += m.add || 0;
+    mul *= m.mul ?? 1;
+  }
+  return (base + add) * mul;
+}
+
+// World units per ms
+export function effectiveSpeed(game, train, ignore = null){
+  return Math.max(0, applyModifiers(game, train, 'speed', train.baseSpeed || 0, ignore));
+}
+
+export function effectiveCapacity(game, train){
+  return Math.max(1, Math.round(applyModifiers(game, train, 'capacity', train.baseCapacity || 0)));
+}
+
+// Multiplier on the plane's stop time
+export function dwellFactor(game, train){
+  return train ? Math.max(0, applyModifiers(game, train, 'dwell', 1)) : 1;
+}
+
+// Modifiers in effect, e.g. 'speed ×0.60 (event, 12s)', for the fleet panel
+export function describeModifiers(game, train){
+  return (train.modifiers || []).filter(m => active(game, m)).map(m => {
+    const parts = [];
+    if (m.add) parts.push(`${m.add > 0 ? '+' : ''}${m.add}`);
+    if ((m.mul ?? 1) !== 1) parts.push(`×${m.mul.toFixed(2)}`);
+    const left = m.until != null ? `, ${Math.ceil((m.until - game.gameTime) / 1000)}s` : '';
+    return `${m.stat} ${parts.join(' ')} (${m.source}${left})`;
+  });
+}
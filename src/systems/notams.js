@@ -0,0 +1,215 @@
+// NOTAMs: announced, time-limited closures of an airport, a restricted zone or a
+// hex corridor. Each NOTAM is an EventSystem event: it is scheduled with a lead
+// time, becomes active at its start time and is lifted by the event cleanup, so
+// saves, the event history and the HUD all read closures from game.events.
+//
+// Event target: { kind: 'airport', stationId } | { kind: 'zone', zoneName }
+//             | { kind: 'corridor', polygon: [{x,y}, ...] }
+// While active: new routes cannot cross a closed zone or corridor, planes hold at
+// the last open airport before a closed leg (or turn back towards it when the
+// airport ahead closes), and passengers bound for a closed airport are rebooked
+// to an open airport of the same shape, or wait with their clocks stopped.
+// Runway closures (events with a closeAirport effect) close airports the same way.
+
+import { getRestrictedZones } from './airspace.js';
+import { segmentCrossesPolygon } from '../utils/intersections.js';
+import { HEX_ANGLES, snapToHexVertex } from './hexgrid.js';
+import { bumpNetworkRevision } from './routing.js';
+import { gameHourMs } from '../utils/time.js';
+
+const MIN_HOURS = 6;
+const MAX_HOURS = 16;
+const LEAD_HOURS = 12; // announced this far ahead
+
+export function formatHours(ms, game){
+  const hours = ms / gameHourMs(game);
+  return hours >= 1 ? `${Math.ceil(hours)}h` : `${Math.max(1, Math.ceil(hours * 60))}m`;
+}
+
+function notamEvents(list){
+  return (list || []).filter(e => e.type === 'notam' && e.target);
+}
+
+export function getActiveNotams(game){
+  return game.events ? notamEvents(game.events.getActiveEvents()) : [];
+}
+
+// Everything currently closed by NOTAM or runway closure. Cheap enough to rebuild per step.
+export function getNotamClosures(game){
+  const closures = { airports: new Set(), zones: new Set(), corridors: [], any: false };
+  for (const event of (game.events ? game.events.getActiveEvents() : [])){
+    for (const id of event.closedAirports || []){ closures.airports.add(id); closures.any = true; }
+  }
+  for (const notam of getActiveNotams(game)){
+    const t = notam.target;
+    if (t.kind === 'airport') closures.airports.add(t.stationId);
+    else if (t.kind === 'zone') closures.zones.add(t.zoneName);
+    else if (t.kind === 'corridor' && Array.isArray(t.polygon)) closures.corridors.push({ name: notam.label, polygon: t.polygon });
+    closures.any = true;
+  }
+  return closures;
+}
+
+export function isAirportClosed(game, stationId, closures = getNotamClosures(game)){
+  return closures.airports.has(stationId);
+}
+
+export function isZoneClosedByNotam(zone, closures){
+  return !!(zone && closures && closures.zones.has(zone.name));
+}
+
+// Can a plane fly A -> B right now? Only the airport ahead counts, so planes
+// caught at a closing airport may still leave it.
+export function isLegClosedAhead(game, A, B, closures = getNotamClosures(game)){
+  if (!closures.any || !A || !B) return false;
+  if (closures.airports.has(B.id)) return true;
+  const a = { x: A.x, y: A.y }, b = { x: B.x, y: B.y };
+  if (closures.zones.size > 0){
+    for (const zone of getRestrictedZones(game.config)){
+      if (closures.zones.has(zone.name) && zone.polygon && zone.polygon.length >= 3 && segmentCrossesPolygon(a, b, zone.polygon)) return true;
+    }
+  }
+  return closures.corridors.some(c => segmentCrossesPolygon(a, b, c.polygon));
+}
+
+// A strip of hexes across a route leg: centred on the hex vertex nearest the
+// leg's midpoint, running along the hex direction most perpendicular to the leg
+export function makeHexCorridor(game, A, B, { lengthHexes = 4, widthHexes = 1 } = {}){
+  const size = (game.config.hexGrid && game.config.hexGrid.size) || 44;
+  const c = snapToHexVertex((A.x + B.x) / 2, (A.y + B.y) / 2, size);
+  const legAngle = Math.atan2(B.y - A.y, B.x - A.x);
+  let best = HEX_ANGLES[0], bestDot = Infinity;
+  for (const angle of HEX_ANGLES){
+    const dot = Math.abs(Math.cos(angle - legAngle));
+    if (dot < bestDot){ bestDot = dot; best = angle; }
+  }
+  const ux = Math.cos(best), uy = Math.sin(best);
+  const hl = (lengthHexes * size) / 2, hw = (widthHexes * size) / 2;
+  const corner = (l, w) => ({ x: Math.round(c.x + ux * l - uy * w), y: Math.round(c.y + uy * l + ux * w) });
+  return [corner(-hl, -hw), corner(hl, -hw), corner(hl, hw), corner(-hl, hw)];
+}
+
+function alreadyTargeted(game, kind, key){
+  const events = game.events;
+  const all = [...getActiveNotams(game), ...notamEvents((events && events.scheduledEvents || []).map(s => s.params))];
+  return all.some(n => n.target.kind === kind && (n.target.stationId ?? n.target.zoneName) === key);
+}
+
+// Pick a random NOTAM for the current network. Returns event params for
+// EventSystem.scheduleEvent, or null when there is nothing worth closing.
+export function planNotam(game, { kind = null, hours = null } = {}){
+  const rng = game.rng;
+  const options = {};
+
+  const stations = game.stations.filter(s => s && !alreadyTargeted(game, 'airport', s.id));
+  const finals = game.stations.filter(s => s && s.isFinal);
+  // Never close the only final airport
+  const airports = stations.filter(s => !s.isFinal || finals.length > 1);
+  if (airports.length > 0) options.airport = () => {
+    const s = rng.pick(airports);
+    return { target: { kind: 'airport', stationId: s.id }, label: `${s.name} airport` };
+  };
+
+  const zones = getRestrictedZones(game.config).filter(z => z.polygon && z.polygon.length >= 3 && !z.forbidden && !alreadyTargeted(game, 'zone', z.name));
+  if (zones.length > 0) options.zone = () => {
+    const z = rng.pick(zones);
+    return { target: { kind: 'zone', zoneName: z.name }, label: z.name };
+  };
+
+  const legs = [];
+  for (const line of game.lines){
+    if (!line || !line.stations) continue;
+    for (let i = 0; i < line.stations.length - 1; i++){
+      const A = game.stations[line.stations[i]], B = game.stations[line.stations[i + 1]];
+      if (A && B) legs.push([A, B]);
+    }
+  }
+  if (legs.length > 0) options.corridor = () => {
+    const [A, B] = rng.pick(legs);
+    return { target: { kind: 'corridor', polygon: makeHexCorridor(game, A, B) }, label: `Corridor ${A.name}–${B.name}` };
+  };
+
+  const kinds = kind ? [kind].filter(k => options[k]) : Object.keys(options);
+  if (kinds.length === 0) return null;
+  const picked = options[rng.pick(kinds)]();
+  const h = hours ?? (MIN_HOURS + rng.int(MAX_HOURS - MIN_HOURS + 1));
+  const duration = Math.round(h * gameHourMs(game));
+  return {
+    ...picked,
+    hours: h,
+    duration,
+    leadMs: Math.round(LEAD_HOURS * gameHourMs(game)),
+    description: `${picked.label} closed for ${h}h`
+  };
+}
+
+// Nearest open airport with the same shape, preferring the same kind (final or not)
+function findAlternative(game, closed, closures){
+  const open = game.stations.filter(s => s && s.id !== closed.id && s.shape === closed.shape && !closures.airports.has(s.id));
+  const sameKind = open.filter(s => !!s.isFinal === !!closed.isFinal);
+  const pool = sameKind.length > 0 ? sameKind : open;
+  let best = null, bestD = Infinity;
+  for (const s of pool){
+    const d = Math.hypot(s.x - closed.x, s.y - closed.y);
+    if (d < bestD){ bestD = d; best = s; }
+  }
+  return best;
+}
+
+// Move passengers bound for a closed airport to an alternative; returns
+// { rebooked, waiting }
+export function rebookPassengers(game, stationId, closures = getNotamClosures(game)){
+  const closed = game.stations[stationId];
+  let rebooked = 0, waiting = 0;
+  if (!closed) return { rebooked, waiting };
+  const alt = findAlternative(game, closed, closures);
+  const visit = (p) => {
+    if (p.destStation !== stationId) return;
+    if (!alt){ waiting++; return; }
+    p.destStation = alt.id;
+    p.destShape = alt.shape;
+    p.rebookedFrom = stationId;
+    rebooked++;
+  };
+  for (const st of game.stations){ if (st) st.queue.forEach(visit); }
+  for (const tr of game.trains) tr.passengers.forEach(visit);
+  return { rebooked, waiting };
+}
+
+// EventSystem hooks for the 'notam' event type
+export function applyNotam(game, event){
+  const t = event.target || {};
+  let detail = '';
+  if (t.kind === 'airport'){
+    const { rebooked, waiting } = rebookPassengers(game, t.stationId);
+    if (rebooked > 0) detail += ` - ${rebooked} passenger${rebooked === 1 ? '' : 's'} rebooked`;
+    if (waiting > 0) detail += ` - ${waiting} waiting`;
+  }
+  // Routing leaves closed airports out
+  bumpNetworkRevision(game);
+  game.needsRedraw = true;
+  game.showToast(`NOTAM: ${event.label} closed for ${formatHours(event.endTime - event.startTime, game)}${detail}`);
+}
+
+export function liftNotam(game, event){
+  bumpNetworkRevision(game);
+  game.needsRedraw = true;
+  game.showToast(`NOTAM lifted: ${event.label} reopened`);
+}
+
+// Upcoming and active NOTAMs for the HUD, soonest change first:
+// [{ label, kind, active, startsInMs, endsInMs }]
+export function getNotamBoard(game){
+  if (!game.events) return [];
+  const now = game.gameTime;
+  const rows = [];
+  for (const n of getActiveNotams(game)){
+    rows.push({ label: n.label, kind: n.target.kind, active: true, startsInMs: 0, endsInMs: Math.max(0, n.endTime - now) });
+  }
+  for (const s of game.events.scheduledEvents || []){
+    if (s.type !== 'notam' || !s.params || !s.params.target) continue;
+    const startsInMs = Math.max(0, s.startTime - now);
+    rows.push({ label: s.params.label, kind: s.params.target.kind, active: false, startsInMs, endsInMs: startsInMs + s.params.duration });
+  }
+  return rows.sort((a, b) => (a.active ? a.endsInMs : a.startsInMs) - (b.active ? b.endsInMs : b.startsInMs));
+}
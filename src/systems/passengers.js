@@ -1,5 +1,9 @@
-import { estimateETA, neighborsOnLineFrom, stepReducesETA, buildStationGraph } from './routing.js';
+import { estimateETA, neighborsOnLineFrom, stepReducesETA } from './routing.js';
 import { createScorePopup } from './trains.js';
+import { getNotamClosures, isAirportClosed } from './notams.js';
+import { weatherClosedAirports } from './weather.js';
+import { planItinerary, ensureItinerary, plannedBoarding } from './itinerary.js';
+import { trainServes } from './service.js';
 
 export function spawnPassenger(game){
   if (game.gameOver) return; if (game.stations.length<2) return;
@@ -14,60 +18,86 @@ export function spawnPassenger(game){
     else boost = 1.1;
     return Math.round(baseCap * boost);
   }
-  const candidates = game.stations.filter(s => s);
+  // Airports closed by NOTAM neither send nor receive new passengers
+  const closed = getNotamClosures(game).airports;
+  const open = game.stations.filter(s => s && !closed.has(s.id));
+  if (open.length < 2) return;
+  const candidates = open;
   let origins = candidates.filter(s => (s.queue ? s.queue.length : 0) < dynamicCap(s) - 1);
   if (origins.length === 0) origins = candidates; // fallback
-  const origin = origins[Math.floor(Math.random()*origins.length)];
+  const origin = game.rng.pick(origins);
   const originIndex = origin.id;
 
   // BALANCED FINAL AIRPORT FOCUS - sustainable demand distribution
-  const finals = game.stations.filter(Boolean).filter(s => s.id !== originIndex && s.isFinal);
-  const others = game.stations.filter(Boolean).filter(s => s.id !== originIndex && !s.isFinal);
+  const finals = open.filter(s => s.id !== originIndex && s.isFinal);
+  const others = open.filter(s => s.id !== originIndex && !s.isFinal);
 
   let destStation;
   if (finals.length > 0) {
     // Hub-and-spoke: still serve finals, but prefer hubs strongly for non-final demand
     const finalBias = (game.day <= 3) ? 0.45 : 0.6;
-    if (Math.random() < finalBias || others.length === 0) {
-      destStation = finals[Math.floor(Math.random() * finals.length)];
+    if (game.rng.next() < finalBias || others.length === 0) {
+      destStation = game.rng.pick(finals);
     } else {
       const interchanges = others.filter(s => s.isInterchange);
       const bias = (game.config && (game.config.hubSpokeBias || (game.config.hubAndSpokeMode ? 1.2 : 1))) || 1;
       const baseP = 0.7; // baseline preference for interchanges
       const boosted = Math.max(0.7, Math.min(0.97, baseP + 0.2 * (bias - 1))); // cap at 97%
-      const pickHub = interchanges.length > 0 && (Math.random() < (game.config.hubAndSpokeMode ? boosted : baseP));
+      const pickHub = interchanges.length > 0 && (game.rng.next() < (game.config.hubAndSpokeMode ? boosted : baseP));
       if (pickHub) {
-        destStation = interchanges[Math.floor(Math.random() * interchanges.length)];
+        destStation = game.rng.pick(interchanges);
       } else {
-        destStation = others[Math.floor(Math.random() * others.length)];
+        destStation = game.rng.pick(others);
       }
     }
   } else {
     // No finals available yet, use any destination
     if (others.length === 0) return;
-    destStation = others[Math.floor(Math.random() * others.length)];
+    destStation = game.rng.pick(others);
   }
 
+  addPassenger(game, origin, destStation);
+  // Only regular demand counts towards the efficiency stat; passengers from events
+  // (VIPs, surges) come on top
+  game.totalPassengers++;
+}
+
+// A new passenger waiting at origin for dest; extra: more fields (isVIP, ...)
+export function addPassenger(game, origin, dest, extra = {}){
   const now = game.gameTime;
   const passenger = {
-    id: Math.random().toString(36).slice(2,9),
-    destStation: destStation.id,
+    id: game.rng.id(),
+    destStation: dest.id,
     // Keep destShape for UI coloring in station queues
-    destShape: destStation.shape,
+    destShape: dest.shape,
     spawnTime: now,
     startTime: now,
     waitTime: 0,
-    originStation: originIndex,
-    transferReadyAt: now
+    heldMs: 0,
+    originStation: origin.id,
+    transferReadyAt: now,
+    // Planned legs; replanned lazily when the network changes
+    itinerary: planItinerary(game, origin.id, dest.id),
+    leg: 0,
+    ...extra
   };
   origin.queue.push(passenger);
-  game.totalPassengers++;
+  return passenger;
 }
 
 export function updatePassengersAndCheckOvercrowding(game, dt){
+  // NOTAM and storm closures stop the clock for passengers stuck at, or bound
+  // for, a closed airport: the time held doesn't count towards their wait
+  const hold = (p) => { p.heldMs = (p.heldMs || 0) + dt; };
+  const closed = new Set([...getNotamClosures(game).airports, ...weatherClosedAirports(game)]);
+  if (closed.size > 0){
+    for (const tr of game.trains) tr.passengers.forEach(p => { if (closed.has(p.destStation)) hold(p); });
+  }
   for (const st of game.stations){
     if (!st) continue;
-    st.queue.forEach(p=> p.waitTime = game.gameTime - p.spawnTime);
+    const stClosed = closed.has(st.id);
+    if (closed.size > 0) st.queue.forEach(p => { if (stClosed || closed.has(p.destStation)) hold(p); });
+    st.queue.forEach(p=> p.waitTime = game.gameTime - p.spawnTime - (p.heldMs || 0));
 
     // EMERGENCY PASSENGER MANAGEMENT - Handle severe overcrowding
     handleEmergencyOvercrowding(game, st);
@@ -79,7 +109,7 @@ export function updatePassengersAndCheckOvercrowding(game, dt){
     const cap = Math.round(baseCap * boost);
 
     if (st.queue.length>=cap){
-      st.overflowTimer += dt;
+      if (!stClosed) st.overflowTimer += dt;
       // Dynamic grace: much longer early; still generous later
       const overflowFailMs = (game.day <= 2) ? 60000 : (game.day === 3 ? 55000 : (game.day === 4 ? 50000 : 45000));
       if (st.overflowTimer > overflowFailMs){
@@ -94,7 +124,7 @@ export function updatePassengersAndCheckOvercrowding(game, dt){
     st.queue.forEach((p,idx)=>{
       if (p.waitTime > game.config.maxWaitSeconds*1000){
         // BALANCED: Only fail if there's been reasonable opportunity for service
-        const canBeServed = st.connections.length>0 && isFinite(estimateETA(game, st.id, p.destStation));
+        const canBeServed = st.connections.length>0 && !!ensureItinerary(game, p, st.id).legs;
 
         if (!canBeServed) {
           // No route possible - silently remove (not player's fault)
@@ -118,14 +148,22 @@ export function canTrainReachDestination(game, line, destStationIdx){
   if (!line) return false; return line.stations.includes(destStationIdx);
 }
 
-// IMPROVED: Decide if boarding this line from station is beneficial for reaching destination
-export function shouldBoardLineHere(game, line, stationIdx, passenger){
+// Decide if boarding this line from station gets the passenger towards their destination.
+// Passengers with a planned itinerary board only their next leg (train gives the
+// direction); the heuristics below are for passengers with no route yet.
+export function shouldBoardLineHere(game, line, stationIdx, passenger, train = null){
   if (!line || !line.stations || line.stations.length < 2) return false;
   if (!passenger) return false;
   const destStationIdx = passenger.destStation;
 
-  // PRIORITY 1: Direct connection - always board if destination is on this line
-  if (line.stations.includes(destStationIdx)) {
+  // Bound for an airport closed by NOTAM: wait here until it reopens
+  if (isAirportClosed(game, destStationIdx)) return false;
+
+  const planned = plannedBoarding(game, passenger, line, stationIdx, train);
+  if (planned !== null) return planned;
+
+  // PRIORITY 1: Direct connection - always board if this plane stops at the destination
+  if (line.stations.includes(destStationIdx) && trainServes(game, train, destStationIdx)) {
     return true;
   }
 
@@ -134,7 +172,7 @@ export function shouldBoardLineHere(game, line, stationIdx, passenger){
   if (neigh.length === 0) return false;
 
   for (const v of neigh) {
-    if (stepReducesETA(game, stationIdx, v, destStationIdx)) {
+    if (stepReducesETA(game, stationIdx, v, destStationIdx, line.id)) {
       return true;
     }
   }
@@ -232,7 +270,7 @@ function handleEmergencyOvercrowding(game, station) {
         const candidates = stuckPassengers.length > 0 ? stuckPassengers : station.queue.slice(0, 2);
         const passengersToMove = candidates.slice(0, 2);
         passengersToMove.forEach(passenger => {
-          const altStation = alternativeStations[Math.floor(Math.random() * alternativeStations.length)];
+          const altStation = game.rng.pick(alternativeStations);
 
           // Remove from current station
           const index = station.queue.indexOf(passenger);
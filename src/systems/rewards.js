@@ -0,0 +1,104 @@
+// Weekly rewards: offer selection and effects (UI lives in main.js)
+import { createScorePopup } from './trains.js';
+import { AIRCRAFT_TYPES, addAircraft } from './fleet.js';
+import { addModifier } from './modifiers.js';
+
+export const REWARD_CHOICES = [
+  { type:'line', icon:'🧭', title:'New Route', description:'Open an additional air corridor' },
+  { type:'carriage', icon:'🧳', title:'Bigger Cabin', description:'+2 capacity to a random plane' },
+  { type:'tunnel', icon:'🛂', title:'Permit', description:'Cross restricted airspace' },
+  { type:'speed', icon:'⚡', title:'Speed Boost', description:'Increase plane speeds by 20%' },
+  { type:'hub_upgrade', icon:'🏢', title:'Hub Upgrade', description:'Convert an airport to interchange status' },
+  { type:'final_express', icon:'✈️', title:'Express Service', description:'Direct routes to finals get +50% speed' }
+];
+
+// A specific plane for the hangar: type 'aircraft:<type>'
+function aircraftOffer(game){
+  const type = game.rng.pick(Object.keys(AIRCRAFT_TYPES));
+  const spec = AIRCRAFT_TYPES[type];
+  const notes = [`${spec.capacity} seats`, `${Math.round(spec.speed * 100)}% speed`];
+  if (spec.runway === 'large') notes.push('large airports only');
+  if (!spec.permits) notes.push('no restricted airspace');
+  return { type: `aircraft:${type}`, icon: spec.icon, title: spec.label, description: notes.join(' · ') };
+}
+
+// ENHANCED Weekly rewards - strategic focus on final destination network
+export function rollWeeklyRewards(game){
+  // Strategic reward selection based on game state
+  let selected = [...REWARD_CHOICES];
+
+  // Always offer route expansion early game
+  if (game.lines.length < 3) {
+    selected = selected.filter(c => c.type === 'line' || c.type === 'speed' || c.type === 'carriage');
+  }
+
+  // Offer hub upgrades when network grows
+  if (game.stations.length >= 8) {
+    const nonHubs = game.stations.filter(s => s && !s.isInterchange && !s.isFinal);
+    if (nonHubs.length > 0) {
+      selected = selected.filter(c => c.type !== 'carriage'); // Replace with hub upgrade
+    }
+  }
+
+  // Two upgrades and one specific aircraft
+  return [...game.rng.shuffle(selected).slice(0,2), aircraftOffer(game)];
+}
+
+export function applyReward(game, type){
+  if (type.startsWith('aircraft:')) addAircraft(game, type.slice('aircraft:'.length));
+  else if (type==='line') game.linesAvailable++;
+  else if (type==='carriage'){
+    game.carriages++;
+    const tr = game.rng.pick(game.trains);
+    if (tr) addModifier(game, tr, { stat: 'capacity', source: 'reward', add: 2 });
+  }
+  else if (type==='tunnel') game.tunnels++;
+  else if (type==='speed'){
+    game.trains.forEach(tr => addModifier(game, tr, { stat: 'speed', source: 'reward', mul: 1.2 }));
+  }
+  else if (type==='hub_upgrade'){
+    // Convert a regular airport to interchange status
+    const eligible = game.stations.filter(s => s && !s.isInterchange && !s.isFinal);
+    if (eligible.length > 0) {
+      const target = game.rng.pick(eligible);
+      target.isInterchange = true;
+      target.mctMs = Math.round((target.mctMs || 12000) * 0.8); // Better transfer times
+      createScorePopup(game, target.x, target.y, 'HUB UPGRADE!', '#0ea5a3');
+    }
+  }
+  else if (type==='final_express'){
+    // Mark all lines that connect to final destinations for speed boost
+    game.finalExpressActive = true;
+    for (const line of game.lines) {
+      if (line.stations.some(si => game.stations[si] && game.stations[si].isFinal)) {
+        for (const trainId of line.trains) {
+          const train = game.trains.find(t => t.id === trainId);
+          if (train) addModifier(game, train, { stat: 'speed', source: 'express', mul: 1.5 });
+        }
+      }
+    }
+  }
+}
+
+// Headless policy: rank reward types for the current state, take the best one on offer
+export function pickRewardHeadless(game, offers){
+  const waiting = game.stations.reduce((s, st) => s + ((st && st.queue) ? st.queue.length : 0), 0);
+  const day = game.day || 1;
+  const linesCount = game.lines.length;
+  const nonHubs = game.stations.filter(s => s && !s.isFinal && !s.isInterchange);
+
+  const prefs = [];
+  // Prefer more route capacity in early game and under load
+  if (day <= 3 || waiting > 35 || linesCount < 4) prefs.push('line');
+  if (waiting > 25) prefs.push('carriage', 'aircraft');
+  if (game.trains.length < Math.max(2, linesCount)) prefs.push('speed');
+  if (nonHubs.length > 5) prefs.push('hub_upgrade');
+  prefs.push('speed', 'line', 'carriage', 'aircraft', 'final_express', 'tunnel', 'hub_upgrade');
+
+  // 'aircraft' takes whichever plane is on offer
+  const offered = (offers || []).map(o => o.type);
+  if (offered.length === 0) return prefs[0];
+  const match = (t) => offered.find(o => o === t || o.startsWith(`${t}:`));
+  for (const t of prefs) if (match(t)) return match(t);
+  return offered[0];
+}
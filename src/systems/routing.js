@@ -1,23 +1,29 @@
 // Routing helpers for multi-leg (connecting) travel
+//
+// The routing graph is line-aware: a node is a stop, i.e. a (station, line) pair.
+// Ride edges join consecutive stops of one line and cost the flight time along the
+// route's waypoints; transfer edges join the stops of different lines at one
+// station and cost the station's connection time plus the wait for the next plane.
+// Passengers starting at a station pay only the wait for their first plane.
+// Lines whose planes run different service patterns (express, skip-stop) get
+// one set of stops per service, each with its own headway.
+import { MinHeap } from '../utils/heap.js';
+import { weatherSlowFactor } from './weather.js';
+import { stationDwellMs } from './trains.js';
+import { lineLoadFactor } from './boarding.js';
+import { isTimetableMode, departureIntervalMs } from './timetable.js';
+import { lineServices } from './service.js';
+import { aircraftType } from './fleet.js';
+import { effectiveSpeed } from './modifiers.js';
+import { getNotamClosures } from './notams.js';
 
-// Build adjacency list for all stations based on all player routes (lines)
-export function buildStationGraph(game){
-  const n = game.stations.length;
-  const adj = Array.from({length:n}, ()=> new Set());
-  for (const line of game.lines){
-    if (!line || !line.stations || line.stations.length < 2) continue;
-    for (let i=0;i<line.stations.length-1;i++){
-      const a = line.stations[i];
-      const b = line.stations[i+1];
-      if (a==null || b==null) continue;
-      adj[a].add(b); adj[b].add(a);
-    }
-  }
-  return adj.map(s => Array.from(s));
+// Bumped whenever routes or airports change so planned itineraries know they're stale
+export function bumpNetworkRevision(game){
+  game.networkRevision = (game.networkRevision || 0) + 1;
 }
 
 // Edge time estimate between two connected stations (ms)
-function edgeTimeMs(game, aIdx, bIdx){
+export function edgeTimeMs(game, aIdx, bIdx){
   const A = game.stations[aIdx], B = game.stations[bIdx];
   if (!A || !B) return Infinity;
   const dist = Math.hypot(B.x - A.x, B.y - A.y);
@@ -26,9 +32,8 @@ function edgeTimeMs(game, aIdx, bIdx){
   return t;
 }
 
-function nodeTransferMs(game, nodeIdx, destIdx){
-  // Add MCT at intermediate nodes only (not at destination itself)
-  if (nodeIdx === destIdx) return 0;
+// Minimum connection time for changing planes at a station (ms)
+export function transferTimeMs(game, nodeIdx){
   const s = game.stations[nodeIdx];
   if (!s) return 0;
   const base = s.mctMs ?? (game.config.defaultMCT || 12000);
@@ -37,41 +42,367 @@ function nodeTransferMs(game, nodeIdx, destIdx){
   return base * factor * mult;
 }
 
-// Dijkstra from destination backwards to get ETA to dest for all nodes
-export function computeETAs(game, destIdx){
-  const N = game.stations.length;
-  const adj = buildStationGraph(game);
-  const eta = new Array(N).fill(Infinity);
-  const visited = new Array(N).fill(false);
-  eta[destIdx] = 0;
-
-  for (;;) {
-    let u = -1, best = Infinity;
-    for (let i=0;i<N;i++) if (!visited[i] && eta[i] < best){ best = eta[i]; u = i; }
-    if (u === -1) break;
-    visited[u] = true;
-    for (const v of adj[u]){
-      // Cost from v to dest could go via u: edge v->u time + transfer at u + eta[u]
-      const alt = edgeTimeMs(game, v, u) + nodeTransferMs(game, u, destIdx) + eta[u];
-      if (alt < eta[v]) eta[v] = alt;
+// Waypoint index nearest each stop, scanning forward from the previous stop;
+// null when the line has no waypoints yet
+function stopWaypointIndices(game, line){
+  const wp = line.waypoints;
+  if (!wp || wp.length < 2) return null;
+  const at = [];
+  let from = 0;
+  for (const si of line.stations){
+    const s = game.stations[si];
+    if (!s) return null;
+    let best = from, bestD = Infinity;
+    for (let k = from; k < wp.length; k++){
+      const d = Math.hypot(wp[k].x - s.x, wp[k].y - s.y);
+      if (d < bestD){ bestD = d; best = k; }
+    }
+    at.push(best);
+    from = best;
+  }
+  return at;
+}
+
+function planesOnLine(game, line){
+  return (line.trains || []).map(id => game.trains.find(t => t && t.id === id)).filter(Boolean);
+}
+
+// Average cruising speed of the line's planes (world units per ms), clear of weather
+function lineSpeed(game, line){
+  const speeds = planesOnLine(game, line).map(t => effectiveSpeed(game, t, ['weather']));
+  const speed = speeds.length > 0 ? speeds.reduce((a, b) => a + b, 0) / speeds.length : game.config.trainSpeed;
+  return Math.max(1e-6, speed || 0.06);
+}
+
+// Average turnaround multiplier of the line's aircraft types
+function lineTurnaround(game, line){
+  const planes = planesOnLine(game, line);
+  return planes.length > 0 ? planes.reduce((a, t) => a + aircraftType(t).turnaround, 0) / planes.length : 1;
+}
+
+// Time to fly along pts (ms), slowed wherever the path runs through weather
+function pathFlightMs(game, pts, speed, weather){
+  let t = 0;
+  for (let k = 1; k < pts.length; k++){
+    const p = pts[k - 1], q = pts[k];
+    const slow = weather ? weatherSlowFactor(game, (p.x + q.x) / 2, (p.y + q.y) / 2) : 1;
+    t += Math.hypot(q.x - p.x, q.y - p.y) / (speed * slow);
+  }
+  return t;
+}
+
+// Flight time of each leg (ms): along the route's waypoints (straight when it has
+// none yet), slowed wherever the path runs through weather. Loops get one more
+// leg, last airport back to the first: the rest of the waypoints, then straight on
+// to the first airport (the closing stretch is drawn that way).
+function legFlightMs(game, line, speed, weather = true){
+  const at = stopWaypointIndices(game, line);
+  const legs = line.stations.slice(0, -1).map((si, i) => {
+    const A = game.stations[si], B = game.stations[line.stations[i + 1]];
+    if (!A || !B) return Infinity;
+    const pts = (at && at[i + 1] > at[i]) ? line.waypoints.slice(at[i], at[i + 1] + 1) : [A, B];
+    return pathFlightMs(game, pts, speed, weather);
+  });
+  if (line.isLoop){
+    const last = game.stations[line.stations[line.stations.length - 1]], first = game.stations[line.stations[0]];
+    if (!last || !first) legs.push(Infinity);
+    else legs.push(pathFlightMs(game, [...(at ? line.waypoints.slice(at[at.length - 1]) : [last]), first], speed, weather));
+  }
+  return legs;
+}
+
+// Timing of one line:
+//   rideMs[i]  stations[i] -> stations[i+1]: flight plus the stop at the far end;
+//              loops have one more, the last airport back to the first
+//   headwayMs  expected time between planes at a stop: the round trip, stops
+//              included, shared by the planes on it, or the departure interval in
+//              timetable mode. Routes without planes never depart, unless
+//              unserved is set (then they count as having one).
+// scheduled: false gives the free-running headway; weather: false times the
+// legs in clear skies. stops/planes time one service: airports outside stops
+// are flown past without a stop, and its planes share the departures.
+export function lineTiming(game, line, { unserved = false, scheduled = true, weather = true, stops = null, planes: servicePlanes = null } = {}){
+  const linePlanes = (line.trains || []).length;
+  const planes = Math.max(servicePlanes ?? linePlanes, unserved ? 1 : 0);
+  const flight = legFlightMs(game, line, lineSpeed(game, line), weather);
+  const turnaround = lineTurnaround(game, line);
+  const dwell = line.stations.map(si => (game.stations[si] && (!stops || stops.has(si))) ? stationDwellMs(game, game.stations[si], null, turnaround) : 0);
+  const n = dwell.length;
+  const rideMs = flight.map((f, i) => f + dwell[(i + 1) % n]);
+  const oneWay = flight.reduce((a, b) => a + b, 0);
+  const dwellTotal = dwell.reduce((a, b) => a + b, 0);
+  // Loops fly every leg once, closing leg included, and stop once at each
+  // airport; out-and-back lines stop at intermediate airports twice
+  const roundTrip = line.isLoop ? oneWay + dwellTotal : 2 * oneWay + 2 * dwellTotal - dwell[0] - dwell[n - 1];
+  let headwayMs = planes > 0 ? roundTrip / planes : Infinity;
+  if (scheduled && planes > 0 && isTimetableMode(game)) headwayMs = departureIntervalMs(game, line) * Math.max(1, linePlanes) / planes;
+  return { rideMs, headwayMs };
+}
+
+// Expected wait to board a line (ms): half a headway, plus up to
+// config.crowdingPenalty more headways when its planes keep leaving full
+export function boardingWaitMs(game, line, headwayMs){
+  const full = Math.max(0, Math.min(1, (lineLoadFactor(line) - 0.8) / 0.2));
+  return headwayMs * (0.5 + full * (game.config.crowdingPenalty ?? 1));
+}
+
+// Build the (station, line) graph for the current network. Node n stands for
+// nodeStation[n] served by lines[nodeLine[n]], running service services[nodeLine[n]]
+// (one entry per service, so a line with an express shows up twice); boardMs[n]
+// is the expected wait for a plane there. Edges are kept both ways so Dijkstra
+// can run towards a destination (inEdges) or away from an origin (outEdges).
+// unserved: include routes that have no planes yet (reachability checks).
+// Closed airports (NOTAM or runway closure) keep their nodes but no edges:
+// planes hold short of them, so nobody rides or transfers through.
+export function buildRoutingGraph(game, { unserved = false } = {}){
+  const closed = getNotamClosures(game).airports;
+  const lines = [], services = [];
+  for (const line of game.lines){
+    if (!line || !line.stations || line.stations.length < 2) continue;
+    for (const s of lineServices(game, line)){ lines.push(line); services.push(s); }
+  }
+  const nodeStation = [], nodeLine = [], boardMs = [];
+  const outEdges = [], inEdges = [];
+  const stops = new Map(); // stationIdx -> [node]
+
+  const addEdge = (from, to, cost, kind) => {
+    if (!isFinite(cost)) return;
+    outEdges[from].push({ to, cost, kind });
+    inEdges[to].push({ from, cost, kind });
+  };
+
+  lines.forEach((line, li) => {
+    const service = services[li];
+    const { rideMs, headwayMs } = lineTiming(game, line, { unserved, stops: service.stops, planes: service.trains.length });
+    const wait = boardingWaitMs(game, line, headwayMs);
+    // Only the service's stops get nodes; a ride flies past the others
+    const served = line.stations.map((si, k) => k).filter(k => !service.stops || service.stops.has(line.stations[k]));
+    const nodes = served.map(k => {
+      const si = line.stations[k];
+      const n = nodeStation.length;
+      nodeStation.push(si); nodeLine.push(li); boardMs.push(wait);
+      outEdges.push([]); inEdges.push([]);
+      if (!stops.has(si)) stops.set(si, []);
+      stops.get(si).push(n);
+      return n;
+    });
+    if (!isFinite(wait)) return; // no planes: nobody rides it
+    for (let i = 0; i < nodes.length - 1; i++){
+      if (closed.has(nodeStation[nodes[i]]) || closed.has(nodeStation[nodes[i + 1]])) continue;
+      const ride = rideMs.slice(served[i], served[i + 1]).reduce((a, b) => a + b, 0);
+      addEdge(nodes[i], nodes[i + 1], ride, 'ride');
+      addEdge(nodes[i + 1], nodes[i], ride, 'ride');
+    }
+    if (line.isLoop && nodes.length > 2 && !closed.has(nodeStation[nodes[0]]) && !closed.has(nodeStation[nodes[nodes.length - 1]])){
+      // Last served stop around to the first, over any airports the service skips
+      const around = [...rideMs.slice(served[served.length - 1]), ...rideMs.slice(0, served[0])];
+      const ride = around.reduce((a, b) => a + b, 0);
+      addEdge(nodes[nodes.length - 1], nodes[0], ride, 'ride');
+      addEdge(nodes[0], nodes[nodes.length - 1], ride, 'ride');
+    }
+  });
+
+  for (const [si, nodes] of stops){
+    if (closed.has(si)) continue;
+    const mct = transferTimeMs(game, si);
+    for (const a of nodes){
+      for (const b of nodes){
+        if (a !== b && nodeLine[a] !== nodeLine[b]) addEdge(a, b, mct + boardMs[b], 'transfer');
+      }
+    }
+  }
+
+  return { lines, services, nodeStation, nodeLine, boardMs, outEdges, inEdges, stops };
+}
+
+// Dijkstra towards destIdx over the graph: ms to the destination from aboard each node
+export function etaToDestination(graph, destIdx){
+  const dist = new Array(graph.nodeStation.length).fill(Infinity);
+  const open = new MinHeap();
+  for (const n of graph.stops.get(destIdx) || []){ dist[n] = 0; open.push(n, 0); }
+  while (open.size){
+    const n = open.pop();
+    for (const { from, cost } of graph.inEdges[n]){
+      const alt = dist[n] + cost;
+      if (alt < dist[from]){ dist[from] = alt; open.push(from, alt); }
     }
   }
+  return dist;
+}
+
+// ETA (ms) to destIdx for a passenger standing at each station, waiting included
+export function computeETAs(game, destIdx, graph = buildRoutingGraph(game)){
+  return stationETAs(game, graph, etaToDestination(graph, destIdx), destIdx);
+}
 
+function stationETAs(game, graph, nodeEta, destIdx){
+  const eta = new Array(game.stations.length).fill(Infinity);
+  for (const [si, nodes] of graph.stops){
+    for (const n of nodes) eta[si] = Math.min(eta[si], graph.boardMs[n] + nodeEta[n]);
+  }
+  if (destIdx != null && destIdx < eta.length) eta[destIdx] = 0;
   return eta;
 }
 
+// Bounding box of a line's path (its airports when it has no waypoints yet)
+function lineBox(game, line){
+  const pts = (line.waypoints && line.waypoints.length >= 2) ? line.waypoints : line.stations.map(si => game.stations[si]).filter(Boolean);
+  const box = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+  for (const p of pts){ box.minX = Math.min(box.minX, p.x); box.minY = Math.min(box.minY, p.y); box.maxX = Math.max(box.maxX, p.x); box.maxY = Math.max(box.maxY, p.y); }
+  return box;
+}
+
+// What ride times and waits are made of besides the network itself: storms over
+// a route (to the nearest hex), the day's early-game factors, how full each route
+// runs (in tenths of the crowding range), plane speeds and airport stop and
+// connection times. The table is rebuilt when this changes.
+function rideTimeKey(game){
+  const q = (game.config.hexGrid && game.config.hexGrid.size) || 44;
+  const parts = [Math.min(game.day || 1, 4)];
+  const weather = game.weather;
+  if (weather && weather.enabled){
+    const boxes = game.lines.filter(l => l && l.stations && l.stations.length >= 2).map(l => lineBox(game, l));
+    for (const c of weather.cells || []){
+      const r = Math.max(c.rx, c.ry);
+      if (!boxes.some(b => c.x + r >= b.minX && c.x - r <= b.maxX && c.y + r >= b.minY && c.y - r <= b.maxY)) continue;
+      parts.push(`${Math.round(c.x / q)},${Math.round(c.y / q)},${Math.round(c.rx / q)},${Math.round(c.ry / q)},${Math.round((c.angle || 0) * 8)},${Math.round((c.intensity || 0) * 10)}`);
+    }
+  }
+  for (const line of game.lines){
+    if (!line) continue;
+    const full = Math.max(0, Math.min(1, (lineLoadFactor(line) - 0.8) / 0.2));
+    parts.push(`${line.id}:${Math.round(full * 10)}:${lineSpeed(game, line).toFixed(5)}:${line.departureIntervalMs || 0}`);
+  }
+  for (const s of game.stations) if (s) parts.push(`${s.turnaroundMs}/${s.mctMs}/${s.isOvercrowded ? 1 : 0}`);
+  return parts.join('|');
+}
+
+// Routing service: the graph and per-destination ETAs, built once per network
+// revision and then answered from the table. Destinations are filled in the
+// first time they are asked for, so each costs one Dijkstra per revision.
+// Every config.routingRefreshMs of game time the table checks rideTimeKey and is
+// rebuilt only if weather, crowding, speeds or stop times have moved since.
+export class RoutingTable {
+  constructor(game) {
+    this.game = game;
+    this.revision = null;
+    this.epoch = null;
+    this.key = null;
+    this.graph = null;
+    this.reachGraph = null; // includes routes without planes
+    this.byDest = new Map(); // destIdx -> { node, station }
+    this.reachByDest = new Map();
+    this.stats = { hits: 0, misses: 0, rebuilds: 0, unchanged: 0 }; // unchanged: timed checks that kept the table
+  }
+
+  // Drop the table; the next lookup rebuilds it
+  invalidate() {
+    this.revision = null;
+    this.graph = null;
+  }
+
+  refresh() {
+    const game = this.game;
+    const revision = game.networkRevision || 0;
+    const epoch = Math.floor((game.gameTime || 0) / (game.config.routingRefreshMs || 5000));
+    if (this.revision === revision && this.graph) {
+      if (this.epoch === epoch) return;
+      this.epoch = epoch;
+      const key = rideTimeKey(game);
+      if (key === this.key) { this.stats.unchanged++; return; }
+      this.key = key;
+    } else {
+      if (game.debugLogs && this.revision !== null && this.revision !== revision) {
+        console.log(`Routing table rev ${this.revision}: ${this.stats.hits} hits, ${this.stats.misses} misses (${this.hitRate()}% hit rate)`);
+      }
+      this.revision = revision;
+      this.epoch = epoch;
+      this.key = rideTimeKey(game);
+    }
+    this.graph = buildRoutingGraph(this.game);
+    this.reachGraph = null;
+    this.byDest.clear();
+    this.reachByDest.clear();
+    this.stats.rebuilds++;
+  }
+
+  getGraph() {
+    this.refresh();
+    return this.graph;
+  }
+
+  forDestination(destIdx) {
+    this.refresh();
+    let entry = this.byDest.get(destIdx);
+    if (entry) {
+      this.stats.hits++;
+      return entry;
+    }
+    this.stats.misses++;
+    const node = etaToDestination(this.graph, destIdx);
+    entry = { node, station: stationETAs(this.game, this.graph, node, destIdx) };
+    this.byDest.set(destIdx, entry);
+    return entry;
+  }
+
+  // ms from standing at fromIdx to arriving at destIdx (Infinity when unreachable)
+  eta(fromIdx, destIdx) {
+    const v = this.forDestination(destIdx).station[fromIdx];
+    return v === undefined ? Infinity : v;
+  }
+
+  // Is there any route at all, counting routes still waiting for a plane?
+  reachable(fromIdx, destIdx) {
+    if (fromIdx === destIdx) return true;
+    this.refresh();
+    if (!this.reachGraph) this.reachGraph = buildRoutingGraph(this.game, { unserved: true });
+    let node = this.reachByDest.get(destIdx);
+    if (node) this.stats.hits++;
+    else {
+      this.stats.misses++;
+      node = etaToDestination(this.reachGraph, destIdx);
+      this.reachByDest.set(destIdx, node);
+    }
+    return (this.reachGraph.stops.get(fromIdx) || []).some(n => isFinite(node[n]));
+  }
+
+  hitRate() {
+    const total = this.stats.hits + this.stats.misses;
+    return total > 0 ? Math.round(this.stats.hits / total * 100) : 0;
+  }
+
+  getStats() {
+    return { ...this.stats, revision: this.revision, destinations: this.byDest.size, hitRate: this.hitRate() };
+  }
+}
+
+// The game's routing table (created with the game; plain game objects get one on demand)
+export function getRoutingTable(game){
+  if (!game.routing) game.routing = new RoutingTable(game);
+  return game.routing;
+}
+
 export function estimateETA(game, fromIdx, destIdx){
   if (fromIdx==null || destIdx==null) return Infinity;
-  const etas = computeETAs(game, destIdx);
-  return etas[fromIdx];
+  return getRoutingTable(game).eta(fromIdx, destIdx);
 }
 
-// Returns true if stepping from fromIdx to viaIdx is ETA-improving
-export function stepReducesETA(game, fromIdx, viaIdx, destIdx){
-  const etaFrom = estimateETA(game, fromIdx, destIdx);
-  const etaVia = estimateETA(game, viaIdx, destIdx);
-  const step = edgeTimeMs(game, fromIdx, viaIdx);
-  return isFinite(etaFrom) && isFinite(etaVia) && (step + etaVia + 1 < etaFrom);
+// Returns true if boarding at fromIdx and flying on to viaIdx lies on a best route
+// to destIdx. lineId limits the ride to that line; otherwise any line joining the two.
+export function stepReducesETA(game, fromIdx, viaIdx, destIdx, lineId = null){
+  const table = getRoutingTable(game);
+  const { node: nodeEta, station } = table.forDestination(destIdx);
+  const graph = table.graph;
+  const etaFrom = station[fromIdx];
+  if (!isFinite(etaFrom)) return false;
+  for (const n of graph.stops.get(fromIdx) || []){
+    if (lineId != null && graph.lines[graph.nodeLine[n]].id !== lineId) continue;
+    for (const { to, cost, kind } of graph.outEdges[n]){
+      if (kind !== 'ride' || graph.nodeStation[to] !== viaIdx) continue;
+      if (graph.boardMs[n] + cost + nodeEta[to] <= etaFrom + 1) return true;
+    }
+  }
+  return false;
 }
 
 export function neighborsOnLineFrom(line, stationIdx){
@@ -0,0 +1,285 @@
+// Save/load for a running game
+// Serializes the whole network (airports, routes, planes, passengers, weather,
+// events, clock and inventory) to versioned JSON and restores it in place.
+
+import { attachLineColor, rebuildStationConnections } from './lines_final.js';
+import { createRng } from '../utils/rng.js';
+import { restoreWeather } from './weather.js';
+import { getRoutingTable } from './routing.js';
+
+export const SAVE_VERSION = 3;
+
+const STORAGE_PREFIX = 'flightcontrol_save_';
+const AUTOSAVE_INDEX_KEY = STORAGE_PREFIX + 'autoIndex';
+export const AUTOSAVE_SLOT_COUNT = 3;
+export const QUICK_SLOT = 'quick';
+
+function clone(value){
+  return value == null ? value : JSON.parse(JSON.stringify(value));
+}
+
+export function serializeGame(game){
+  // The routing table is built from weather and crowding at the time it is first
+  // asked for; start it afresh here so this game and a copy loaded from the save
+  // plan from the same table
+  getRoutingTable(game).invalidate();
+
+  const stations = game.stations.map(s => s ? {
+    id: s.id, x: s.x, y: s.y, r: s.r,
+    shape: s.shape, name: s.name, zone: s.zone,
+    isFinal: !!s.isFinal, isInterchange: !!s.isInterchange,
+    ...(s.runway ? { runway: s.runway } : {}),
+    mctMs: s.mctMs, turnaroundMs: s.turnaroundMs,
+    queue: clone(s.queue || []),
+    overflowTimer: s.overflowTimer || 0,
+    isOvercrowded: !!s.isOvercrowded,
+    maxQueue: s.maxQueue
+  } : null);
+
+  const lines = game.lines.map(l => ({
+    id: l.id,
+    stations: [...l.stations],
+    colorIndex: l.colorIndex,
+    isLoop: !!l.isLoop,
+    trains: [...l.trains],
+    waypoints: clone(l.waypoints),
+    totalLength: l.totalLength || 0,
+    load: clone(l.load || null),
+    departureIntervalMs: l.departureIntervalMs ?? null,
+    pinnedTrains: l.pinnedTrains ?? null,
+    timetable: clone(l.timetable || null)
+  }));
+
+  const weather = game.weather ? {
+    enabled: !!game.weather.enabled,
+    cells: clone(game.weather.cells),
+    fronts: clone(game.weather.fronts || []),
+    nextSpawnAt: game.weather.nextSpawnAt ?? null,
+    nextId: game.weather.nextId ?? 1
+  } : null;
+  const autoRouting = game.autoRouting ? game.autoRouting.getState() : null;
+
+  return {
+    version: SAVE_VERSION,
+    savedAt: new Date().toISOString(),
+    summary: { day: game.day, score: game.score, lines: game.lines.length, airports: stations.filter(Boolean).length },
+    config: clone(game.config),
+    state: {
+      score: game.score,
+      totalPassengers: game.totalPassengers,
+      linesAvailable: game.linesAvailable,
+      trainsAvailable: game.trainsAvailable,
+      hangar: clone(game.hangar || {}),
+      tunnels: game.tunnels,
+      carriages: game.carriages,
+      day: game.day,
+      gameTime: game.gameTime,
+      prevGameTime: game.prevGameTime,
+      weekProgress: game.weekProgress,
+      finalDeliveries: game.finalDeliveries || 0,
+      totalFinalDeliveryTime: game.totalFinalDeliveryTime || 0,
+      diversions: game.diversions || 0,
+      divertedPassengers: game.divertedPassengers || 0,
+      finalExpressActive: !!game.finalExpressActive,
+      combo: clone(game.combo || null),
+      selectedLineColorIndex: game.selectedLineColorIndex,
+      nextStationIndex: game.nextStationIndex,
+      networkRevision: game.networkRevision || 0
+    },
+    rng: game.rng ? { seed: game.rng.seed, state: game.rng.getState() } : null,
+    schedule: clone(game.schedule || {}),
+    catalog: clone(game.availableCatalog || []),
+    stations,
+    lines,
+    trains: clone(game.trains),
+    weather,
+    events: game.events ? game.events.getState() : null,
+    autoRouting,
+    achievements: game.achievements ? game.achievements.getState() : null
+  };
+}
+
+// Migration steps keyed by the version they upgrade from: MIGRATIONS[n](save) returns a v(n+1) save
+const MIGRATIONS = {
+  // v1 planes kept one speed and capacity with every effect multiplied in; they
+  // become the base stats (a slowdown from an equipment failure under way comes
+  // back out as an expiring modifier, a storm slowdown is recomputed next frame).
+  // v1 saves from before weather fronts also get their weather converted.
+  1: (save) => {
+    save = migrateRoundWeather(save);
+    if (!Array.isArray(save.trains)) return save;
+    const failures = ((save.events && save.events.activeEvents) || []).filter(e => e.type === 'equipment_failure' && e.originalSpeed);
+    const trains = save.trains.map(t => {
+      if (!t) return t;
+      const { speed, capacity, _origSpeed, ...train } = t;
+      const failure = failures.find(e => e.affectedTrain === t.id);
+      train.baseSpeed = failure ? failure.originalSpeed : (_origSpeed ?? speed);
+      train.baseCapacity = capacity;
+      train.modifiers = failure ? [{ id: 'equipment_failure', stat: 'speed', source: 'event', mul: 0.6, add: 0, until: failure.endTime }] : [];
+      return train;
+    });
+    return { ...save, trains };
+  },
+  // v2 events undid their own effects from fields of their own; they now keep
+  // undo records for the effects they applied (event_script.js)
+  2: (save) => {
+    if (!save.events || !Array.isArray(save.events.activeEvents)) return save;
+    const undoFor = (e) => {
+      switch (e.type){
+        case 'rush_hour': return e.originalSpawnRate ? [{ type: 'config', key: 'spawnInterval', prev: e.originalSpawnRate, value: Math.max(1500, e.originalSpawnRate * 0.7) }] : [];
+        case 'equipment_failure': return e.affectedTrain != null ? [{ type: 'modifier', id: 'equipment_failure', trains: [e.affectedTrain] }] : [];
+        case 'weather_clear': return [{ type: 'weather', prev: !!e.wasWeatherEnabled }];
+        case 'bonus_routes': return [{ type: 'inventory', item: 'routes', add: 1, temporary: true }];
+        case 'notam': return [{ type: 'notam' }];
+        default: return [];
+      }
+    };
+    const activeEvents = save.events.activeEvents.map(e => ({ ...e, undo: e.undo || undoFor(e) }));
+    return { ...save, events: { ...save.events, activeEvents } };
+  }
+};
+
+// Weather from before fronts was a list of round cells (x, y, r) that never
+// changed; they become mature cells with eight in-game hours to go
+function migrateRoundWeather(save){
+  const weather = save.weather;
+  if (!weather || weather.fronts) return save;
+  const hour = ((save.config && save.config.weekLength) || 45000) / 24;
+  let nextId = 1;
+  const cells = (weather.cells || []).map(c => {
+    const { strength, ...cell } = c; // never read
+    const r = c.r || 60;
+    return { ...cell, id: nextId++, frontId: null, angle: 0, baseRx: r, baseRy: r, rx: r, ry: r, r, peak: 1, intensity: 1, age: hour * 8, life: hour * 16 };
+  });
+  const nextSpawnAt = (save.state && save.state.gameTime) || 0;
+  return { ...save, weather: { enabled: !!weather.enabled, cells, fronts: [], nextSpawnAt, nextId } };
+}
+
+// Upgrade older save layouts to the current version. Throws on saves we cannot read.
+function migrateSave(save){
+  if (!save || typeof save !== 'object') throw new Error('Save data is not an object');
+  if (typeof save.version !== 'number') throw new Error('Save data has no version');
+  if (save.version > SAVE_VERSION) throw new Error(`Save version ${save.version} is newer than this game (v${SAVE_VERSION})`);
+  while (save.version < SAVE_VERSION) {
+    const step = MIGRATIONS[save.version];
+    if (!step) throw new Error(`No migration from save version ${save.version}`);
+    save = { ...step(save), version: save.version + 1 };
+  }
+  if (!Array.isArray(save.stations) || !Array.isArray(save.lines) || !Array.isArray(save.trains)) {
+    throw new Error('Save data is missing airports, routes or planes');
+  }
+  return save;
+}
+
+// Restore a save into an existing game object (keeps references held by HUD/input/systems valid)
+export function deserializeGame(game, data){
+  const save = migrateSave(typeof data === 'string' ? JSON.parse(data) : data);
+
+  game.config = { ...game.config, ...(save.config || {}) };
+  // A save from the default map must not inherit zones from a custom map loaded earlier
+  if (save.config) {
+    for (const key of ['restrictedZones', 'weatherRegions', 'lineColorNames', 'events']) if (!(key in save.config)) delete game.config[key];
+  }
+  Object.assign(game, save.state || {});
+  game.hangar = clone((save.state && save.state.hangar) || {});
+  game.availableCatalog = clone(save.catalog || []);
+  if (save.rng) {
+    game.rng = createRng(save.rng.seed);
+    game.rng.setState(save.rng.state);
+  }
+
+  game.stations = save.stations.map(s => s ? {
+    ...s,
+    queue: s.queue || [],
+    connections: [],
+    overflowTimer: s.overflowTimer || 0,
+    isOvercrowded: !!s.isOvercrowded,
+    maxQueue: s.maxQueue ?? 6,
+    opacity: 1,
+    glowIntensity: 0
+  } : null);
+  game.lines = save.lines.map(l => attachLineColor(game, { ...l, trains: [...(l.trains || [])] }));
+  game.trains = save.trains.map(t => ({ ...t, passengers: t.passengers || [] }));
+  rebuildStationConnections(game);
+  // Rebuilding connections bumps the revision; passengers' itineraries are stamped with the saved one
+  game.networkRevision = (save.state && save.state.networkRevision) || 0;
+  getRoutingTable(game).invalidate();
+
+  // Weather is shared by reference with the event system, so update it in place
+  if (game.weather && save.weather) restoreWeather(game, save.weather);
+  if (game.events && save.events) game.events.restoreState(save.events);
+  if (game.autoRouting && save.autoRouting) game.autoRouting.restoreState(save.autoRouting);
+  if (game.achievements && save.achievements) game.achievements.restoreState(save.achievements);
+
+  // Rebuild spawn schedulers; anything missing is rescheduled from the restored clock
+  const sched = save.schedule || {};
+  game.schedule = {
+    nextPassengerSpawn: sched.nextPassengerSpawn ?? game.gameTime,
+    nextAirportSpawn: sched.nextAirportSpawn ?? null,
+    lastAirportSpawn: sched.lastAirportSpawn ?? null,
+    lastOptimization: sched.lastOptimization ?? game.gameTime
+  };
+
+  // Transient state never survives a load
+  game.undoStack = [];
+  game.canUndo = false;
+  game.scorePopups = [];
+  game.finalFlowParticles = [];
+  game.demandFlowParticles = [];
+  game.gameOver = false;
+  game.gameOverReason = null;
+  game.hoveredStationIdx = -1;
+  game.hoveredLineId = null;
+  game.inspectedLineId = null;
+  game.needsRedraw = true;
+  return save;
+}
+
+// ---------------- localStorage slots ----------------
+
+export function saveToSlot(game, slot = QUICK_SLOT){
+  try {
+    const data = serializeGame(game);
+    localStorage.setItem(STORAGE_PREFIX + slot, JSON.stringify(data));
+    return data;
+  } catch (e) {
+    console.warn(`Could not save game to slot ${slot}`, e);
+    return null;
+  }
+}
+
+export function loadFromSlot(game, slot = QUICK_SLOT){
+  const raw = localStorage.getItem(STORAGE_PREFIX + slot);
+  if (!raw) return null;
+  return deserializeGame(game, raw);
+}
+
+export function deleteSlot(slot){
+  try { localStorage.removeItem(STORAGE_PREFIX + slot); } catch (e) {}
+}
+
+// Rotate through a fixed ring of autosave slots so the last few weeks are kept
+export function autosave(game){
+  let idx = 0;
+  try { idx = (parseInt(localStorage.getItem(AUTOSAVE_INDEX_KEY), 10) || 0) % AUTOSAVE_SLOT_COUNT; } catch (e) {}
+  const data = saveToSlot(game, `auto${idx}`);
+  if (data) {
+    try { localStorage.setItem(AUTOSAVE_INDEX_KEY, String((idx + 1) % AUTOSAVE_SLOT_COUNT)); } catch (e) {}
+  }
+  return data;
+}
+
+export function listSaveSlots(){
+  const slots = [QUICK_SLOT];
+  for (let i = 0; i < AUTOSAVE_SLOT_COUNT; i++) slots.push(`auto${i}`);
+  return slots.map(slot => {
+    try {
+      const raw = localStorage.getItem(STORAGE_PREFIX + slot);
+      if (!raw) return { slot, empty: true };
+      const save = JSON.parse(raw);
+      return { slot, empty: false, savedAt: save.savedAt, summary: save.summary || {}, version: save.version };
+    } catch (e) {
+      return { slot, empty: true, corrupt: true };
+    }
+  });
+}
@@ -0,0 +1,91 @@
+// Service patterns: which airports of its line a plane stops at
+// train.pattern = { kind: 'all' | 'express' | 'custom', stops: [stationIdx] }
+//   all      every airport on the line (default; also for planes with no pattern)
+//   express  the line's endpoints and its hubs (interchange airports)
+//   custom   the listed airports; the endpoints are always served since planes
+//            turn around (or close the loop) there
+// Planes on one line that stop at the same airports form a service; routing gives
+// each service its own stops, ride times and headway.
+
+import { bumpNetworkRevision } from './routing.js';
+import { isOutOfService } from './maintenance.js';
+
+export const SERVICE_PATTERNS = {
+  all: { label: 'All stops' },
+  express: { label: 'Express' },
+  custom: { label: 'Custom' }
+};
+
+function isEndpoint(line, k){
+  return k === 0 || k === line.stations.length - 1;
+}
+
+// Airports the pattern serves on this line, or null when it serves them all
+export function patternStops(game, line, pattern){
+  const kind = pattern && SERVICE_PATTERNS[pattern.kind] ? pattern.kind : 'all';
+  if (kind === 'all') return null;
+  const listed = new Set(kind === 'custom' ? (pattern.stops || []) : []);
+  const stops = new Set(line.stations.filter((si, k) => {
+    if (isEndpoint(line, k)) return true;
+    if (kind === 'express'){ const s = game.stations[si]; return !!(s && s.isInterchange); }
+    return listed.has(si);
+  }));
+  return stops.size === line.stations.length ? null : stops;
+}
+
+export function trainStops(game, train){
+  const line = game.lines[train.lineId];
+  return line ? patternStops(game, line, train.pattern) : null;
+}
+
+// Does this plane stop at stationIdx? (Planes not given, e.g. a line-level check: yes)
+export function trainServes(game, train, stationIdx){
+  if (!train) return true;
+  const stops = trainStops(game, train);
+  return !stops || stops.has(stationIdx);
+}
+
+// Key naming a stop set: planes with equal keys run the same service
+export function serviceKey(stops){
+  return stops ? [...stops].sort((a, b) => a - b).join(',') : 'all';
+}
+
+// The line's planes grouped by stop set: [{ key, stops, trains }]. A line with no
+// planes in service has one all-stops service with none.
+export function lineServices(game, line){
+  const services = new Map();
+  for (const id of line.trains || []){
+    const train = game.trains.find(t => t && t.id === id);
+    if (!train || isOutOfService(game, train)) continue;
+    const stops = patternStops(game, line, train.pattern);
+    const key = serviceKey(stops);
+    if (!services.has(key)) services.set(key, { key, stops, trains: [] });
+    services.get(key).trains.push(train);
+  }
+  if (services.size === 0) return [{ key: 'all', stops: null, trains: [] }];
+  return [...services.values()];
+}
+
+// Airports on the line skipped by at least one of its planes
+export function skippedStops(game, line){
+  const skipped = new Set();
+  for (const s of lineServices(game, line)){
+    if (s.stops) for (const si of line.stations) if (!s.stops.has(si)) skipped.add(si);
+  }
+  return skipped;
+}
+
+// Set a plane's pattern; custom stops are kept only for airports on its line
+export function setTrainPattern(game, train, kind, stops = []){
+  const line = game.lines[train.lineId];
+  if (!line || !SERVICE_PATTERNS[kind]) return false;
+  train.pattern = kind === 'all' ? null : { kind, stops: kind === 'custom' ? stops.filter(si => line.stations.includes(si)) : [] };
+  bumpNetworkRevision(game);
+  if (game.needsRedraw !== undefined) game.needsRedraw = true;
+  return true;
+}
+
+export function patternLabel(game, train){
+  const kind = train.pattern && SERVICE_PATTERNS[train.pattern.kind] ? train.pattern.kind : 'all';
+  return SERVICE_PATTERNS[kind].label;
+}
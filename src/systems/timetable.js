@@ -0,0 +1,82 @@
+// Timetable mode (config.timetableMode)
+// Each line departs its origin airport (stations[0]) on a fixed interval: a plane
+// arriving back at the origin holds there until the next free slot. Slots are
+// claimed in order and never closer than one interval, so planes bunched up by
+// weather or a failure spread back out on their own.
+//
+// line.departureIntervalMs  interval set by the player; never shorter than one
+//                           clear-sky round trip shared by the line's planes,
+//                           which is also the default (rounded up to a second)
+// line.timetable            { anchor, intervalMs, lastSlot } slot grid and the
+//                           last slot claimed
+// train.departAt            slot the plane is holding for at the origin
+
+import { lineTiming } from './routing.js';
+import { lineServices } from './service.js';
+
+const AT_ORIGIN = 3e-3; // position along the line counted as still at the origin
+
+export function isTimetableMode(game){
+  return !!game.config.timetableMode;
+}
+
+export function departureIntervalMs(game, line){
+  const { headwayMs } = lineTiming(game, line, { unserved: true, scheduled: false, weather: false });
+  const minimum = Math.max(1000, Math.ceil(headwayMs / 1000) * 1000);
+  return Math.max(minimum, line.departureIntervalMs || 0);
+}
+
+// Earliest slot at or after now that is at least one interval after the last one.
+// A new interval (planes added, player change) restarts the grid at the last slot.
+export function claimDepartureSlot(game, line, now = game.gameTime){
+  const interval = departureIntervalMs(game, line);
+  const tt = line.timetable || (line.timetable = { anchor: now, intervalMs: interval, lastSlot: null });
+  if (tt.intervalMs !== interval){
+    tt.anchor = tt.lastSlot ?? now;
+    tt.intervalMs = interval;
+  }
+  let slot = tt.anchor + Math.ceil((now - tt.anchor) / interval) * interval;
+  if (tt.lastSlot != null && slot < tt.lastSlot + interval) {
+    slot = tt.anchor + Math.ceil((tt.lastSlot + interval - tt.anchor) / interval) * interval;
+  }
+  tt.lastSlot = slot;
+  return slot;
+}
+
+// Called every plane update: true while the plane waits at the origin for its slot
+export function holdForTimetable(game, line, train){
+  if (!isTimetableMode(game) || line.stations.length < 2){ train.departAt = null; return false; }
+  const atOrigin = train.position <= AT_ORIGIN && train.direction >= 0;
+  if (!atOrigin){ train.departAt = null; return false; }
+  if (train.departAt == null) train.departAt = claimDepartureSlot(game, line);
+  return game.gameTime < train.departAt;
+}
+
+// Upcoming scheduled departures from stationIdx on this line, soonest first:
+// [{ at, towards }] where towards is the station index the plane is heading for.
+// Outbound planes leave stop k rideMs[0..k-1] after their origin slot; inbound
+// ones after the full outbound trip and the way back.
+export function nextDepartures(game, line, stationIdx, count = 2){
+  const k = line.stations.indexOf(stationIdx);
+  if (k === -1 || !line.timetable || line.timetable.lastSlot == null) return [];
+  // Every plane flies past here (express or skip-stop): no departures
+  if (!lineServices(game, line).some(s => !s.stops || s.stops.has(stationIdx))) return [];
+  const { rideMs } = lineTiming(game, line, { unserved: true, scheduled: false });
+  const interval = line.timetable.intervalMs || departureIntervalMs(game, line);
+  const n = line.stations.length;
+  const out = rideMs.slice(0, k).reduce((a, b) => a + b, 0);
+  const oneWay = rideMs.reduce((a, b) => a + b, 0);
+  const offsets = [];
+  if (k < n - 1) offsets.push({ offset: out, towards: line.stations[n - 1] });
+  if (k > 0 && !line.isLoop) offsets.push({ offset: oneWay + (oneWay - out), towards: line.stations[0] });
+
+  const now = game.gameTime;
+  const { anchor } = line.timetable;
+  const rows = [];
+  for (const { offset, towards } of offsets){
+    // First slot whose pass here is still ahead
+    let slot = anchor + Math.ceil((now - offset - anchor) / interval) * interval;
+    for (let i = 0; i < count; i++, slot += interval) rows.push({ at: slot + offset, towards });
+  }
+  return rows.sort((a, b) => a.at - b.at).slice(0, count);
+}
@@ -1,23 +1,48 @@
 import { shouldBoardLineHere } from './passengers.js';
-
-export function createTrain(game, lineId){
+import { getNotamClosures, isLegClosedAhead } from './notams.js';
+import { bumpNetworkRevision } from './routing.js';
+import { plannedAlighting } from './itinerary.js';
+import { orderForBoarding, recordDeparture } from './boarding.js';
+import { holdForTimetable } from './timetable.js';
+import { trainStops, trainServes } from './service.js';
+import { AIRCRAFT_TYPES, aircraftType, pickAircraftType, takeFromHangar, parkTrain } from './fleet.js';
+import { isOutOfService, logFlight, serviceAtAirport, endRepair, assignCover } from './maintenance.js';
+import { weatherSlowFactor, weatherClosedAirports } from './weather.js';
+import { addModifier, removeModifier, expireModifiers, effectiveSpeed, effectiveCapacity, dwellFactor } from './modifiers.js';
+
+// type: the aircraft wanted (see fleet.js); otherwise the roomiest spare one the
+// route accepts
+export function createTrain(game, lineId, type = null){
   const line = game.lines[lineId]; if (!line || line.stations.length<2) return null;
+  const kind = pickAircraftType(game, line, type);
+  const spec = AIRCRAFT_TYPES[kind];
+  takeFromHangar(game, kind);
   const train = {
-    id: game.trains.length,
+    // Planes leave with removed routes or into reserve, so ids can't follow the array length
+    id: game.trains.reduce((max, t) => Math.max(max, t ? t.id : -1), -1) + 1,
     lineId,
+    type: kind,
     position: 0.0,
     direction: 1,
     passengers: [],
-    capacity: 10 + (game.carriages || 0),
-    speed: game.config.trainSpeed * ((game.day && game.day <= 2) ? 1.15 : 1.0),
+    // Effective stats add train.modifiers on top (see modifiers.js)
+    baseCapacity: spec.capacity + (game.carriages || 0),
+    baseSpeed: game.config.trainSpeed * spec.speed * ((game.day && game.day <= 2) ? 1.15 : 1.0),
+    modifiers: [],
     lastStationVisited: -1,
     stationCooldown: 0,
     dwellRemaining: 0,
+    sinceService: 0,
+    outOfServiceUntil: null,
+    coverFor: null,
+    returnToReserve: false,
     scale: 1,
     opacity: 1
   };
   line.trains.push(train.id);
   game.trains.push(train);
+  // More planes mean shorter waits on this route
+  bumpNetworkRevision(game);
   if (game.needsRedraw !== undefined) game.needsRedraw = true;
   return train;
 }
@@ -86,9 +111,18 @@ function getPositionAlongStations(game, line, position) {
 }
 
 export function updateTrains(game, deltaTime){
+  const closures = getNotamClosures(game);
+  const stormClosed = weatherClosedAirports(game);
   game.trains.forEach(train=>{
     const line=game.lines[train.lineId]; if (!line || line.stations.length<2) return;
     for (const si of line.stations){ if (!game.stations[si]) return; }
+    // Grounded for repairs: sit it out, then take whoever is waiting
+    if (isOutOfService(game, train)){
+      if (!endRepair(game, train)) return;
+      const station = game.stations[train.lastStationVisited];
+      if (station) boardPassengers(game, train, station, { record: false });
+    }
+    expireModifiers(game, train);
     if (train.stationCooldown>0) train.stationCooldown -= deltaTime;
     if (train.dwellRemaining>0){
       train.dwellRemaining -= deltaTime;
@@ -109,24 +143,45 @@ export function updateTrains(game, deltaTime){
       else if (train.position <= epsGuard && train.direction < 0 && train.stationCooldown <= 0){ train.direction = 1; train.position = 2*epsGuard; }
     }
 
-    const safeLen = Math.max(100, line.totalLength); const step = (train.speed * deltaTime) / safeLen; const prevPos=train.position; let proposed = prevPos + step*train.direction;
+    // Slower inside weather cells
+    const here = getTrainWorldPosition(game, train);
+    const slow = weatherSlowFactor(game, here.x, here.y);
+    if (slow < 1) addModifier(game, train, { id: 'weather', stat: 'speed', source: 'weather', mul: slow });
+    else removeModifier(train, 'weather');
+    const speed = effectiveSpeed(game, train);
+    const safeLen = Math.max(100, line.totalLength); const step = (speed * deltaTime) / safeLen; const prevPos=train.position; let proposed = prevPos + step*train.direction;
     const params=[]; let cum=0; for (let i=0;i<line.stations.length-1;i++){ const a=game.stations[line.stations[i]], b=game.stations[line.stations[i+1]]; cum += Math.hypot(b.x-a.x,b.y-a.y); params.push(cum); }
     const total = Math.max(cum,1e-6); const norm=[0]; for (let i=0;i<params.length;i++) norm.push(params[i]/total);
     const eps=1e-4;
+    train.holding = closures.any && holdForNotam(game, line, train, norm, closures);
+    if (train.holding) return;
+    train.holding = holdForWeather(game, line, train, norm, total, stormClosed);
+    if (train.holding) return;
+    // Timetable mode: wait at the origin for the departure slot, then take
+    // anyone who turned up in the meantime
+    if (holdForTimetable(game, line, train)){ train.holding = true; train.heldForSlot = true; return; }
+    if (train.heldForSlot){
+      train.heldForSlot = false;
+      const origin = game.stations[line.stations[0]];
+      if (origin) boardPassengers(game, train, origin, { record: false });
+    }
+    logFlight(game, train, speed * deltaTime);
     function arriveAtStationIdx(idx){
       const stationIndex = line.stations[idx];
       const station = game.stations[stationIndex];
+      if (train.divertTo != null) requeueDiverted(game, train, station);
       handleStationArrival(game, train, station);
       train.lastStationVisited = stationIndex;
+      // A spare whose grounded plane is back: the rest of its passengers get off here
+      if (train.returnToReserve && parkTrain(game, train)) return;
       train.stationCooldown = 600;
-      const baseTurn = station.turnaroundMs ?? (game.config.defaultTurnaroundMs||600);
-      const earlyFactor = (game.day && game.day <= 3) ? 0.8 : 1.0;
-      const crowdFactor = (station.isOvercrowded ? 0.8 : 1.0);
-      const typeFactor = (station.isInterchange ? 0.8 : 1.0);
-      train.dwellRemaining = baseTurn * earlyFactor * crowdFactor * typeFactor;
+      train.dwellRemaining = stationDwellMs(game, station, train) + serviceAtAirport(game, train, station);
       if (!line.isLoop && (idx === 0 || idx === line.stations.length - 1)) { train.direction *= -1; }
     }
-    function checkCrossing(startPos,endPos,dir){ if (dir>0){ for (let i=0;i<norm.length;i++){ const sp=norm[i]; const sIdx=line.stations[i]; if (sp>startPos+eps && sp<=endPos+eps){ if (train.lastStationVisited!==sIdx && train.stationCooldown<=0){ train.position=sp; arriveAtStationIdx(i); return true; } } } } else { for (let i=norm.length-1;i>=0;i--){ const sp=norm[i]; const sIdx=line.stations[i]; if (sp<startPos-eps && sp>=endPos-eps){ if (train.lastStationVisited!==sIdx && train.stationCooldown<=0){ train.position=sp; arriveAtStationIdx(i); return true; } } } } return false; }
+    // Service pattern: fly past airports this plane doesn't stop at (and, when
+    // diverting, past airports closed by storms)
+    const stops = trainStops(game, train);
+    function checkCrossing(startPos,endPos,dir){ if (dir>0){ for (let i=0;i<norm.length;i++){ const sp=norm[i]; const sIdx=line.stations[i]; if ((stops && !stops.has(sIdx)) || (train.divertTo != null && stormClosed.has(sIdx))) continue; if (sp>startPos+eps && sp<=endPos+eps){ if (train.lastStationVisited!==sIdx && train.stationCooldown<=0){ train.position=sp; arriveAtStationIdx(i); return true; } } } } else { for (let i=norm.length-1;i>=0;i--){ const sp=norm[i]; const sIdx=line.stations[i]; if ((stops && !stops.has(sIdx)) || (train.divertTo != null && stormClosed.has(sIdx))) continue; if (sp<startPos-eps && sp>=endPos-eps){ if (train.lastStationVisited!==sIdx && train.stationCooldown<=0){ train.position=sp; arriveAtStationIdx(i); return true; } } } } return false; }
     if (line.isLoop){ if (proposed>1.0){ const wrapped=proposed-1.0; if (checkCrossing(prevPos,1.0,train.direction)) return; if (checkCrossing(0.0,wrapped,train.direction)) return; train.position=wrapped; return; } else if (proposed<0.0){ const wrapped=proposed+1.0; if (checkCrossing(prevPos,0.0,train.direction)) return; if (checkCrossing(1.0,wrapped,train.direction)) return; train.position=wrapped; return; } }
     if (checkCrossing(prevPos, proposed, train.direction)) return;
     if (line.isLoop){ train.position = proposed; if (train.position>=1.0) train.position -= 1.0; else if (train.position<0.0) train.position += 1.0; }
@@ -134,6 +189,97 @@ export function updateTrains(game, deltaTime){
   });
 }
 
+// How long a plane stands at an airport on each stop (ms); turnaround scales
+// it by aircraft type (pass the plane, or the multiplier itself), and the plane's
+// dwell modifiers scale it further
+export function stationDwellMs(game, station, train = null, turnaround = aircraftType(train).turnaround){
+  const baseTurn = station.turnaroundMs ?? (game.config.defaultTurnaroundMs||600);
+  const earlyFactor = (game.day && game.day <= 3) ? 0.8 : 1.0;
+  const crowdFactor = (station.isOvercrowded ? 0.8 : 1.0);
+  const typeFactor = (station.isInterchange ? 0.8 : 1.0);
+  return baseTurn * earlyFactor * crowdFactor * typeFactor * turnaround * dwellFactor(game, train);
+}
+
+// NOTAM closures: a plane at an airport holds there while the leg ahead is closed;
+// a plane in flight towards an airport that just closed turns back. Planes
+// already in the air across a closed zone or corridor finish their leg.
+function holdForNotam(game, line, train, norm, closures){
+  const n = line.stations.length;
+  let i = 0; while (i < n - 2 && train.position > norm[i + 1]) i++;
+  const at = [i, i + 1].find(k => Math.abs(train.position - norm[k]) < 3e-3 && line.stations[k] === train.lastStationVisited);
+  if (at != null){
+    const next = at + train.direction;
+    if (next < 0 || next >= n) return false;
+    return isLegClosedAhead(game, game.stations[line.stations[at]], game.stations[line.stations[next]], closures);
+  }
+  const from = train.direction > 0 ? i : i + 1, to = train.direction > 0 ? i + 1 : i;
+  const ahead = line.stations[to], behind = line.stations[from];
+  if (closures.airports.has(ahead) && !closures.airports.has(behind)){
+    train.direction *= -1;
+    train.lastStationVisited = -1;
+  }
+  return false;
+}
+
+// Storm closures (weatherClosedAirports): a plane on the ground at a closed
+// airport stays there; one approaching a closed airport flies a holding pattern
+// short of it for up to config.weatherHoldMs, then diverts to the nearest open
+// airport on its line that it stops at.
+function holdForWeather(game, line, train, norm, total, closed){
+  if (closed.size === 0 && !train.holdPattern) return false;
+  const n = line.stations.length;
+  let i = 0; while (i < n - 2 && train.position > norm[i + 1]) i++;
+  const at = [i, i + 1].find(k => Math.abs(train.position - norm[k]) < 3e-3 && line.stations[k] === train.lastStationVisited);
+  if (at != null){ train.holdPattern = null; return closed.has(line.stations[at]); }
+  if (train.divertTo != null) return false;
+  const stops = trainStops(game, train);
+  const served = (k) => !stops || stops.has(line.stations[k]);
+  // Share of the line to fly to stop k the way the plane is heading
+  const ahead = (k) => { const d = (norm[k] - train.position) * train.direction; return line.isLoop && d < 0 ? d + 1 : d; };
+  let next = null;
+  for (let k = 0; k < n; k++) if (served(k) && ahead(k) > 1e-4 && (next == null || ahead(k) < ahead(next))) next = k;
+  if (next == null || !closed.has(line.stations[next])){ train.holdPattern = null; return false; }
+  if (ahead(next) * total > (game.config.stationRadius || 15) * 4) return false; // not there yet
+  const now = game.gameTime;
+  if (!train.holdPattern || train.holdPattern.stationIdx !== line.stations[next]) train.holdPattern = { stationIdx: line.stations[next], since: now };
+  if (now - train.holdPattern.since < (game.config.weatherHoldMs ?? 6000)) return true;
+  return !divertFromStorm(game, line, train, norm, closed, line.stations[next], served);
+}
+
+// Send the plane to the nearest open airport on its line, turning back if that
+// is behind it; closed airports on the way are flown past. False when every
+// airport it stops at is closed (it keeps holding).
+function divertFromStorm(game, line, train, norm, closed, closedIdx, served){
+  const gap = (k) => { const d = Math.abs(norm[k] - train.position); return line.isLoop ? Math.min(d, 1 - d) : d; };
+  let best = null;
+  for (let k = 0; k < line.stations.length; k++){
+    if (served(k) && !closed.has(line.stations[k]) && (best == null || gap(k) < gap(best))) best = k;
+  }
+  if (best == null) return false;
+  const forward = (norm[best] - train.position) * train.direction;
+  const onward = line.isLoop ? (forward + 1) % 1 <= 0.5 : forward > 0;
+  if (!onward){ train.direction *= -1; train.lastStationVisited = -1; }
+  train.divertTo = line.stations[best];
+  train.holdPattern = null;
+  game.diversions = (game.diversions || 0) + 1;
+  const from = game.stations[closedIdx], to = game.stations[train.divertTo];
+  if (game.showToast) game.showToast(`Storm over ${from.name}: plane diverted to ${to.name}`);
+  return true;
+}
+
+// A diverted plane lands: everyone not bound for here gets off to find another way
+function requeueDiverted(game, train, station){
+  const stay = [];
+  for (const p of train.passengers){
+    if (p.destStation === station.id) { stay.push(p); continue; }
+    p.transferReadyAt = game.gameTime;
+    station.queue.push(p);
+    game.divertedPassengers = (game.divertedPassengers || 0) + 1;
+  }
+  train.passengers = stay;
+  train.divertTo = null;
+}
+
 export function handleStationArrival(game, train, station){
   const now = game.gameTime;
   // Disembark passengers who reached their final airport, or transfer if this line doesn't reach their destination
@@ -225,7 +371,10 @@ export function handleStationArrival(game, train, station){
       }
       continue;
     }
-    if (!line.stations.includes(p.destStation)){
+    // Change planes where the itinerary says; passengers without a route fall back to
+    // leaving any line that doesn't serve their destination
+    const alight = plannedAlighting(game, p, line, station.id, train);
+    if (alight ?? !(line.stations.includes(p.destStation) && trainServes(game, train, p.destStation))){
   const mctBase = (station.mctMs ?? (game.config.defaultMCT||12000));
   const mctFactor = (game.day && game.day <= 2) ? 0.7 : (game.day === 3 ? 0.9 : 1.0);
   const mctMult = game.config.mctMultiplier || 1.0;
@@ -238,10 +387,17 @@ export function handleStationArrival(game, train, station){
     remaining.push(p);
   }
   train.passengers = remaining;
+  boardPassengers(game, train, station);
+}
 
-  // Board passengers who can make ETA progress and are MCT-eligible
-  const capacity = train.capacity - train.passengers.length; if (capacity<=0) return;
-  const keep=[]; let picked=0;
+// Board passengers who can make ETA progress and are MCT-eligible; when they
+// don't all fit, the boarding policy decides who gets the seats.
+// record: false skips the line's load stats (a second call at the same stop).
+export function boardPassengers(game, train, station, { record = true } = {}){
+  const now = game.gameTime;
+  const line=game.lines[train.lineId]; if (!line || train.returnToReserve) return;
+  const seats = effectiveCapacity(game, train);
+  const capacity = Math.max(0, seats - train.passengers.length);
 
   // DEBUG: Track long-waiting passengers for visibility
   if (game.debugPassengerFlow) {
@@ -256,11 +412,11 @@ export function handleStationArrival(game, train, station){
     }
   }
 
+  const wanting=[];
   for (const p of station.queue){
-    if (picked>=capacity){ keep.push(p); continue; }
-    if (now < (p.transferReadyAt||0)) { keep.push(p); continue; }
+    if (now < (p.transferReadyAt||0)) continue;
 
-    const shouldBoard = shouldBoardLineHere(game, line, station.id, p);
+    const shouldBoard = shouldBoardLineHere(game, line, station.id, p, train);
 
     // DEBUG: Log boarding decisions for long-waiting passengers
     if (game.debugPassengerFlow && now - p.spawnTime > 45000) {
@@ -268,11 +424,12 @@ export function handleStationArrival(game, train, station){
       console.log(`  - Boarding decision for ${destStation ? destStation.name : 'unknown'}: ${shouldBoard}`);
     }
 
-    if (shouldBoard){
-      train.passengers.push(p); picked++;
-    } else keep.push(p);
+    if (shouldBoard) wanting.push(p);
   }
-  station.queue=keep;
+  const boarding = new Set(orderForBoarding(game, wanting).slice(0, capacity));
+  for (const p of boarding) train.passengers.push(p);
+  if (boarding.size > 0) station.queue = station.queue.filter(p => !boarding.has(p));
+  if (record) recordDeparture(line, train.passengers.length / Math.max(1, seats), wanting.length - boarding.size);
 }
 
 export function createScorePopup(game, x, y, text, color = '#10b981') {
@@ -294,12 +451,11 @@ export function updateScorePopups(game, dt) {
   });
 }
 
-// Dynamic train allocation based on line length and passenger demand
-export function optimizeTrainAllocation(game) {
-  if (game.trainsAvailable <= 0) return;
-
-  // Calculate desired trains per line based on length and demand
-  const lineStats = game.lines.map(line => {
+// What the allocator thinks of each line: { line, demand, currentTrains,
+// desiredTrains, deficit, priority, pinned }. Pinned lines (line.pinnedTrains set
+// by the player) want exactly their pin and are left to the player.
+export function lineAllocationStats(game) {
+  return game.lines.filter(Boolean).map(line => {
     const length = line.totalLength || 0;
     const stationCount = line.stations.length;
     const passengerDemand = calculateLineDemand(game, line);
@@ -328,19 +484,30 @@ export function optimizeTrainAllocation(game) {
       desiredRaw += bonus; // Favor extra planes on hub-connected lines
     }
     const desiredTrains = Math.max(1, Math.min(desiredRaw, maxTrains));
-    const zeroTrainBoost = (line.trains.length === 0) ? 100000 : 0;
-    const currentTrains = line.trains.length;
+    // Planes grounded for repairs don't count towards the route's service
+    const currentTrains = line.trains.filter(id => !isOutOfService(game, game.trains.find(t => t && t.id === id))).length;
+    const zeroTrainBoost = (currentTrains === 0) ? 100000 : 0;
+    const pinned = line.pinnedTrains != null;
 
     return {
       line,
+      demand: passengerDemand,
       currentTrains,
-      desiredTrains,
-      deficit: Math.max(0, desiredTrains - currentTrains),
-      priority: zeroTrainBoost + length + (passengerDemand * 50) + (connectsHub ? (game.config.hubLinePriorityBonus || 200) : 0) // Favor hub-connected lines
+      desiredTrains: pinned ? line.pinnedTrains : desiredTrains,
+      deficit: pinned ? 0 : Math.max(0, desiredTrains - currentTrains),
+      priority: zeroTrainBoost + length + (passengerDemand * 50) + (connectsHub ? (game.config.hubLinePriorityBonus || 200) : 0), // Favor hub-connected lines
+      pinned
     };
   });
+}
+
+// Dynamic train allocation based on line length and passenger demand;
+// pinned lines are skipped
+export function optimizeTrainAllocation(game) {
+  if (game.trainsAvailable <= 0) return;
 
   // Sort by priority (longest lines with highest demand first)
+  const lineStats = lineAllocationStats(game).filter(s => !s.pinned);
   lineStats.sort((a, b) => b.priority - a.priority);
 
   // Allocate available trains to lines with the highest deficit and priority
@@ -355,6 +522,7 @@ export function optimizeTrainAllocation(game) {
       const newTrain = createTrain(game, stats.line.id);
       if (newTrain) {
         game.trainsAvailable--;
+        assignCover(game, stats.line, newTrain);
         console.log(`Added plane to line ${stats.line.id} (${stats.currentTrains + i + 1}/${stats.desiredTrains} trains)`);
       }
     }
@@ -0,0 +1,239 @@
+// Weather: storm cells that slow planes
+// Cells form along fronts, grow, peak and dissipate. A front is a line moving
+// across the map; cells formed on it drift with it, and some are squall lines:
+// long ellipses lying along the front. Later days bring more, larger and
+// stronger cells.
+//
+// game.weather = { enabled, cells, fronts, nextSpawnAt, nextId }
+//   front  { id, x, y, vx, vy, halfWidth, cellsLeft }  x, y: its center; cells
+//          form across halfWidth either side of it
+//   cell   { id, frontId, x, y, vx, vy, angle, baseRx, baseRy, rx, ry, r,
+//            peak, intensity, age, life }
+//          rx, ry: current semi-axes (rx along angle), r: bounding radius;
+//          intensity runs 0 -> peak -> 0 over life (ms)
+//
+// Planes fly slower the deeper they are in a cell (weatherSlowFactor), and an
+// airport under a severe part of a cell closes for takeoffs and landings
+// (weatherClosedAirports; planes hold or divert, see trains.js).
+
+import { gameHourMs } from '../utils/time.js';
+
+const GROW = 0.3; // share of a cell's life spent growing
+const DISSIPATE = 0.6; // ...and from where on it dissipates
+
+export function createWeather(){
+  return { cells: [], fronts: [], enabled: true, nextSpawnAt: 0, nextId: 1 };
+}
+
+// Cells on the map at once: config.weatherCellCount, one more every 3 days up
+// to config.weatherMaxCells (maps with no weather stay clear)
+export function targetCellCount(game){
+  const base = game.config.weatherCellCount ?? 3;
+  if (base <= 0) return 0;
+  const max = Math.max(base, game.config.weatherMaxCells ?? 8);
+  return Math.min(max, base + Math.floor(((game.day || 1) - 1) / 3));
+}
+
+// 0 -> 1 -> 0 over a cell's life
+function envelope(f){
+  if (f <= 0 || f >= 1) return 0;
+  if (f < GROW) return f / GROW;
+  if (f < DISSIPATE) return 1;
+  return (1 - f) / (1 - DISSIPATE);
+}
+
+export function cellStage(cell){
+  const f = cell.age / cell.life;
+  return f < GROW ? 'growing' : (f < DISSIPATE ? 'mature' : 'dissipating');
+}
+
+// Size and strength of a cell at an age
+function shapeAt(cell, age){
+  const env = envelope(age / cell.life);
+  const size = 0.5 + 0.5 * env;
+  const rx = cell.baseRx * size, ry = cell.baseRy * size;
+  return { rx, ry, r: Math.max(rx, ry), intensity: cell.peak * env };
+}
+
+// Starting points: anywhere on the map, or inside config.weatherRegions
+// ([{x, y, w, h, weight?}], world units) when the map has them
+function pickWeatherSpawn(game){
+  const regions = game.config.weatherRegions;
+  if (!Array.isArray(regions) || regions.length === 0){
+    const S = game.config.worldScale || 1;
+    return { x: game.rng.range(-1, 1) * 320 * S, y: game.rng.range(-1, 1) * 220 * S };
+  }
+  // Weighted pick of a region, then a uniform point inside it
+  const total = regions.reduce((sum, r) => sum + (r.weight ?? 1), 0);
+  let roll = game.rng.next() * total;
+  let region = regions[regions.length - 1];
+  for (const r of regions){
+    roll -= (r.weight ?? 1);
+    if (roll < 0) { region = r; break; }
+  }
+  return { x: region.x + game.rng.next() * region.w, y: region.y + game.rng.next() * region.h };
+}
+
+function createFront(game){
+  const S = game.config.worldScale || 1;
+  const at = pickWeatherSpawn(game);
+  const heading = game.rng.range(0, Math.PI * 2);
+  const speed = game.rng.range(0.012, 0.035);
+  const front = {
+    id: game.weather.nextId++,
+    x: at.x, y: at.y,
+    vx: Math.cos(heading) * speed, vy: Math.sin(heading) * speed,
+    halfWidth: game.rng.range(120, 220) * S,
+    cellsLeft: 2 + game.rng.int(3)
+  };
+  game.weather.fronts.push(front);
+  return front;
+}
+
+// A new cell on a front (a fresh front when none has cells left to give)
+function spawnCell(game, { age = 0 } = {}){
+  const weather = game.weather;
+  const S = game.config.worldScale || 1;
+  const day = game.day || 1;
+  const front = weather.fronts.find(f => f.cellsLeft > 0) || createFront(game);
+  front.cellsLeft--;
+  const heading = Math.atan2(front.vy, front.vx);
+  const offset = game.rng.range(-1, 1) * front.halfWidth;
+  const radius = game.rng.range(50, 80) * S * (1 + Math.min(0.5, (day - 1) * 0.03));
+  const squall = game.rng.chance(Math.min(0.6, 0.15 + 0.04 * day));
+  const cell = {
+    id: weather.nextId++,
+    frontId: front.id,
+    x: front.x - Math.sin(heading) * offset,
+    y: front.y + Math.cos(heading) * offset,
+    vx: front.vx, vy: front.vy,
+    // Squall lines lie along the front, across its motion
+    angle: squall ? heading + Math.PI / 2 : game.rng.range(0, Math.PI),
+    baseRx: squall ? radius * game.rng.range(1.8, 2.6) : radius * game.rng.range(0.9, 1.2),
+    baseRy: squall ? radius * 0.45 : radius * game.rng.range(0.8, 1.0),
+    peak: Math.min(1, 0.55 + 0.05 * day) * game.rng.range(0.8, 1),
+    age,
+    life: gameHourMs(game) * game.rng.range(8, 16)
+  };
+  cell.age = Math.min(age, cell.life * 0.5);
+  Object.assign(cell, shapeAt(cell, cell.age));
+  weather.cells.push(cell);
+  return cell;
+}
+
+// Opening weather: the cells for day 1, already partway through their lives
+export function initWeatherCells(game){
+  const count = targetCellCount(game);
+  for (let i = 0; i < count; i++) spawnCell(game, { age: gameHourMs(game) * game.rng.range(2, 6) });
+  game.weather.nextSpawnAt = game.gameTime + gameHourMs(game) * 2;
+}
+
+export function updateWeather(game, dt){
+  const weather = game.weather;
+  if (!weather || !weather.enabled) return;
+  const B = 640 * (game.config.worldScale || 1);
+  for (const f of weather.fronts){ f.x += f.vx * dt; f.y += f.vy * dt; }
+  for (const c of weather.cells){
+    c.x += c.vx * dt;
+    c.y += c.vy * dt;
+    c.age += dt;
+    Object.assign(c, shapeAt(c, c.age));
+  }
+  // Cells end when they dissipate or drift well off the map
+  weather.cells = weather.cells.filter(c => c.age < c.life && Math.abs(c.x) < B && Math.abs(c.y) < B);
+  const live = new Set(weather.cells.map(c => c.frontId));
+  weather.fronts = weather.fronts.filter(f => f.cellsLeft > 0 ? (Math.abs(f.x) < B && Math.abs(f.y) < B) : live.has(f.id));
+  // Top up towards the day's count, one cell every couple of hours
+  if (game.gameTime >= (weather.nextSpawnAt || 0) && weather.cells.length < targetCellCount(game)){
+    spawnCell(game);
+    weather.nextSpawnAt = game.gameTime + gameHourMs(game) * game.rng.range(1.5, 3);
+  }
+}
+
+// Distance from a cell's center in units of its radius along that direction
+// (1 on the edge of the ellipse)
+function ellipseDistance(cell, x, y){
+  if (!cell.rx || !cell.ry) return Infinity;
+  const dx = x - cell.x, dy = y - cell.y;
+  const cos = Math.cos(cell.angle || 0), sin = Math.sin(cell.angle || 0);
+  return Math.hypot((dx * cos + dy * sin) / cell.rx, (-dx * sin + dy * cos) / cell.ry);
+}
+
+export function pointInCell(cell, x, y){
+  return ellipseDistance(cell, x, y) <= 1;
+}
+
+// How deep (x, y) is inside a cell: 1 at its center, 0 at its edge and outside
+export function cellDepth(cell, x, y){
+  return Math.max(0, 1 - ellipseDistance(cell, x, y));
+}
+
+// The strongest cell over (x, y), or null
+export function isInWeather(game, x, y){
+  const weather = game.weather;
+  if (!weather || !weather.enabled) return null;
+  let best = null, bestHit = 0;
+  for (const c of weather.cells){
+    if (!pointInCell(c, x, y)) continue;
+    const hit = cellDepth(c, x, y) * c.intensity;
+    if (!best || hit > bestHit){ best = c; bestHit = hit; }
+  }
+  return best;
+}
+
+// Speed multiplier at a point: 1.0 outside weather and at a cell's edge, down to
+// a day-dependent minimum at the center of a cell at full strength
+export function weatherSlowFactor(game, x, y){
+  const cell = isInWeather(game, x, y);
+  if (!cell) return 1;
+  const t = cellDepth(cell, x, y) * cell.intensity;
+  const minFactor = (game.day <= 2) ? 0.9 : (game.day === 3 ? 0.8 : 0.5); // gentler early-game
+  return 1 - t * (1 - minFactor);
+}
+
+// Airports closed by storms: a cell over them is at least
+// config.weatherClosureSeverity strong there (depth times intensity). Weather
+// isn't shown before day 4, so it closes nothing before then either.
+export function weatherClosedAirports(game){
+  const closed = new Set();
+  const weather = game.weather;
+  const severity = game.config.weatherClosureSeverity ?? 0.45;
+  if (!weather || !weather.enabled || !(severity > 0) || (game.day || 1) <= 3) return closed;
+  for (const s of game.stations){
+    if (!s) continue;
+    if (weather.cells.some(c => cellDepth(c, s.x, s.y) * c.intensity >= severity)) closed.add(s.id);
+  }
+  return closed;
+}
+
+// Where today's cells will be in aheadMs: [{ id, x, y, rx, ry, angle, intensity }].
+// Cells that will have dissipated are left out; cells yet to form can't be forecast.
+export function forecastCells(game, aheadMs){
+  const weather = game.weather;
+  if (!weather || !weather.enabled) return [];
+  const out = [];
+  for (const c of weather.cells){
+    const age = c.age + aheadMs;
+    if (age >= c.life) continue;
+    const { rx, ry, intensity } = shapeAt(c, age);
+    out.push({ id: c.id, x: c.x + c.vx * aheadMs, y: c.y + c.vy * aheadMs, rx, ry, angle: c.angle, intensity });
+  }
+  return out;
+}
+
+// Forecast for each of config.weatherForecastHours: [{ hours, cells }]
+export function weatherForecast(game){
+  const hours = game.config.weatherForecastHours || [2, 4, 6];
+  return hours.map(h => ({ hours: h, cells: forecastCells(game, h * gameHourMs(game)) }));
+}
+
+// Restore saved weather in place (the event system holds the same object).
+// Saves from before fronts are converted by savegame.js migrations.
+export function restoreWeather(game, saved){
+  const weather = game.weather;
+  weather.enabled = !!saved.enabled;
+  weather.fronts = saved.fronts || [];
+  weather.nextSpawnAt = saved.nextSpawnAt;
+  weather.nextId = saved.nextId;
+  weather.cells = saved.cells || [];
+}
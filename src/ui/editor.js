@@ -0,0 +1,505 @@
+// Map editor: place/move/delete airports, draw and reshape restricted airspace,
+// then play-test or export in the map file format (MAP_FORMAT.md).
+// Works on a map document in unscaled map units; the canvas shows it scaled by worldScale.
+import { screenToWorld } from '../core/camera.js';
+import { stationAtPoint } from '../systems/stations.js';
+import { drawRestrictedAirspace } from '../render/airspace.js';
+import { drawStations } from '../render/stations_final.js';
+import { configToMap, validateMap, parseMap, MAP_SHAPES, RUNWAYS } from '../maps/loader.js';
+import { startMap, reportMapError } from './maps.js';
+
+const HANDLE_PX = 9; // vertex handle hit radius in screen pixels
+const TOOLS = [
+  { id: 'select', icon: '🖐️', label: 'Select / move' },
+  { id: 'airport', icon: '🛬', label: 'Add airport' },
+  { id: 'zone', icon: '⛔', label: 'Draw zone' }
+];
+
+function pointInPolygon(x, y, poly){
+  let inside = false;
+  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++){
+    const a = poly[i], b = poly[j];
+    if ((a[1] > y) !== (b[1] > y) && x < (b[0] - a[0]) * (y - a[1]) / (b[1] - a[1]) + a[0]) inside = !inside;
+  }
+  return inside;
+}
+
+export function initMapEditor(canvas, game, { onPlayTest, onToggle } = {}){
+  const panel = document.getElementById('editorPanel');
+  const button = document.getElementById('btnEditor');
+  if (!panel) return null;
+
+  let active = false;
+  let wasPaused = false;
+  let doc = null; // map document being edited
+  let tool = 'select';
+  let selection = null; // { type: 'airport'|'zone', index }
+  let drag = null;
+  let draft = []; // zone being drawn, map units
+  let hover = null; // world point under the pointer
+
+  const scale = () => doc.worldScale || 1.5;
+  const toWorld = (p) => ({ x: p[0] * scale(), y: p[1] * scale() });
+  const round = (v) => Math.round(v * 10) / 10;
+  const toMap = (w) => [round(w.x / scale()), round(w.y / scale())];
+  function worldOf(ev){
+    const r = canvas.getBoundingClientRect();
+    return screenToWorld(game.camera, ev.clientX - r.left, ev.clientY - r.top);
+  }
+
+  // Airports as station-like objects so the game's renderer and hit test can be reused
+  function editorStations(){
+    return doc.airports.map((a, i) => ({
+      id: i, x: a.x * scale(), y: a.y * scale(), r: game.config.stationRadius,
+      shape: a.shape, name: a.name, isFinal: !!a.isFinal, isInterchange: !!a.isInterchange, queue: []
+    }));
+  }
+  function editorZones(){
+    return doc.restrictedZones.map(z => ({ ...z, polygon: z.polygon.map(toWorld) }));
+  }
+
+  function open(){
+    if (active) return;
+    doc = configToMap(game.config);
+    doc.restrictedZones = doc.restrictedZones || [];
+    active = true;
+    wasPaused = game.paused;
+    game.paused = true;
+    tool = 'select'; selection = null; draft = []; drag = null;
+    panel.style.display = 'flex';
+    button && button.classList.add('active');
+    renderPanel();
+    game.needsRedraw = true;
+    onToggle && onToggle(true);
+  }
+
+  function close(){
+    if (!active) return;
+    active = false;
+    game.paused = wasPaused;
+    panel.style.display = 'none';
+    button && button.classList.remove('active');
+    game.needsRedraw = true;
+    onToggle && onToggle(false);
+  }
+
+  function changed(){
+    game.needsRedraw = true;
+    renderPanel();
+  }
+
+  // --- Canvas interaction (capture phase, so game input never sees editor clicks) ---
+
+  function vertexAt(world){
+    if (!selection || selection.type !== 'zone') return null;
+    const zone = doc.restrictedZones[selection.index];
+    const tol = HANDLE_PX / game.camera.scale;
+    for (let i = 0; i < zone.polygon.length; i++){
+      const p = toWorld(zone.polygon[i]);
+      if (Math.hypot(p.x - world.x, p.y - world.y) <= tol) return { vertex: i };
+    }
+    // Midpoint handles insert a new vertex
+    for (let i = 0; i < zone.polygon.length; i++){
+      const a = toWorld(zone.polygon[i]), b = toWorld(zone.polygon[(i + 1) % zone.polygon.length]);
+      if (Math.hypot((a.x + b.x) / 2 - world.x, (a.y + b.y) / 2 - world.y) <= tol) return { insertAfter: i };
+    }
+    return null;
+  }
+
+  function zoneAt(world){
+    const [mx, my] = toMap(world);
+    for (let i = doc.restrictedZones.length - 1; i >= 0; i--){
+      if (pointInPolygon(mx, my, doc.restrictedZones[i].polygon)) return i;
+    }
+    return -1;
+  }
+
+  function startPan(ev){
+    const r = canvas.getBoundingClientRect();
+    drag = { kind: 'pan', sx: ev.clientX - r.left, sy: ev.clientY - r.top, cx: game.camera.targetX, cy: game.camera.targetY };
+  }
+
+  function onPointerDown(ev){
+    if (!active) return;
+    ev.stopImmediatePropagation();
+    canvas.setPointerCapture(ev.pointerId);
+    const world = worldOf(ev);
+
+    if (tool === 'zone'){
+      const first = draft[0] && toWorld(draft[0]);
+      if (first && draft.length >= 3 && Math.hypot(first.x - world.x, first.y - world.y) <= HANDLE_PX / game.camera.scale) finishZone();
+      else { draft.push(toMap(world)); game.needsRedraw = true; }
+      return;
+    }
+
+    const handle = vertexAt(world);
+    if (handle){
+      const zone = doc.restrictedZones[selection.index];
+      if (handle.vertex != null && ev.altKey){
+        if (zone.polygon.length > 3) { zone.polygon.splice(handle.vertex, 1); delete zone.path; changed(); }
+        else game.showToast('A zone needs at least 3 points');
+        return;
+      }
+      let vertex = handle.vertex;
+      if (handle.insertAfter != null){
+        vertex = handle.insertAfter + 1;
+        zone.polygon.splice(vertex, 0, toMap(world));
+        delete zone.path;
+      }
+      drag = { kind: 'vertex', zone, vertex };
+      changed();
+      return;
+    }
+
+    const hit = stationAtPoint(editorStations(), world.x, world.y, 8);
+    if (hit !== -1){
+      if (ev.altKey) { deleteSelection({ type: 'airport', index: hit }); return; }
+      selection = { type: 'airport', index: hit };
+      drag = { kind: 'airport', index: hit };
+      changed();
+      return;
+    }
+
+    if (tool === 'airport'){
+      doc.airports.push({ name: uniqueName('Airport'), x: toMap(world)[0], y: toMap(world)[1], shape: MAP_SHAPES[doc.airports.length % MAP_SHAPES.length], zone: 'central' });
+      selection = { type: 'airport', index: doc.airports.length - 1 };
+      drag = { kind: 'airport', index: selection.index };
+      changed();
+      return;
+    }
+
+    const zi = zoneAt(world);
+    if (zi !== -1){
+      selection = { type: 'zone', index: zi };
+      drag = { kind: 'zone', zone: doc.restrictedZones[zi], last: toMap(world) };
+      changed();
+      return;
+    }
+
+    selection = null;
+    changed();
+    startPan(ev);
+  }
+
+  function onPointerMove(ev){
+    if (!active) return;
+    ev.stopImmediatePropagation();
+    const world = worldOf(ev);
+    hover = world;
+    if (!drag) { if (tool === 'zone' && draft.length) game.needsRedraw = true; return; }
+    if (drag.kind === 'pan'){
+      const r = canvas.getBoundingClientRect();
+      game.camera.targetX = drag.cx + (ev.clientX - r.left - drag.sx);
+      game.camera.targetY = drag.cy + (ev.clientY - r.top - drag.sy);
+    } else if (drag.kind === 'airport'){
+      const [x, y] = toMap(world);
+      Object.assign(doc.airports[drag.index], { x, y });
+    } else if (drag.kind === 'vertex'){
+      drag.zone.polygon[drag.vertex] = toMap(world);
+      // Reshaped zones are drawn from the polygon; the old centerline no longer matches
+      delete drag.zone.path;
+    } else if (drag.kind === 'zone'){
+      const p = toMap(world);
+      const dx = p[0] - drag.last[0], dy = p[1] - drag.last[1];
+      if (dx || dy){
+        drag.zone.polygon = drag.zone.polygon.map(([x, y]) => [round(x + dx), round(y + dy)]);
+        delete drag.zone.path;
+      }
+      drag.last = p;
+    }
+    game.needsRedraw = true;
+  }
+
+  function onPointerUp(ev){
+    if (!active) return;
+    ev.stopImmediatePropagation();
+    try { canvas.releasePointerCapture(ev.pointerId); } catch(e) {}
+    if (drag && drag.kind !== 'pan') renderPanel();
+    drag = null;
+  }
+
+  function finishZone(){
+    if (draft.length < 3) { game.showToast('A zone needs at least 3 points'); return; }
+    doc.restrictedZones.push({ name: `Zone ${doc.restrictedZones.length + 1}`, polygon: draft });
+    selection = { type: 'zone', index: doc.restrictedZones.length - 1 };
+    draft = [];
+    tool = 'select';
+    changed();
+  }
+
+  function deleteSelection(sel = selection){
+    if (!sel) return;
+    if (sel.type === 'airport') doc.airports.splice(sel.index, 1);
+    else doc.restrictedZones.splice(sel.index, 1);
+    selection = null;
+    changed();
+  }
+
+  function uniqueName(base){
+    const names = new Set(doc.airports.map(a => a.name));
+    let n = doc.airports.length + 1;
+    while (names.has(`${base} ${n}`)) n++;
+    return `${base} ${n}`;
+  }
+
+  canvas.addEventListener('pointerdown', onPointerDown, true);
+  canvas.addEventListener('pointermove', onPointerMove, true);
+  canvas.addEventListener('pointerup', onPointerUp, true);
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'e' || e.key === 'E') { if (active) close(); else open(); return; }
+    if (!active) return;
+    if (e.key === 'Escape'){
+      if (draft.length) { draft = []; game.needsRedraw = true; }
+      else if (selection) { selection = null; changed(); }
+      else close();
+    }
+    if (e.key === 'Enter' && tool === 'zone') finishZone();
+    if (e.key === 'Delete' || e.key === 'Backspace') { e.preventDefault(); deleteSelection(); }
+  });
+  // Typing in the panel must not trigger game shortcuts (W, A, D, E, ...)
+  panel.addEventListener('keydown', (e) => { if (e.key !== 'Escape') e.stopPropagation(); });
+
+  // --- Side panel ---
+
+  function field(label, input){
+    const row = document.createElement('label');
+    row.style.cssText = 'display:flex;align-items:center;justify-content:space-between;gap:8px;font-size:12px;color:#cbd5e1;';
+    row.append(label, input);
+    return row;
+  }
+
+  function textInput(value, onChange, type = 'text'){
+    const input = document.createElement('input');
+    input.type = type;
+    input.value = value ?? '';
+    input.style.cssText = 'width:130px;background:#111827;color:#e5e7eb;border:1px solid #374151;border-radius:6px;padding:4px 6px;font-size:12px;';
+    input.addEventListener('change', () => { onChange(type === 'number' ? (input.value === '' ? null : Number(input.value)) : input.value); game.needsRedraw = true; });
+    return input;
+  }
+
+  function checkbox(value, onChange){
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = !!value;
+    input.addEventListener('change', () => { onChange(input.checked); game.needsRedraw = true; });
+    return input;
+  }
+
+  function selectInput(value, options, onChange){
+    const select = document.createElement('select');
+    select.style.cssText = 'width:130px;background:#111827;color:#e5e7eb;border:1px solid #374151;border-radius:6px;padding:4px;font-size:12px;';
+    for (const o of options){ const opt = document.createElement('option'); opt.value = o; opt.textContent = o; select.appendChild(opt); }
+    select.value = value;
+    select.addEventListener('change', () => { onChange(select.value); game.needsRedraw = true; });
+    return select;
+  }
+
+  function btn(text, onClick, bg = '#374151'){
+    const b = document.createElement('button');
+    b.textContent = text;
+    b.style.cssText = `background:${bg};color:white;border:none;padding:6px 10px;border-radius:8px;font-weight:600;cursor:pointer;font-size:12px;`;
+    b.addEventListener('click', onClick);
+    return b;
+  }
+
+  function heading(text){
+    const h = document.createElement('div');
+    h.textContent = text;
+    h.style.cssText = 'font-weight:700;color:#0ea5a3;font-size:13px;margin-top:6px;';
+    return h;
+  }
+
+  // Closed days as text: "3, 5-7" <-> [3, [5, 7]]
+  function formatDays(days){
+    return (days || []).map(d => Array.isArray(d) ? `${d[0]}-${d[1]}` : String(d)).join(', ');
+  }
+  function parseDays(text){
+    const days = [];
+    for (const part of String(text).split(',')){
+      const m = /^\s*(\d+)\s*(?:-\s*(\d+))?\s*$/.exec(part);
+      if (!m) continue;
+      const from = parseInt(m[1], 10), to = m[2] ? parseInt(m[2], 10) : null;
+      days.push(to == null || to === from ? from : [Math.min(from, to), Math.max(from, to)]);
+    }
+    return days;
+  }
+
+  // Optional numbers: empty clears the field so the game default applies
+  const setOpt = (obj, key) => (v) => { if (v == null || !Number.isFinite(v)) delete obj[key]; else obj[key] = v; };
+
+  function renderPanel(){
+    panel.innerHTML = '';
+    const title = document.createElement('div');
+    title.style.cssText = 'display:flex;align-items:center;justify-content:space-between;';
+    title.innerHTML = '<span style="font-weight:700;color:#0ea5a3;font-size:16px;">✏️ Map Editor</span>';
+    title.appendChild(btn('×', close, 'transparent'));
+    panel.appendChild(title);
+
+    const tools = document.createElement('div');
+    tools.style.cssText = 'display:flex;gap:6px;';
+    for (const t of TOOLS){
+      const b = btn(`${t.icon} ${t.label}`, () => { tool = t.id; draft = []; renderPanel(); game.needsRedraw = true; }, tool === t.id ? '#0ea5a3' : '#374151');
+      b.style.fontSize = '11px';
+      tools.appendChild(b);
+    }
+    panel.appendChild(tools);
+
+    const hint = document.createElement('div');
+    hint.style.cssText = 'font-size:11px;color:#94a3b8;line-height:1.4;';
+    hint.textContent = tool === 'zone'
+      ? 'Click to add points; click the first point or press Enter to close the zone. Esc cancels.'
+      : 'Drag airports and zones to move them. Select a zone to drag its vertex handles; click a midpoint to add a vertex, Alt+click a vertex to remove it. Alt+click an airport or press Delete to remove the selection.';
+    panel.appendChild(hint);
+
+    panel.appendChild(heading('Map'));
+    panel.appendChild(field('Name', textInput(doc.name, v => { doc.name = v; })));
+    doc.inventory = doc.inventory || {};
+    panel.appendChild(field('Routes', textInput(doc.inventory.lines, setOpt(doc.inventory, 'lines'), 'number')));
+    panel.appendChild(field('Planes', textInput(doc.inventory.planes, setOpt(doc.inventory, 'planes'), 'number')));
+    panel.appendChild(field('Permits', textInput(doc.inventory.permits, setOpt(doc.inventory, 'permits'), 'number')));
+    panel.appendChild(field('Starting airports', textInput(doc.initialAirportCount, setOpt(doc, 'initialAirportCount'), 'number')));
+
+    if (selection && selection.type === 'airport' && doc.airports[selection.index]){
+      const a = doc.airports[selection.index];
+      panel.appendChild(heading('Airport'));
+      panel.appendChild(field('Name', textInput(a.name, v => { a.name = v; })));
+      panel.appendChild(field('Shape', selectInput(a.shape, MAP_SHAPES, v => { a.shape = v; })));
+      panel.appendChild(field('Zone', textInput(a.zone, v => { a.zone = v; })));
+      panel.appendChild(field('Final destination', checkbox(a.isFinal, v => { if (v) a.isFinal = true; else delete a.isFinal; })));
+      panel.appendChild(field('Interchange', checkbox(a.isInterchange, v => { if (v) a.isInterchange = true; else delete a.isInterchange; })));
+      panel.appendChild(field('MCT (ms)', textInput(a.mctMs, setOpt(a, 'mctMs'), 'number')));
+      panel.appendChild(field('Turnaround (ms)', textInput(a.turnaroundMs, setOpt(a, 'turnaroundMs'), 'number')));
+      panel.appendChild(field('Runway', selectInput(a.runway || 'auto', ['auto', ...RUNWAYS], v => { if (v === 'auto') delete a.runway; else a.runway = v; })));
+      panel.appendChild(btn('Delete airport', () => deleteSelection(), '#b91c1c'));
+    } else if (selection && selection.type === 'zone' && doc.restrictedZones[selection.index]){
+      const z = doc.restrictedZones[selection.index];
+      panel.appendChild(heading('Restricted zone'));
+      panel.appendChild(field('Name', textInput(z.name, v => { z.name = v; })));
+      panel.appendChild(field('Permit cost', textInput(z.permitCost ?? 1, setOpt(z, 'permitCost'), 'number')));
+      panel.appendChild(field('Forbidden', checkbox(z.forbidden, v => { if (v) z.forbidden = true; else delete z.forbidden; })));
+      panel.appendChild(field('Closed on days', textInput(formatDays(z.closedDays), v => {
+        const days = parseDays(v);
+        if (days.length) z.closedDays = days; else delete z.closedDays;
+      })));
+      panel.appendChild(field('Color', textInput((z.style && z.style.color) || '#ef4444', v => { z.style = { ...(z.style || {}), color: v }; }, 'color')));
+      const info = document.createElement('div');
+      info.style.cssText = 'font-size:11px;color:#94a3b8;';
+      info.textContent = `${z.polygon.length} points${z.path ? ' • drawn as corridor' : ''}`;
+      panel.appendChild(info);
+      panel.appendChild(btn('Delete zone', () => deleteSelection(), '#b91c1c'));
+    }
+
+    const problems = validateMap(doc);
+    const status = document.createElement('div');
+    status.style.cssText = `font-size:11px;line-height:1.4;color:${problems.length ? '#fca5a5' : '#86efac'};white-space:pre-line;`;
+    status.textContent = problems.length
+      ? `${problems.length} problem${problems.length > 1 ? 's' : ''}:\n${problems.slice(0, 4).join('\n')}`
+      : `${doc.airports.length} airports, ${doc.restrictedZones.length} zones • ready`;
+    panel.appendChild(status);
+
+    const actions = document.createElement('div');
+    actions.style.cssText = 'display:flex;gap:6px;flex-wrap:wrap;margin-top:4px;';
+    actions.appendChild(btn('▶ Play-test', playTest, 'linear-gradient(135deg, #0ea5a3, #059669)'));
+    actions.appendChild(btn('⬇ Export map', exportMap, 'linear-gradient(135deg, #3b82f6, #2563eb)'));
+    panel.appendChild(actions);
+  }
+
+  function playTest(){
+    try {
+      const map = parseMap(JSON.parse(JSON.stringify(doc)));
+      startMap(game, map);
+      close();
+      game.paused = false;
+      onPlayTest && onPlayTest(map);
+      game.showToast(`Play-testing "${map.name}" (E to edit)`);
+    } catch (e) {
+      reportMapError(game, e);
+    }
+  }
+
+  function exportMap(){
+    const problems = validateMap(doc);
+    if (problems.length) game.showToast(`Exported with ${problems.length} problem${problems.length > 1 ? 's' : ''}; the game will refuse it until fixed`);
+    try {
+      const blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${(doc.name || 'map').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'map'}.json`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (e) {
+      console.warn('Failed to export map', e);
+      game.showToast('Export failed');
+    }
+  }
+
+  // --- Rendering (called by the main loop instead of the game view) ---
+
+  function draw(ctx){
+    const cam = game.camera;
+    drawRestrictedAirspace(ctx, cam, editorZones());
+    drawStations(ctx, cam, {
+      stations: editorStations(),
+      hoveredStationIdx: selection && selection.type === 'airport' ? selection.index : -1,
+      config: game.config,
+      gameTime: 0
+    });
+
+    ctx.save();
+    ctx.translate(cam.x, cam.y);
+    ctx.scale(cam.scale, cam.scale);
+    const h = HANDLE_PX * 0.7 / cam.scale;
+
+    // Selected zone outline + handles
+    if (selection && selection.type === 'zone' && doc.restrictedZones[selection.index]){
+      const pts = doc.restrictedZones[selection.index].polygon.map(toWorld);
+      ctx.strokeStyle = '#fbbf24';
+      ctx.lineWidth = 2 / cam.scale;
+      ctx.setLineDash([6 / cam.scale, 4 / cam.scale]);
+      ctx.beginPath();
+      pts.forEach((p, i) => i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y));
+      ctx.closePath();
+      ctx.stroke();
+      ctx.setLineDash([]);
+      pts.forEach((p, i) => {
+        const q = pts[(i + 1) % pts.length];
+        ctx.fillStyle = 'rgba(251, 191, 36, 0.5)';
+        ctx.beginPath(); ctx.arc((p.x + q.x) / 2, (p.y + q.y) / 2, h * 0.7, 0, Math.PI * 2); ctx.fill();
+        ctx.fillStyle = '#fbbf24';
+        ctx.fillRect(p.x - h, p.y - h, h * 2, h * 2);
+      });
+    }
+
+    // Zone being drawn
+    if (draft.length){
+      const pts = draft.map(toWorld);
+      ctx.strokeStyle = '#f87171';
+      ctx.lineWidth = 2 / cam.scale;
+      ctx.setLineDash([6 / cam.scale, 4 / cam.scale]);
+      ctx.beginPath();
+      pts.forEach((p, i) => i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y));
+      if (hover) ctx.lineTo(hover.x, hover.y);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.fillStyle = '#f87171';
+      pts.forEach(p => ctx.fillRect(p.x - h, p.y - h, h * 2, h * 2));
+    }
+
+    // Airport names (the station renderer only labels them when zoomed in)
+    if (cam.scale <= 1.0){
+      ctx.fillStyle = '#cbd5e1';
+      ctx.font = `${Math.max(9, 11 / cam.scale)}px Inter, Arial, sans-serif`;
+      ctx.textAlign = 'center';
+      for (const s of editorStations()) ctx.fillText(s.name, s.x, s.y - s.r - 8 / cam.scale);
+    }
+    ctx.restore();
+  }
+
+  button && button.addEventListener('click', () => active ? close() : open());
+
+  return { open, close, draw, isActive: () => active };
+}
@@ -0,0 +1,166 @@
+// Fleet panel: every plane grouped by route, with the spare planes in the reserve.
+// Drag a plane onto another route to move it or onto the reserve to park it; each
+// route shows what the optimizer sees (demand, priority, target) and can be pinned.
+import { AIRCRAFT_TYPES, aircraftType, spareAircraft, moveTrain, parkTrain, setLinePin } from '../systems/fleet.js';
+import { lineAllocationStats } from '../systems/trains.js';
+import { lineDisplayName } from '../systems/lines_final.js';
+import { maintenanceStatus, maintenanceWear } from '../systems/maintenance.js';
+import { effectiveCapacity, describeModifiers } from '../systems/modifiers.js';
+
+const REFRESH_MS = 500;
+const BUTTON = 'background: #374151; color: #e5e7eb; border: none; border-radius: 6px; padding: 2px 7px; font-size: 11px; cursor: pointer;';
+
+export function initFleetPanel(game){
+  const panel = document.getElementById('fleetPanel');
+  const list = document.getElementById('fleetList');
+  if (!panel || !list) return null;
+
+  let lastBuild = 0;
+  let dragging = null; // id of the plane being dragged
+
+  const isOpen = () => panel.style.display === 'flex';
+
+  function planeState(train){
+    const at = game.stations[train.lastStationVisited];
+    const service = maintenanceStatus(game, train);
+    if (service === 'repair') return `🔧 repairs ${Math.max(0, Math.ceil((train.outOfServiceUntil - game.gameTime) / 1000))}s`;
+    if (service === 'overdue') return '🔧 overdue';
+    if (service === 'due') return `🔧 due (${Math.round(maintenanceWear(game, train) * 100)}%)`;
+    if (train.returnToReserve) return '🛬 to reserve at next stop';
+    if (train.divertTo != null && game.stations[train.divertTo]) return `⛈️ diverting to ${game.stations[train.divertTo].name}`;
+    if (train.holdPattern && game.stations[train.holdPattern.stationIdx]) return `⛈️ holding for ${game.stations[train.holdPattern.stationIdx].name}`;
+    if (train.holding && at) return `holding at ${at.name}`;
+    if (train.dwellRemaining > 0 && at) return `at ${at.name}`;
+    return 'en route';
+  }
+
+  function dropTarget(el, onDrop){
+    el.addEventListener('dragover', (e) => { if (dragging != null){ e.preventDefault(); el.style.outline = '1px dashed #0ea5a3'; } });
+    el.addEventListener('dragleave', () => { el.style.outline = ''; });
+    el.addEventListener('drop', (e) => {
+      e.preventDefault();
+      el.style.outline = '';
+      const train = game.trains.find(t => t && t.id === dragging);
+      dragging = null;
+      if (train) onDrop(train);
+      update(true);
+    });
+  }
+
+  function planeRow(train){
+    const spec = aircraftType(train);
+    const row = document.createElement('div');
+    row.draggable = true;
+    row.title = [`${spec.label}: drag to another route or to Reserve`, ...describeModifiers(game, train)].join('\n');
+    row.style.cssText = 'display: flex; justify-content: space-between; gap: 8px; padding: 3px 6px; border-radius: 6px; background: rgba(255,255,255,0.05); cursor: grab;';
+    const name = document.createElement('span');
+    name.textContent = `${spec.icon} ${spec.short} · ${train.passengers.length}/${effectiveCapacity(game, train)}`;
+    const state = document.createElement('span');
+    state.textContent = planeState(train);
+    state.style.color = '#94a3b8';
+    row.append(name, state);
+    row.addEventListener('dragstart', (e) => {
+      dragging = train.id;
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', String(train.id));
+    });
+    row.addEventListener('dragend', () => { dragging = null; });
+    return row;
+  }
+
+  function pinControls(line, pinned){
+    const box = document.createElement('span');
+    box.style.cssText = 'display: flex; align-items: center; gap: 4px;';
+    const pin = (count) => { setLinePin(game, line.id, count); update(true); };
+    if (pinned){
+      const less = document.createElement('button');
+      less.textContent = '−';
+      less.style.cssText = BUTTON;
+      less.addEventListener('click', () => pin(Math.max(0, line.pinnedTrains - 1)));
+      const count = document.createElement('span');
+      count.textContent = `📌 ${line.pinnedTrains}`;
+      const more = document.createElement('button');
+      more.textContent = '+';
+      more.style.cssText = BUTTON;
+      more.addEventListener('click', () => pin(line.pinnedTrains + 1));
+      box.append(less, count, more);
+    }
+    const toggle = document.createElement('button');
+    toggle.textContent = pinned ? 'Auto' : '📌 Pin';
+    toggle.title = pinned ? 'Let the optimizer staff this route' : 'Keep this route at its current plane count';
+    toggle.style.cssText = BUTTON;
+    toggle.addEventListener('click', () => pin(pinned ? null : line.trains.length));
+    box.appendChild(toggle);
+    return box;
+  }
+
+  function reserveGroup(){
+    const group = document.createElement('div');
+    group.style.cssText = 'display: flex; flex-direction: column; gap: 4px; padding: 8px; border-radius: 10px; background: rgba(255,255,255,0.04); border: 1px solid rgba(255,255,255,0.08);';
+    const title = document.createElement('div');
+    title.textContent = `🛬 Reserve · ${Math.max(0, game.trainsAvailable || 0)} spare`;
+    title.style.cssText = 'font-weight: 700; color: #cbd5e1;';
+    const spare = spareAircraft(game);
+    const counts = document.createElement('div');
+    counts.textContent = Object.keys(AIRCRAFT_TYPES).filter(type => spare[type] > 0)
+      .map(type => `${AIRCRAFT_TYPES[type].icon} ${spare[type]} ${AIRCRAFT_TYPES[type].short}`).join(' · ') || 'Drop a plane here to park it';
+    counts.style.color = '#94a3b8';
+    group.append(title, counts);
+    dropTarget(group, (train) => parkTrain(game, train));
+    return group;
+  }
+
+  function lineGroup(stats){
+    const { line, demand, priority, desiredTrains, currentTrains, pinned } = stats;
+    const group = document.createElement('div');
+    group.style.cssText = `display: flex; flex-direction: column; gap: 4px; padding: 8px; border-radius: 10px; background: rgba(255,255,255,0.04); border-left: 3px solid ${line.color};`;
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; justify-content: space-between; align-items: center; gap: 8px;';
+    const name = document.createElement('span');
+    name.textContent = `● ${lineDisplayName(game, line)}`;
+    name.style.cssText = `font-weight: 700; color: ${line.color};`;
+    header.append(name, pinControls(line, pinned));
+    const info = document.createElement('div');
+    info.textContent = `demand ${demand} · priority ${Math.round(priority)} · target ${desiredTrains} · flying ${currentTrains}`;
+    info.style.cssText = 'color: #94a3b8; font-size: 11px;';
+    group.append(header, info);
+    for (const id of line.trains){
+      const train = game.trains.find(t => t && t.id === id);
+      if (train) group.appendChild(planeRow(train));
+    }
+    dropTarget(group, (train) => moveTrain(game, train, line.id));
+    return group;
+  }
+
+  function build(){
+    list.innerHTML = '';
+    list.appendChild(reserveGroup());
+    const stats = lineAllocationStats(game).sort((a, b) => b.priority - a.priority);
+    if (stats.length === 0){
+      const empty = document.createElement('div');
+      empty.textContent = 'No routes yet';
+      empty.style.color = '#94a3b8';
+      list.appendChild(empty);
+    }
+    for (const s of stats) list.appendChild(lineGroup(s));
+  }
+
+  // Called every frame; rebuilds at most every REFRESH_MS and never mid-drag
+  function update(force = false){
+    if (!isOpen() || (dragging != null && !force)) return;
+    const now = performance.now();
+    if (!force && now - lastBuild < REFRESH_MS) return;
+    lastBuild = now;
+    build();
+  }
+
+  function toggle(open = !isOpen()){
+    panel.style.display = open ? 'flex' : 'none';
+    if (open) update(true);
+  }
+
+  document.getElementById('btnFleet')?.addEventListener('click', () => toggle());
+  document.getElementById('closeFleet')?.addEventListener('click', () => toggle(false));
+
+  return { toggle, update, isOpen };
+}
@@ -1,3 +1,12 @@
+import { getNotamBoard, formatHours } from '../systems/notams.js';
+import { ensureItinerary, describeItinerary } from '../systems/itinerary.js';
+import { lineDisplayName } from '../systems/lines_final.js';
+import { lineLoadFactor } from '../systems/boarding.js';
+import { isTimetableMode, nextDepartures } from '../systems/timetable.js';
+import { SERVICE_PATTERNS, trainStops, serviceKey, setTrainPattern } from '../systems/service.js';
+import { AIRCRAFT_TYPES, DEFAULT_AIRCRAFT, aircraftType, spareAircraft } from '../systems/fleet.js';
+import { maintenanceInterval, maintenanceCounts } from '../systems/maintenance.js';
+
 export function initHUD(game){
   const dayLabelEl = document.getElementById('dayLabel');
   const clockEl = document.getElementById('dayClock');
@@ -5,15 +14,33 @@ export function initHUD(game){
   const btnPlay = document.getElementById('btnPlay');
   const btnFast = document.getElementById('btnFast');
   const invTrains = document.getElementById('invTrains');
+  const invFleet = document.getElementById('invFleet');
+  const trainPill = document.getElementById('trainPill');
   const invTunnels = document.getElementById('invTunnels');
   const invCarriages = document.getElementById('invCarriages');
+  const invMaint = document.getElementById('invMaint');
+  const maintPill = document.getElementById('maintPill');
   const swatchRow = document.getElementById('lineSwatches');
+  const seedEl = document.getElementById('seedLabel');
 
   function setTimeScale(scale){ const clamped=Math.max(0,Math.min(4,scale||0)); game.timeScale = clamped; game.paused = clamped===0; updateHUD(); }
   if (btnPause) btnPause.addEventListener('click', () => setTimeScale(0));
   if (btnPlay) btnPlay.addEventListener('click', () => setTimeScale(1));
   if (btnFast) btnFast.addEventListener('click', () => setTimeScale(2));
 
+  // Seed badge: click copies a link that replays this seed
+  if (seedEl) seedEl.addEventListener('click', () => {
+    if (!game.rng) return;
+    try {
+      const url = new URL(location.href);
+      url.searchParams.set('seed', String(game.rng.seed));
+      navigator.clipboard.writeText(url.toString());
+      game.showToast && game.showToast(`Seed ${game.rng.seed} link copied`);
+    } catch(e) {
+      game.showToast && game.showToast(`Seed ${game.rng.seed}`);
+    }
+  });
+
   function renderSwatches(){
     if (!swatchRow) return;
     swatchRow.innerHTML='';
@@ -24,7 +51,7 @@ export function initHUD(game){
       const el = document.createElement('span');
       el.className = 'swatch';
       el.style.backgroundColor = game.config.lineColors[i];
-      el.title = `Color ${i + 1} - Click to select`;
+      el.title = `${lineDisplayName(game, { colorIndex: i })} - Click to select`;
 
       // FIXED: Clean selected state using CSS class
       if (game.selectedLineColorIndex === i) {
@@ -43,12 +70,57 @@ export function initHUD(game){
 
   function recolorLine(game, lineId, newIdx){ const line=game.lines.find(l=>l && l.id===lineId); if (!line || newIdx==null) return; if (line.colorIndex===newIdx) return; const other=game.lines.find(l=>l && l.colorIndex===newIdx); if (other){ const t=other.colorIndex; other.colorIndex=line.colorIndex; line.colorIndex=t; } else { line.colorIndex=newIdx; } }
 
+  // Spare planes by type next to the plane count; narrow-bodies only show once
+  // another type is in the hangar
+  let lastFleetText = null;
+  function updateFleetCounts(){
+    const spare = spareAircraft(game);
+    const rows = Object.keys(AIRCRAFT_TYPES).filter(t => spare[t] > 0).map(t => `${AIRCRAFT_TYPES[t].icon} ${spare[t]}`);
+    const mixed = Object.keys(spare).some(t => t !== DEFAULT_AIRCRAFT && spare[t] > 0);
+    const text = mixed ? rows.join('|') : '';
+    if (text === lastFleetText) return;
+    lastFleetText = text;
+    if (invFleet){
+      invFleet.innerHTML = '';
+      for (const r of mixed ? rows : []){
+        const row = document.createElement('span');
+        row.textContent = r;
+        invFleet.appendChild(row);
+      }
+    }
+    if (trainPill){
+      const breakdown = Object.keys(AIRCRAFT_TYPES).map(t => `${AIRCRAFT_TYPES[t].label}: ${spare[t]}`).join('\n');
+      trainPill.title = `Available Aircraft - Planes ready to deploy on new routes\n${breakdown}`;
+    }
+  }
+
+  // Planes due for service; red once any are overdue or grounded
+  let lastMaintText = null;
+  function updateMaintenance(){
+    if (!maintPill) return;
+    const on = maintenanceInterval(game) > 0;
+    const { due, overdue, repair } = maintenanceCounts(game);
+    const text = `${on}|${due}|${overdue}|${repair}`;
+    if (text === lastMaintText) return;
+    lastMaintText = text;
+    maintPill.style.display = on ? '' : 'none';
+    if (invMaint){
+      invMaint.textContent = due + overdue + repair;
+      invMaint.style.color = (overdue + repair) > 0 ? '#f87171' : (due > 0 ? '#fbbf24' : '');
+    }
+    maintPill.title = `Maintenance - Planes due for a check at a hub or final airport\nDue: ${due}\nOverdue (grounded at the next airport): ${overdue}\nGrounded for repairs: ${repair}`;
+  }
+
   function updateHUD(){
     const DAYS=['MON','TUE','WED','THU','FRI','SAT','SUN']; dayLabelEl.textContent = DAYS[(game.day-1)%7]; const deg = Math.floor((game.weekProgress||0)*360); clockEl.style.background = `conic-gradient(#ffd166 0deg ${deg}deg, rgba(255,255,255,0.12) ${deg}deg 360deg)`;
     if (btnPause) btnPause.classList.toggle('active', game.paused || game.timeScale===0);
     if (btnPlay) btnPlay.classList.toggle('active', !game.paused && game.timeScale===1);
     if (btnFast) btnFast.classList.toggle('active', !game.paused && game.timeScale>1);
-    if (invTrains) invTrains.textContent = game.trainsAvailable; if (invTunnels) invTunnels.textContent = game.tunnels||0; if (invCarriages) invCarriages.textContent = game.carriages||0;
+    if (seedEl && game.rng) seedEl.textContent = `SEED ${game.rng.seed}`;
+    if (invTrains) invTrains.textContent = game.trainsAvailable;
+    updateFleetCounts();
+    updateMaintenance();
+    if (invTunnels) invTunnels.textContent = game.tunnels||0; if (invCarriages) invCarriages.textContent = game.carriages||0;
 
     // Update achievement progress
     if (game.achievements) {
@@ -110,6 +182,11 @@ export function initHUD(game){
     // UPDATE FINAL DESTINATION ANALYTICS in day badge
     updateFinalDestinationDisplay();
 
+    updateNotamBoard();
+    updateEventTray();
+    updateStationInspector();
+    updateLineInspector();
+
     // Auto-select next available color if none is selected
     autoSelectNextColor();
     renderSwatches();
@@ -136,6 +213,229 @@ export function initHUD(game){
     }
   }
 
+  // Upcoming and active NOTAMs with countdowns in in-game hours; only rebuilt when the text changes
+  let lastNotamText = null;
+  function updateNotamBoard(){
+    const board = document.getElementById('notamBoard');
+    const list = document.getElementById('notamList');
+    if (!board || !list) return;
+    const KIND_ICONS = { airport: '🛬', zone: '⛔', corridor: '⬡' };
+    const rows = getNotamBoard(game).slice(0, 4).map(n => ({
+      icon: KIND_ICONS[n.kind] || '📛',
+      label: n.label,
+      active: n.active,
+      when: n.active ? `${formatHours(n.endsInMs, game)} left` : `in ${formatHours(n.startsInMs, game)}`
+    }));
+    const text = rows.map(r => `${r.icon}${r.label}${r.when}`).join('|');
+    if (text === lastNotamText) return;
+    lastNotamText = text;
+    board.style.display = rows.length > 0 ? 'flex' : 'none';
+    list.innerHTML = '';
+    for (const r of rows){
+      const row = document.createElement('div');
+      row.style.cssText = 'display: flex; justify-content: space-between; gap: 10px;';
+      const name = document.createElement('span');
+      name.textContent = `${r.icon} ${r.label}`;
+      const when = document.createElement('span');
+      when.textContent = r.when;
+      when.style.color = r.active ? '#ef4444' : '#f59e0b';
+      when.style.fontVariantNumeric = 'tabular-nums';
+      row.append(name, when);
+      list.appendChild(row);
+    }
+  }
+
+  // Active events with their targets and time left (NOTAMs have their own board)
+  let lastEventText = null;
+  function updateEventTray(){
+    const tray = document.getElementById('eventTray');
+    const list = document.getElementById('eventList');
+    if (!tray || !list || !game.events) return;
+    const rows = game.events.getActiveEvents()
+      .filter(e => e.type !== 'notam' && e.endTime > game.gameTime)
+      .sort((a, b) => a.endTime - b.endTime)
+      .map(e => ({
+        label: `${e.icon || '⚡'} ${e.name}`,
+        targets: (e.targetNames || []).join(', '),
+        when: `${formatHours(e.endTime - game.gameTime, game)} left`
+      }));
+    const text = rows.map(r => `${r.label}${r.targets}${r.when}`).join('|');
+    if (text === lastEventText) return;
+    lastEventText = text;
+    tray.style.display = rows.length > 0 ? 'flex' : 'none';
+    list.innerHTML = '';
+    for (const r of rows){
+      const row = document.createElement('div');
+      row.style.cssText = 'display: flex; justify-content: space-between; gap: 10px;';
+      const name = document.createElement('span');
+      name.textContent = r.label;
+      if (r.targets){
+        const at = document.createElement('div');
+        at.textContent = r.targets;
+        at.style.cssText = 'color: #94a3b8; font-size: 11px;';
+        name.appendChild(at);
+      }
+      const when = document.createElement('span');
+      when.textContent = r.when;
+      when.style.color = '#0ea5a3';
+      when.style.fontVariantNumeric = 'tabular-nums';
+      when.style.whiteSpace = 'nowrap';
+      row.append(name, when);
+      list.appendChild(row);
+    }
+  }
+
+  // Hovered airport: load of the routes serving it, then its waiting passengers
+  // grouped by planned itinerary
+  let lastInspectorText = null;
+  function updateStationInspector(){
+    const panel = document.getElementById('stationInspector');
+    if (!panel) return;
+    const station = game.stations[game.hoveredStationIdx];
+    let rows = [];
+    let loads = [];
+    if (station){
+      loads = game.lines.filter(l => l && l.stations.includes(station.id)).map(l => {
+        const load = l.load;
+        const text = load && load.departures > 0
+          ? `${Math.round(lineLoadFactor(l) * 100)}% full${load.leftBehind > 0 ? ` · ${load.leftBehind} left behind` : ''}`
+          : 'no departures yet';
+        // Timetable mode: countdown to the next scheduled departures from here
+        const departures = isTimetableMode(game) ? nextDepartures(game, l, station.id).map(d => {
+          const to = game.stations[d.towards];
+          return `→ ${to ? to.name : '?'} ${Math.max(0, Math.ceil((d.at - game.gameTime) / 1000))}s`;
+        }) : [];
+        return { name: lineDisplayName(game, l), color: l.color, text, busy: lineLoadFactor(l) >= 0.9, departures };
+      });
+      const groups = new Map();
+      for (const p of station.queue){
+        ensureItinerary(game, p, station.id);
+        const text = describeItinerary(game, p, lineDisplayName);
+        groups.set(text, (groups.get(text) || 0) + 1);
+      }
+      rows = [...groups].sort((a, b) => b[1] - a[1]).slice(0, 6);
+    }
+    const text = station ? `${station.name}|${station.queue.length}|${loads.map(l => l.name + l.text + l.departures.join()).join('|')}|${rows.map(([t, n]) => `${n}${t}`).join('|')}` : '';
+    if (text === lastInspectorText) return;
+    lastInspectorText = text;
+    panel.style.display = station ? 'flex' : 'none';
+    panel.innerHTML = '';
+    if (!station) return;
+    const title = document.createElement('div');
+    title.textContent = `${station.name} · ${station.queue.length} waiting`;
+    title.style.cssText = 'font-size: 12px; font-weight: 700; color: #e5e7eb;';
+    panel.appendChild(title);
+    for (const l of loads){
+      const row = document.createElement('div');
+      row.style.cssText = `display: flex; justify-content: space-between; gap: 10px; color: ${l.busy ? '#f59e0b' : '#94a3b8'};`;
+      const name = document.createElement('span');
+      name.textContent = `● ${l.name}`;
+      name.style.color = l.color;
+      const value = document.createElement('span');
+      value.textContent = l.text;
+      row.append(name, value);
+      panel.appendChild(row);
+      if (l.departures.length > 0){
+        const next = document.createElement('div');
+        next.textContent = `⏱ ${l.departures.join(' · ')}`;
+        next.style.cssText = 'padding-left: 14px; color: #cbd5e1; font-variant-numeric: tabular-nums;';
+        panel.appendChild(next);
+      }
+    }
+    if (rows.length === 0){
+      const empty = document.createElement('div');
+      empty.textContent = 'No passengers waiting';
+      empty.style.color = '#94a3b8';
+      panel.appendChild(empty);
+    }
+    for (const [t, n] of rows){
+      const row = document.createElement('div');
+      row.textContent = `${n}× ${t}`;
+      panel.appendChild(row);
+    }
+  }
+
+  // Clicked route: the service pattern of each of its planes; rebuilt only when
+  // the route or a pattern changes so the controls stay usable
+  let lastLineInspectorText = null;
+  function updateLineInspector(){
+    const panel = document.getElementById('lineInspector');
+    if (!panel) return;
+    const line = game.lines.find(l => l && l.id === game.inspectedLineId);
+    if (!line) game.inspectedLineId = null;
+    const planes = line ? line.trains.map(id => game.trains.find(t => t && t.id === id)).filter(Boolean) : [];
+    const text = line ? `${line.id}|${line.color}|${line.stations.join()}|${planes.map(t => `${t.id}:${t.pattern ? t.pattern.kind : 'all'}:${serviceKey(trainStops(game, t))}`).join('|')}` : '';
+    if (text === lastLineInspectorText) return;
+    lastLineInspectorText = text;
+    panel.style.display = line ? 'flex' : 'none';
+    panel.innerHTML = '';
+    if (!line) return;
+
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; justify-content: space-between; align-items: center; gap: 10px;';
+    const title = document.createElement('span');
+    title.textContent = `● ${lineDisplayName(game, line)} · ${line.stations.length} airports`;
+    title.style.cssText = `font-size: 12px; font-weight: 700; color: ${line.color};`;
+    const close = document.createElement('button');
+    close.textContent = '×';
+    close.title = 'Close (Esc)';
+    close.style.cssText = 'background: none; border: none; color: #94a3b8; font-size: 16px; cursor: pointer; padding: 0 2px;';
+    close.addEventListener('click', () => { game.inspectedLineId = null; updateLineInspector(); });
+    header.append(title, close);
+    panel.appendChild(header);
+
+    if (planes.length === 0){
+      const empty = document.createElement('div');
+      empty.textContent = 'No planes on this route';
+      empty.style.color = '#94a3b8';
+      panel.appendChild(empty);
+    }
+    const intermediate = line.stations.slice(1, -1);
+    planes.forEach((t, i) => {
+      const stops = trainStops(game, t);
+      const row = document.createElement('div');
+      row.style.cssText = 'display: flex; justify-content: space-between; align-items: center; gap: 10px;';
+      const name = document.createElement('span');
+      const skipped = stops ? line.stations.filter(si => !stops.has(si)).length : 0;
+      name.textContent = `${aircraftType(t).icon} ${aircraftType(t).short} ${i + 1}${skipped > 0 ? ` · skips ${skipped}` : ''}`;
+      const select = document.createElement('select');
+      select.style.cssText = 'background: #1f2937; color: #e5e7eb; border: 1px solid rgba(255,255,255,0.15); border-radius: 6px; font-size: 11px; padding: 2px 4px;';
+      for (const [kind, { label }] of Object.entries(SERVICE_PATTERNS)){
+        const opt = document.createElement('option');
+        opt.value = kind;
+        opt.textContent = label;
+        select.appendChild(opt);
+      }
+      select.value = t.pattern ? t.pattern.kind : 'all';
+      // Custom starts from the stops the plane makes now
+      select.addEventListener('change', () => {
+        setTrainPattern(game, t, select.value, stops ? [...stops] : [...line.stations]);
+        updateLineInspector();
+      });
+      row.append(name, select);
+      panel.appendChild(row);
+
+      if (select.value !== 'custom') return;
+      for (const si of intermediate){
+        const s = game.stations[si];
+        if (!s) continue;
+        const label = document.createElement('label');
+        label.style.cssText = 'display: flex; align-items: center; gap: 6px; padding-left: 14px; cursor: pointer;';
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.checked = !stops || stops.has(si);
+        box.addEventListener('change', () => {
+          const current = new Set(t.pattern.stops);
+          if (box.checked) current.add(si); else current.delete(si);
+          setTrainPattern(game, t, 'custom', [...current]);
+          updateLineInspector();
+        });
+        label.append(box, document.createTextNode(s.name));
+        panel.appendChild(label);
+      }
+    });
+  }
+
   function autoSelectNextColor(){
     // SIMPLIFIED: Always auto-select color 0 at start
     if (game.selectedLineColorIndex === null && game.lines.length === 0) {
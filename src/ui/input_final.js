@@ -1,12 +1,13 @@
 import { screenToWorld } from '../core/camera.js';
 import { stationAtPoint } from '../systems/stations.js';
-import { createHexPath, applyCorridorBundling, applyTerminalBubbles } from '../systems/hexgrid.js';
+import { createRoutedHexPath, applyCorridorBundling, applyTerminalBubbles } from '../systems/hexgrid.js';
 import { createLine, addStationToLine, findLineNearPoint, rebuildWaypointsForLine } from '../systems/lines_final.js';
-import { segmentCrossesPolygon } from '../utils/intersections.js';
+import { checkRestrictedCrossings, spendPermits } from '../systems/airspace.js';
 
 export function attachInput(canvas, game, onPreview){
   let isDown=false; let dragStartStation=null; let selectedLine=null; let insertPosition=null; let isShiftHeld=false;
   let lineInsertAnchor=null; // world point on the selected segment used as preview start
+  let lineDownAt=null; // screen point where a press on a route started; released in place opens its inspector
   let isPanning=false; let panStartX=0; let panStartY=0; let panStartCamX=0; let panStartCamY=0;
   const DEBUG = false;
   function rect(){ return canvas.getBoundingClientRect(); }
@@ -20,7 +21,7 @@ export function attachInput(canvas, game, onPreview){
 
   document.addEventListener('keydown', (e)=>{
     if (e.key==='Shift') isShiftHeld=true;
-    if (e.key==='Escape'){ onPreview(null); }
+    if (e.key==='Escape'){ onPreview(null); if (game.inspectedLineId != null){ game.inspectedLineId = null; game.updateHUD(); } }
     if (e.key==='Alt') game.removalMode=true;
 
     // SIMPLIFIED: Number keys 1-7 just select color directly
@@ -60,7 +61,7 @@ export function attachInput(canvas, game, onPreview){
     const lineHit=findLineNearPoint(game, world.x, world.y, game.config.linePickTolerancePx);
     if (lineHit){
       if (game.removalMode){ if (DEBUG) console.log('remove line', lineHit.line.id); game.removeLine(lineHit.line.id); return; }
-      selectedLine=lineHit.line; insertPosition=lineHit.segmentIndex+1;
+      selectedLine=lineHit.line; insertPosition=lineHit.segmentIndex+1; lineDownAt={ x: screenX, y: screenY };
       // Compute anchor as projection of pointer onto the segment for a smooth one-gesture insert
       const a = game.stations[selectedLine.stations[lineHit.segmentIndex]];
       const b = game.stations[selectedLine.stations[lineHit.segmentIndex+1]];
@@ -127,18 +128,20 @@ export function attachInput(canvas, game, onPreview){
       const start=game.stations[dragStartStation];
       const endIdx = game.hoveredStationIdx;
       const end = (endIdx!==-1? game.stations[endIdx] : world);
-      let points = createHexPath(start.x, start.y, end.x, end.y, game.config.hexGrid.size);
+      // Routed around restricted airspace and storms, along existing corridors where possible
+      let points = createRoutedHexPath(game, start.x, start.y, end.x, end.y, { cache: endIdx !== -1 });
       if (endIdx!==-1){
         points = applyTerminalBubbles(points, start, end, game);
       }
       // Apply bundling preview against existing lines
       points = applyCorridorBundling(points, game, null);
-      onPreview({ points, valid: true, snapStation: endIdx, isHexSnapped: true });
+      const valid = endIdx === -1 || checkRestrictedCrossings(game, [[start, end]]).ok;
+      onPreview({ points, valid, snapStation: endIdx, isHexSnapped: true });
       if (DEBUG) console.log('preview from', dragStartStation, 'to', endIdx);
     } else if (selectedLine && isDown){
       const endIdx = game.hoveredStationIdx; const end = (endIdx!==-1? game.stations[endIdx] : world);
       const start = lineInsertAnchor || world;
-      let points = createHexPath(start.x, start.y, end.x, end.y, game.config.hexGrid.size);
+      let points = createRoutedHexPath(game, start.x, start.y, end.x, end.y, { line: selectedLine, cache: false });
       if (endIdx!==-1){
         // If inserting into a line towards a station, show arrival bubble preview
         const endStation = game.stations[endIdx];
@@ -201,9 +204,12 @@ export function attachInput(canvas, game, onPreview){
           // Extend existing line from endpoint
           const line=extendable[0];
           if (DEBUG) console.log('extend line', line.id);
+          const crossing = checkRestrictedCrossings(game, [[game.stations[dragStartStation], game.stations[hit]]]);
+          if (!crossing.ok){ game.showToast && game.showToast(crossing.message); dragStartStation=null; onPreview(null); return; }
+          spendPermits(game, crossing);
           if (line.stations[0]===dragStartStation) line.stations.unshift(hit);
           else line.stations.push(hit);
-          rebuildWaypointsForLine(game, line);
+          rebuildWaypointsForLine(game, line, { changedStations: [hit] });
           line.totalLength = game.calculateLineLength(line);
           if (line.trains.length===0 && game.trainsAvailable>0){
             game.createTrain(line.id);
@@ -222,16 +228,16 @@ export function attachInput(canvas, game, onPreview){
           // Try to create new line if available
           if (game.linesAvailable>0){
             const A=game.stations[dragStartStation], B=game.stations[hit];
-            // River crossing requires tunnels
-            const crosses = segmentCrossesPolygon({x:A.x,y:A.y},{x:B.x,y:B.y}, game.config.thamesPolygon);
-            if (crosses && (game.tunnels||0) <= 0){ if (DEBUG) console.log('blocked: no tunnels'); onPreview(null); dragStartStation=null; return; }
+            // Restricted zones: closed zones block, open ones cost permits (tunnels)
+            const crossing = checkRestrictedCrossings(game, [[A, B]]);
+            if (!crossing.ok){ if (DEBUG) console.log('blocked by', crossing.blockedBy.name); game.showToast && game.showToast(crossing.message); onPreview(null); dragStartStation=null; return; }
             const line = createLine(game, [dragStartStation, hit], game.selectedLineColorIndex);
             if (line){
-              line.waypoints = createHexPath(A.x,A.y,B.x,B.y,game.config.hexGrid.size);
+              line.waypoints = createRoutedHexPath(game, A.x, A.y, B.x, B.y, { line });
               game.calculateLineLength(line);
               game.createTrain(line.id);
               if (game.trainsAvailable>0) game.trainsAvailable--; game.linesAvailable--; if (DEBUG) console.log('created line', line.id);
-              if (crosses) { game.tunnels = Math.max(0, (game.tunnels||0)-1); if (DEBUG) console.log('used tunnel, remain', game.tunnels); }
+              spendPermits(game, crossing); if (DEBUG) console.log('used tunnels', crossing.cost, 'remain', game.tunnels);
             }
           } else {
             // HELPFUL: Show user why connection failed
@@ -246,6 +252,9 @@ export function attachInput(canvas, game, onPreview){
       dragStartStation=null; onPreview(null); game.updateHUD(); return;
     }
     if (selectedLine){
+      const r = rect();
+      const clicked = hit===-1 && lineDownAt && Math.hypot(ev.clientX - r.left - lineDownAt.x, ev.clientY - r.top - lineDownAt.y) < 5;
+      if (clicked){ game.inspectedLineId = selectedLine.id; game.updateHUD(); }
       if (hit!==-1){
         const v = canInsertStationAt(game, selectedLine, hit, insertPosition);
         if (v.valid){
@@ -256,8 +265,8 @@ export function attachInput(canvas, game, onPreview){
           let message = 'Cannot add station to route';
           if (v.reason === 'duplicate') {
             message = 'Station already on this route';
-          } else if (v.reason === 'tunnels') {
-            message = 'Need tunnel permit to cross restricted airspace';
+          } else if (v.message) {
+            message = v.message;
           }
           console.log(message);
           if (game.showToast) {
@@ -265,7 +274,7 @@ export function attachInput(canvas, game, onPreview){
           }
         }
       }
-      selectedLine=null; insertPosition=null; lineInsertAnchor=null; onPreview(null); return;
+      selectedLine=null; insertPosition=null; lineInsertAnchor=null; lineDownAt=null; onPreview(null); return;
     }
   });
 }
@@ -280,29 +289,11 @@ function canInsertStationAt(game, line, stationIdx, position){
   if (line.stations.includes(stationIdx)) return { valid:false, reason:'duplicate' };
   const newIdx = position == null ? line.stations.length : Math.max(0, Math.min(position, line.stations.length));
   const S = game.stations[stationIdx]; if (!S) return { valid:false };
-  const poly = game.config.thamesPolygon;
-  let crossingsNeeded = 0;
+  const segments = [];
   const prevIdx = newIdx - 1; const nextIdx = newIdx;
-  if (prevIdx >= 0 && line.stations[prevIdx] != null){
-    const A = game.stations[line.stations[prevIdx]];
-    if (needsRiverCrossing(A, S, poly)) crossingsNeeded++;
-  }
-  if (nextIdx < line.stations.length && line.stations[nextIdx] != null){
-    const B = game.stations[line.stations[nextIdx]];
-    if (needsRiverCrossing(S, B, poly)) crossingsNeeded++;
-  }
-  if (crossingsNeeded > 0 && (game.tunnels || 0) < crossingsNeeded) return { valid:false, reason:'tunnels' };
+  if (prevIdx >= 0 && line.stations[prevIdx] != null) segments.push([game.stations[line.stations[prevIdx]], S]);
+  if (nextIdx < line.stations.length && line.stations[nextIdx] != null) segments.push([S, game.stations[line.stations[nextIdx]]]);
+  const crossing = checkRestrictedCrossings(game, segments);
+  if (!crossing.ok) return { valid:false, reason:crossing.reason, zone:crossing.blockedBy, message:crossing.message };
   return { valid:true };
 }
-
-function needsRiverCrossing(P, Q, poly){
-  if (!poly || poly.length < 3) return false;
-  // Quick side check using polygon min/max Y band to reduce false positives near the bank
-  let minY = Infinity, maxY = -Infinity;
-  for (const v of poly){ if (v.y < minY) minY = v.y; if (v.y > maxY) maxY = v.y; }
-  const tol = 6; // tolerance near banks
-  const ay = P.y, by = Q.y;
-  if ((ay < minY - tol && by < minY - tol) || (ay > maxY + tol && by > maxY + tol)) return false;
-  // Otherwise do precise polygon-edge intersection test
-  return segmentCrossesPolygon({x:P.x,y:P.y},{x:Q.x,y:Q.y}, poly);
-}
@@ -0,0 +1,46 @@
+// Map picker: load a JSON map file (see MAP_FORMAT.md) and restart on it
+import { parseMap, mapToConfig } from '../maps/loader.js';
+import { resetGame } from '../core/simulation.js';
+
+// Toasts are one line; the full list goes to the console
+export function reportMapError(game, e){
+  console.warn('Failed to load map', e);
+  const lines = String(e.message || e).split('\n').filter(Boolean);
+  const more = lines.length > 2 ? ` (+${lines.length - 2} more, see console)` : '';
+  const first = lines[1] ? ` ${lines[1].replace(/^- /, '')}` : '';
+  game.showToast && game.showToast(`${lines[0]}${first}${more}`);
+}
+
+export function startMap(game, map, { seed = game.rng.seed } = {}){
+  resetGame(game, { config: mapToConfig(map), seed });
+}
+
+export function initMapPicker(game, { onMapLoaded } = {}){
+  const button = document.getElementById('btnMap');
+  const fileInput = document.getElementById('mapFile');
+  if (!button || !fileInput) return null;
+
+  function loadFile(file){
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const map = parseMap(String(reader.result));
+        startMap(game, map);
+        if (onMapLoaded) onMapLoaded(map);
+        game.showToast && game.showToast(`Loaded map "${map.name || file.name}"`);
+      } catch (e) {
+        reportMapError(game, e);
+      }
+    };
+    reader.readAsText(file);
+  }
+
+  button.addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', () => {
+    const file = fileInput.files && fileInput.files[0];
+    if (file) loadFile(file);
+    fileInput.value = '';
+  });
+
+  return { loadFile };
+}
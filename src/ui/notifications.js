@@ -0,0 +1,110 @@
+// Browser-side notifications (DOM). The simulation core never touches the DOM;
+// main.js wires these into game.notifier.
+
+let toastTimer = null;
+
+export function showToast(message){
+  const toast = document.getElementById('atcToast');
+  if (toast){
+    toast.textContent = message;
+    toast.style.opacity = '1';
+    toast.style.transform = 'translateX(-50%) translateY(0)';
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => {
+      try {
+        toast.style.opacity = '0';
+        toast.style.transform = 'translateX(-50%) translateY(-8px)';
+      } catch(e) {}
+    }, 2000);
+  }
+}
+
+export function showEventNotification(event) {
+  // Create a special event notification
+  const notification = document.createElement('div');
+  notification.className = 'event-notification';
+  notification.innerHTML = `
+    <div class="event-content">
+      <div class="event-icon">${event.icon}</div>
+      <div class="event-text">
+        <div class="event-title">Special Event</div>
+        <div class="event-name">${event.name}</div>
+        <div class="event-desc">${event.description}</div>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(notification);
+
+  // Animate in
+  setTimeout(() => notification.classList.add('show'), 10);
+
+  // Remove after delay
+  setTimeout(() => {
+    notification.classList.remove('show');
+    setTimeout(() => {
+      if (notification.parentNode) {
+        document.body.removeChild(notification);
+      }
+    }, 300);
+  }, 5000);
+}
+
+export function showAchievementNotification(achievement) {
+  const notification = document.createElement('div');
+  notification.className = 'achievement-notification';
+  notification.innerHTML = `
+    <div class="achievement-content">
+      <div class="achievement-icon">${achievement.icon}</div>
+      <div class="achievement-text">
+        <div class="achievement-title">Achievement Unlocked!</div>
+        <div class="achievement-name">${achievement.name}</div>
+        <div class="achievement-desc">${achievement.description}</div>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(notification);
+
+  // Animate in
+  setTimeout(() => notification.classList.add('show'), 10);
+
+  // Remove after delay
+  setTimeout(() => {
+    notification.classList.remove('show');
+    setTimeout(() => document.body.removeChild(notification), 300);
+  }, 4000);
+}
+
+export function showAutoActionNotification(message, color = 'rgba(14,165,163,0.8)') {
+  const notification = document.createElement('div');
+  notification.className = 'auto-action-notification';
+  notification.style.cssText = `
+    position: fixed; top: 80px; right: 20px; z-index: 998;
+    background: ${color}; color: white; padding: 8px 12px;
+    border-radius: 8px; font-size: 12px; font-weight: 600;
+    transform: translateX(120%); opacity: 0;
+    transition: all 0.3s ease; max-width: 250px;
+    box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+  `;
+  notification.textContent = message;
+
+  document.body.appendChild(notification);
+
+  // Animate in
+  setTimeout(() => {
+    notification.style.transform = 'translateX(0)';
+    notification.style.opacity = '1';
+  }, 10);
+
+  // Remove after delay
+  setTimeout(() => {
+    notification.style.transform = 'translateX(120%)';
+    notification.style.opacity = '0';
+    setTimeout(() => {
+      if (notification.parentNode) {
+        document.body.removeChild(notification);
+      }
+    }, 300);
+  }, 3000);
+}
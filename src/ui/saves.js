@@ -0,0 +1,138 @@
+// Save/load overlay: quick slot, rotating autosaves, and save file export/import
+import { serializeGame, deserializeGame, saveToSlot, loadFromSlot, listSaveSlots, QUICK_SLOT } from '../systems/savegame.js';
+
+const SLOT_LABELS = { quick: 'Quick Save', auto0: 'Autosave 1', auto1: 'Autosave 2', auto2: 'Autosave 3' };
+
+export function initSavePanel(game, { onLoaded } = {}){
+  const overlay = document.getElementById('savesOverlay');
+  const list = document.getElementById('saveSlotList');
+  const fileInput = document.getElementById('importSaveFile');
+  if (!overlay || !list) return null;
+
+  let wasPaused = false;
+
+  function afterLoad(message){
+    if (onLoaded) onLoaded();
+    game.showToast && game.showToast(message);
+  }
+
+  function loadSlot(slot){
+    try {
+      if (!loadFromSlot(game, slot)) { game.showToast && game.showToast('That slot is empty'); return false; }
+      hide(false);
+      afterLoad(`Loaded ${SLOT_LABELS[slot] || slot} - Day ${game.day}`);
+      return true;
+    } catch (e) {
+      console.warn('Failed to load save', e);
+      game.showToast && game.showToast(`Could not load save: ${e.message}`);
+      return false;
+    }
+  }
+
+  function quickSave(){
+    if (saveToSlot(game, QUICK_SLOT)) game.showToast && game.showToast('Game saved');
+    else game.showToast && game.showToast('Save failed (storage unavailable)');
+    render();
+  }
+
+  function render(){
+    list.innerHTML = '';
+    for (const info of listSaveSlots()){
+      const row = document.createElement('div');
+      row.style.cssText = 'display:flex;align-items:center;gap:10px;padding:10px 12px;border-radius:10px;background:rgba(255,255,255,0.04);border:1px solid rgba(255,255,255,0.08);';
+      const label = document.createElement('div');
+      label.style.cssText = 'flex:1;font-size:13px;';
+      const title = SLOT_LABELS[info.slot] || info.slot;
+      if (info.empty){
+        label.innerHTML = `<div style="font-weight:600;color:#cbd5e1;">${title}</div><div style="color:#64748b;font-size:11px;">${info.corrupt ? 'Unreadable save' : 'Empty'}</div>`;
+      } else {
+        const when = info.savedAt ? new Date(info.savedAt).toLocaleString() : '';
+        const s = info.summary || {};
+        label.innerHTML = `<div style="font-weight:600;color:#cbd5e1;">${title}</div><div style="color:#94a3b8;font-size:11px;">Day ${s.day ?? '?'} • Score ${s.score ?? 0} • ${s.lines ?? 0} routes • ${when}</div>`;
+      }
+      row.appendChild(label);
+
+      if (info.slot === QUICK_SLOT){
+        const saveBtn = document.createElement('button');
+        saveBtn.textContent = 'Save';
+        saveBtn.style.cssText = 'background:#0ea5a3;color:white;border:none;padding:6px 12px;border-radius:8px;font-weight:600;cursor:pointer;font-size:12px;';
+        saveBtn.addEventListener('click', quickSave);
+        row.appendChild(saveBtn);
+      }
+      const loadBtn = document.createElement('button');
+      loadBtn.textContent = 'Load';
+      loadBtn.disabled = !!info.empty;
+      loadBtn.style.cssText = `background:#374151;color:white;border:none;padding:6px 12px;border-radius:8px;font-weight:600;font-size:12px;cursor:${info.empty ? 'not-allowed' : 'pointer'};opacity:${info.empty ? 0.4 : 1};`;
+      loadBtn.addEventListener('click', () => loadSlot(info.slot));
+      row.appendChild(loadBtn);
+
+      list.appendChild(row);
+    }
+  }
+
+  function show(){
+    if (overlay.style.display === 'flex') return;
+    wasPaused = game.paused;
+    render();
+    overlay.style.display = 'flex';
+    game.paused = true;
+  }
+
+  function hide(restorePause = true){
+    overlay.style.display = 'none';
+    game.paused = restorePause ? wasPaused : false;
+  }
+
+  function exportSave(){
+    try {
+      const data = serializeGame(game);
+      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `flightcontrol-day${game.day}-${Date.now()}.json`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (e) {
+      console.warn('Failed to export save', e);
+      game.showToast && game.showToast('Export failed');
+    }
+  }
+
+  function importSave(file){
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        deserializeGame(game, String(reader.result));
+        hide(false);
+        afterLoad(`Imported save - Day ${game.day}`);
+      } catch (e) {
+        console.warn('Failed to import save', e);
+        game.showToast && game.showToast(`Could not import save: ${e.message}`);
+      }
+    };
+    reader.readAsText(file);
+  }
+
+  document.getElementById('btnSaves')?.addEventListener('click', show);
+  document.getElementById('closeSaves')?.addEventListener('click', () => hide());
+  document.getElementById('btnExportSave')?.addEventListener('click', exportSave);
+  document.getElementById('btnImportSave')?.addEventListener('click', () => fileInput && fileInput.click());
+  if (fileInput){
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files && fileInput.files[0];
+      if (file) importSave(file);
+      fileInput.value = '';
+    });
+  }
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'F5') { e.preventDefault(); quickSave(); }
+    if (e.key === 'F9') { e.preventDefault(); loadSlot(QUICK_SLOT); }
+    if (e.key === 'Escape' && overlay.style.display === 'flex') hide();
+  });
+
+  return { show, hide, quickSave, loadSlot, exportSave };
+}
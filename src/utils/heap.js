@@ -0,0 +1,55 @@
+// Binary min-heap of (value, priority) pairs, used as the A* open set.
+// Priorities live in a parallel array so pushes and pops don't allocate.
+
+export class MinHeap {
+  constructor() {
+    this.values = [];
+    this.priorities = [];
+  }
+
+  get size() {
+    return this.values.length;
+  }
+
+  push(value, priority) {
+    const values = this.values, priorities = this.priorities;
+    let i = values.length;
+    values.push(value);
+    priorities.push(priority);
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (priorities[parent] <= priority) break;
+      values[i] = values[parent];
+      priorities[i] = priorities[parent];
+      i = parent;
+    }
+    values[i] = value;
+    priorities[i] = priority;
+  }
+
+  // Remove and return the value with the lowest priority (undefined when empty)
+  pop() {
+    const values = this.values, priorities = this.priorities;
+    if (values.length === 0) return undefined;
+    const top = values[0];
+    const lastValue = values.pop();
+    const lastPriority = priorities.pop();
+    const n = values.length;
+    if (n > 0) {
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        if (left >= n) break;
+        const right = left + 1;
+        const child = (right < n && priorities[right] < priorities[left]) ? right : left;
+        if (priorities[child] >= lastPriority) break;
+        values[i] = values[child];
+        priorities[i] = priorities[child];
+        i = child;
+      }
+      values[i] = lastValue;
+      priorities[i] = lastPriority;
+    }
+    return top;
+  }
+}
@@ -21,3 +21,13 @@ export function segmentCrossesPolygon(A, B, poly){
   return false;
 }
 
+
+// Even-odd ray cast
+export function pointInPolygon(P, poly){
+  let inside = false;
+  for (let i=0, j=poly.length-1; i<poly.length; j=i++){
+    const a = poly[i], b = poly[j];
+    if ((a.y > P.y) !== (b.y > P.y) && P.x < (b.x - a.x) * (P.y - a.y) / (b.y - a.y) + a.x) inside = !inside;
+  }
+  return inside;
+}
@@ -0,0 +1,57 @@
+// Seeded pseudo-random generator (mulberry32)
+// All gameplay randomness goes through game.rng so a seed + the same inputs
+// replays the same game. Purely cosmetic effects may keep using Math.random.
+
+export function createRng(seed){
+  const initialSeed = seed >>> 0;
+  let state = initialSeed;
+
+  function next(){
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  return {
+    seed: initialSeed,
+    next,
+    // Float in [min, max)
+    range(min, max){ return min + next() * (max - min); },
+    // Integer in [0, n)
+    int(n){ return Math.floor(next() * n); },
+    chance(p){ return next() < p; },
+    pick(arr){ return arr && arr.length ? arr[Math.floor(next() * arr.length)] : undefined; },
+    // Fisher-Yates; returns a new array
+    shuffle(arr){
+      const out = [...arr];
+      for (let i = out.length - 1; i > 0; i--){
+        const j = Math.floor(next() * (i + 1));
+        [out[i], out[j]] = [out[j], out[i]];
+      }
+      return out;
+    },
+    // Short base-36 id for passengers etc.
+    id(){ return Math.floor(next() * 0x7fffffff).toString(36); },
+    getState(){ return state; },
+    setState(s){ state = s >>> 0; }
+  };
+}
+
+export function randomSeed(){
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// Accept numeric seeds as-is; hash any other string (FNV-1a) so "?seed=demo" works
+export function parseSeed(value){
+  if (value == null || value === '') return null;
+  const s = String(value).trim();
+  if (/^\d+$/.test(s)) return Number(s) >>> 0;
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++){
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
@@ -0,0 +1,6 @@
+// Game clock helpers
+
+// One in-game hour: a game day lasts one weekLength
+export function gameHourMs(game){
+  return (game.config.weekLength || 45000) / 24;
+}
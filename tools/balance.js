@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+// Headless balance runner: N seeds x difficulty presets, per-week metrics to CSV/JSON.
+//
+//   node tools/balance.js --seeds 20 --weeks 15 --presets normal,hard \
+//     --set spawnIntervalMultiplier=0.7 --set mctMultiplier=0.6 --out balance-out
+//
+// Options
+//   --seeds N          number of seeds per preset (default 10)
+//   --seed-start S     first seed; runs use S, S+1, ... (default 1)
+//   --weeks W          weeks to simulate per run (default 20)
+//   --presets a,b      presets from src/maps/presets.js, or "none" for the raw config (default all)
+//   --set key=value    override an AIRSPACE_CONFIG key (repeatable; dotted keys like hexGrid.size work;
+//                      values are parsed as JSON when possible). Applied after the preset.
+//   --map FILE         JSON map file (see MAP_FORMAT.md) instead of the built-in airspace
+//   --dt MS            simulation step in ms (default 50)
+//   --out DIR          output directory for weekly.csv and report.json (default balance-out)
+//   --verbose          keep the game's console logging
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { AIRSPACE_CONFIG } from '../src/maps/airspace.js';
+import { DIFFICULTY_PRESETS, presetConfig } from '../src/maps/presets.js';
+import { createGame, simulateWeeks, summarizeGame } from '../src/core/simulation.js';
+import { parseMap, mapToConfig } from '../src/maps/loader.js';
+
+const WEEK_COLUMNS = ['preset', 'seed', 'week', 'day', 'score', 'waiting', 'overcrowded', 'finals', 'avgFinalMs', 'trains', 'lines', 'reward', 'gameOver', 'gameOverReason'];
+
+function parseArgs(argv){
+  const opts = { seeds: 10, seedStart: 1, weeks: 20, presets: Object.keys(DIFFICULTY_PRESETS), overrides: {}, map: null, dt: 50, out: 'balance-out', verbose: false };
+  for (let i = 0; i < argv.length; i++){
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+    if (arg === '--seeds') opts.seeds = parseInt(next(), 10);
+    else if (arg === '--seed-start') opts.seedStart = parseInt(next(), 10);
+    else if (arg === '--weeks') opts.weeks = parseInt(next(), 10);
+    else if (arg === '--presets') opts.presets = next().split(',').map(s => s.trim()).filter(Boolean);
+    else if (arg === '--set') {
+      const kv = next();
+      const eq = kv.indexOf('=');
+      if (eq <= 0) throw new Error(`--set expects key=value, got "${kv}"`);
+      opts.overrides[kv.slice(0, eq)] = parseValue(kv.slice(eq + 1));
+    }
+    else if (arg === '--map') opts.map = next();
+    else if (arg === '--dt') opts.dt = parseFloat(next());
+    else if (arg === '--out') opts.out = next();
+    else if (arg === '--verbose') opts.verbose = true;
+    else if (arg === '--help' || arg === '-h') opts.help = true;
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  for (const p of opts.presets){
+    if (p !== 'none' && !DIFFICULTY_PRESETS[p]) throw new Error(`Unknown preset "${p}" (have: ${Object.keys(DIFFICULTY_PRESETS).join(', ')}, none)`);
+  }
+  if (!(opts.seeds > 0) || !(opts.weeks > 0)) throw new Error('--seeds and --weeks must be positive');
+  return opts;
+}
+
+function parseValue(raw){
+  try { return JSON.parse(raw); } catch (e) { return raw; }
+}
+
+function setPath(obj, key, value){
+  const parts = key.split('.');
+  let cur = obj;
+  for (let i = 0; i < parts.length - 1; i++){
+    const k = parts[i];
+    cur[k] = (cur[k] && typeof cur[k] === 'object') ? { ...cur[k] } : {};
+    cur = cur[k];
+  }
+  cur[parts[parts.length - 1]] = value;
+}
+
+function buildConfig(base, preset, overrides){
+  const cfg = { ...base, ...(preset === 'none' ? {} : presetConfig(preset)) };
+  for (const [key, value] of Object.entries(overrides)){
+    if (!(key.split('.')[0] in AIRSPACE_CONFIG)) console.warn(`[balance] warning: "${key}" is not an AIRSPACE_CONFIG key`);
+    setPath(cfg, key, value);
+  }
+  return cfg;
+}
+
+async function runOne(preset, seed, opts){
+  const game = createGame({ config: buildConfig(opts.baseConfig, preset, opts.overrides), seed });
+  const rows = [];
+  const report = await simulateWeeks(game, opts.weeks, {
+    log: false,
+    dt: opts.dt,
+    onWeek(summary, reward){
+      rows.push({ preset, seed, week: summary.day - 1, ...summary, reward: reward || '', gameOver: false, gameOverReason: '' });
+    }
+  });
+  if (game.gameOver){
+    // Partial week in which the run ended
+    const snap = summarizeGame(game);
+    rows.push({ preset, seed, week: rows.length + 1, ...snap, reward: '', gameOver: true, gameOverReason: game.gameOverReason || '' });
+  }
+  return { preset, seed, report, weeks: rows };
+}
+
+function csvCell(v){
+  const s = v == null ? '' : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function survivalCurve(runs, weeks){
+  // Fraction of runs still alive at the end of each week
+  const curve = [];
+  for (let w = 1; w <= weeks; w++){
+    const alive = runs.filter(r => r.report.weeksSimulated >= w).length;
+    curve.push(alive / runs.length);
+  }
+  return curve;
+}
+
+function mean(values){
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+function printUsage(){
+  const src = fs.readFileSync(new URL(import.meta.url), 'utf8').split('\n');
+  console.log(src.slice(1, src.findIndex(l => l.startsWith('import'))).map(l => l.replace(/^\/\/ ?/, '')).join('\n'));
+}
+
+async function main(){
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(`[balance] ${e.message}`);
+    printUsage();
+    process.exit(2);
+  }
+  if (opts.help) { printUsage(); return; }
+  try {
+    opts.baseConfig = opts.map ? mapToConfig(parseMap(fs.readFileSync(opts.map, 'utf8'))) : AIRSPACE_CONFIG;
+  } catch (e) {
+    console.error(`[balance] ${opts.map}: ${e.message}`);
+    process.exit(2);
+  }
+
+  // The game logs allocation/achievement chatter; keep the CLI output readable
+  const log = console.log;
+  if (!opts.verbose) console.log = () => {};
+
+  const runs = [];
+  const started = Date.now();
+  for (const preset of opts.presets){
+    for (let i = 0; i < opts.seeds; i++){
+      const seed = opts.seedStart + i;
+      const run = await runOne(preset, seed, opts);
+      runs.push(run);
+      process.stderr.write(`\r[balance] ${preset} seed ${seed}: day ${run.report.day}, score ${run.report.score}${run.report.gameOver ? ' (game over)' : ''}        `);
+    }
+  }
+  process.stderr.write('\n');
+  console.log = log;
+
+  // Aggregates per preset
+  const presets = {};
+  for (const preset of opts.presets){
+    const pr = runs.filter(r => r.preset === preset);
+    const reasons = {};
+    for (const r of pr){
+      if (!r.report.gameOver) continue;
+      // Group by reason without the airport name
+      const key = String(r.report.gameOverReason || 'unknown').replace(/^.*? (airport became overcrowded)/, '$1').replace(/ at .*!$/, '');
+      reasons[key] = (reasons[key] || 0) + 1;
+    }
+    presets[preset] = {
+      runs: pr.length,
+      survived: pr.filter(r => !r.report.gameOver).length,
+      meanScore: Math.round(mean(pr.map(r => r.report.score))),
+      meanFinals: Math.round(mean(pr.map(r => r.report.finals))),
+      meanAvgFinalMs: Math.round(mean(pr.map(r => r.report.avgFinalMs))),
+      meanWeeks: +mean(pr.map(r => r.report.weeksSimulated)).toFixed(2),
+      gameOverReasons: reasons,
+      survival: survivalCurve(pr, opts.weeks)
+    };
+  }
+
+  fs.mkdirSync(opts.out, { recursive: true });
+  const csv = [WEEK_COLUMNS.join(',')];
+  for (const run of runs){
+    for (const row of run.weeks) csv.push(WEEK_COLUMNS.map(c => csvCell(row[c])).join(','));
+  }
+  fs.writeFileSync(path.join(opts.out, 'weekly.csv'), csv.join('\n') + '\n');
+  fs.writeFileSync(path.join(opts.out, 'report.json'), JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    options: { seeds: opts.seeds, seedStart: opts.seedStart, weeks: opts.weeks, presets: opts.presets, overrides: opts.overrides, map: opts.map, dt: opts.dt },
+    presets,
+    runs
+  }, null, 2));
+
+  // Survival curves
+  console.log(`\nSurvival by week (${opts.seeds} seeds, ${((Date.now() - started) / 1000).toFixed(1)}s)`);
+  for (const [preset, agg] of Object.entries(presets)){
+    console.log(`\n${preset}: ${agg.survived}/${agg.runs} survived ${opts.weeks} weeks, mean score ${agg.meanScore}, mean finals ${agg.meanFinals}, avg final ${(agg.meanAvgFinalMs / 1000).toFixed(1)}s`);
+    agg.survival.forEach((frac, i) => {
+      const bar = '#'.repeat(Math.round(frac * 30)).padEnd(30, '.');
+      console.log(`  wk ${String(i + 1).padStart(2)} ${bar} ${Math.round(frac * 100)}%`);
+    });
+    const reasons = Object.entries(agg.gameOverReasons);
+    if (reasons.length) console.log(`  game over: ${reasons.map(([r, n]) => `${r} x${n}`).join(', ')}`);
+  }
+  console.log(`\nWrote ${path.join(opts.out, 'weekly.csv')} and ${path.join(opts.out, 'report.json')}`);
+}
+
+main().catch(e => { console.error(e); process.exit(1); });
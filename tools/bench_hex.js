@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+// Micro-benchmark for hex pathfinding: the heap-based hexAStar against the old
+// linear-scan search (kept below as a reference), plus routed legs with and
+// without the leg cache.
+//
+//   node tools/bench_hex.js --airports 26 --pairs 300 --rounds 3
+//
+// Options
+//   --airports N   airports scattered over the map (default 26)
+//   --pairs P      random airport pairs per round (default 300)
+//   --rounds R     timed rounds; the best one is reported (default 3)
+//   --seed S       seed for airport placement and pairs (default 1)
+
+import { hexAStar, getHexNeighbors, pixelToCube, cubeToPixel, snapToHexVertex, createRoutedHexPath, clearHexCache } from '../src/systems/hexgrid.js';
+import { createGame } from '../src/core/simulation.js';
+import { createRng } from '../src/utils/rng.js';
+
+function parseArgs(argv){
+  const opts = { airports: 26, pairs: 300, rounds: 3, seed: 1 };
+  for (let i = 0; i < argv.length; i++){
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      return parseInt(argv[++i], 10);
+    };
+    if (arg === '--airports') opts.airports = value();
+    else if (arg === '--pairs') opts.pairs = value();
+    else if (arg === '--rounds') opts.rounds = value();
+    else if (arg === '--seed') opts.seed = value();
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  return opts;
+}
+
+// The search hexAStar used before the heap: linear scan of the open array for
+// the lowest f-score and string keys for every neighbor
+function linearScanAStar(startWorld, endWorld, size){
+  const start = pixelToCube(startWorld.x, startWorld.y, size);
+  const goal = pixelToCube(endWorld.x, endWorld.y, size);
+  const dist = (a, b) => (Math.abs(a.q - b.q) + Math.abs(a.r - b.r) + Math.abs(a.s - b.s)) / 2;
+  const key = (c) => `${c.q},${c.r},${c.s}`;
+  const open = [start];
+  const came = new Map();
+  const g = new Map([[key(start), 0]]);
+  const f = new Map([[key(start), dist(start, goal)]]);
+  const inOpen = new Set([key(start)]);
+  while (open.length) {
+    let idx = 0;
+    for (let i = 1; i < open.length; i++) {
+      if ((f.get(key(open[i])) ?? Infinity) < (f.get(key(open[idx])) ?? Infinity)) idx = i;
+    }
+    const current = open.splice(idx, 1)[0];
+    inOpen.delete(key(current));
+    if (dist(current, goal) < 1) {
+      const cubes = [current];
+      let k = key(current);
+      while (came.has(k)) { const prev = came.get(k); cubes.unshift(prev); k = key(prev); }
+      return cubes.map(c => cubeToPixel(c.q, c.r, c.s, size));
+    }
+    for (const nb of getHexNeighbors(current)) {
+      const nk = key(nb);
+      const tentativeG = g.get(key(current)) + 1;
+      if (tentativeG < (g.get(nk) ?? Infinity)) {
+        came.set(nk, current);
+        g.set(nk, tentativeG);
+        f.set(nk, tentativeG + dist(nb, goal));
+        if (!inOpen.has(nk)) { open.push(nb); inOpen.add(nk); }
+      }
+    }
+  }
+  return [startWorld, endWorld];
+}
+
+function time(fn, rounds){
+  let best = Infinity;
+  for (let i = 0; i < rounds; i++){
+    const t0 = performance.now();
+    fn();
+    best = Math.min(best, performance.now() - t0);
+  }
+  return best;
+}
+
+function main(){
+  const opts = parseArgs(process.argv.slice(2));
+  const rng = createRng(opts.seed);
+  const game = createGame({ seed: opts.seed });
+  const size = game.config.hexGrid.size;
+  const S = game.config.worldScale || 1;
+  const airports = Array.from({ length: opts.airports }, () => snapToHexVertex(rng.range(-540, 540) * S, rng.range(-330, 330) * S, size));
+  const pairs = [];
+  while (pairs.length < opts.pairs){
+    const a = rng.pick(airports), b = rng.pick(airports);
+    if (a !== b) pairs.push([a, b]);
+  }
+
+  // Same optimal path lengths from both searches
+  for (const [a, b] of pairs){
+    const heap = hexAStar(a, b, size).length, linear = linearScanAStar(a, b, size).length;
+    if (heap !== linear) throw new Error(`Path length mismatch: heap ${heap}, linear ${linear}`);
+  }
+
+  const linearMs = time(() => { for (const [a, b] of pairs) linearScanAStar(a, b, size); }, opts.rounds);
+  const heapMs = time(() => { for (const [a, b] of pairs) hexAStar(a, b, size); }, opts.rounds);
+  const coldMs = time(() => { clearHexCache(game); for (const [a, b] of pairs) createRoutedHexPath(game, a.x, a.y, b.x, b.y); }, opts.rounds);
+  const warmMs = time(() => { for (const [a, b] of pairs) createRoutedHexPath(game, a.x, a.y, b.x, b.y); }, opts.rounds);
+
+  const row = (label, ms, base) => console.log(`${label.padEnd(30)} ${ms.toFixed(1).padStart(9)} ms  ${(ms / pairs.length * 1000).toFixed(0).padStart(7)} us/path${base ? `  ${(base / ms).toFixed(1)}x` : ''}`);
+  console.log(`${opts.airports} airports, ${pairs.length} pairs, best of ${opts.rounds}`);
+  row('hexAStar, linear scan (old)', linearMs);
+  row('hexAStar, binary heap', heapMs, linearMs);
+  row('routed legs, cold cache', coldMs);
+  row('routed legs, warm cache', warmMs, coldMs);
+}
+
+try {
+  main();
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+// Save/load check: plays a seeded game, saves it, loads the save into a second
+// game and steps both side by side. The loaded copy must stay identical to the
+// game it was saved from (same random sequence, same decisions).
+//
+//   node tools/check_save.js --seeds 3,7,11 --weeks 2 --steps 6000
+//
+// Options
+//   --seeds A,B,...  seeds to check (default 7)
+//   --weeks W        game weeks played before saving (default 2)
+//   --steps N        50 ms steps run after loading (default 6000)
+
+import { createGame, simulateWeeks, stepSimulation } from '../src/core/simulation.js';
+import { serializeGame, deserializeGame } from '../src/systems/savegame.js';
+
+const STEP_MS = 50;
+
+function parseArgs(argv){
+  const opts = { seeds: [7], weeks: 2, steps: 6000 };
+  for (let i = 0; i < argv.length; i++){
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+    if (arg === '--seeds') opts.seeds = value().split(',').map(s => parseInt(s, 10));
+    else if (arg === '--weeks') opts.weeks = parseInt(value(), 10);
+    else if (arg === '--steps') opts.steps = parseInt(value(), 10);
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  return opts;
+}
+
+// The save as JSON with sorted keys (key order is not state)
+function snapshot(game){
+  const canon = (v) => Array.isArray(v) ? v.map(canon)
+    : (v && typeof v === 'object') ? Object.fromEntries(Object.keys(v).sort().map(k => [k, canon(v[k])])) : v;
+  const save = JSON.parse(JSON.stringify(serializeGame(game)));
+  delete save.savedAt;
+  return JSON.stringify(canon(save));
+}
+
+// Where two snapshots first differ, with some context, or null
+function firstDifference(a, b){
+  let i = 0;
+  while (i < a.length && a[i] === b[i]) i++;
+  if (i === a.length && i === b.length) return null;
+  return `...${a.slice(Math.max(0, i - 80), i + 40)}\n  vs\n...${b.slice(Math.max(0, i - 80), i + 40)}`;
+}
+
+async function checkSeed(seed, opts){
+  const original = createGame({ seed });
+  await simulateWeeks(original, opts.weeks, { log: false });
+  const loaded = createGame({ seed: seed + 1 });
+  deserializeGame(loaded, JSON.stringify(serializeGame(original)));
+
+  let diff = firstDifference(snapshot(original), snapshot(loaded));
+  if (diff) return `differs right after loading\n${diff}`;
+  for (let i = 0; i < opts.steps; i++){
+    stepSimulation(original, STEP_MS);
+    stepSimulation(loaded, STEP_MS);
+  }
+  diff = firstDifference(snapshot(original), snapshot(loaded));
+  return diff ? `differs after ${opts.steps} steps\n${diff}` : null;
+}
+
+async function main(){
+  const opts = parseArgs(process.argv.slice(2));
+  const log = console.log;
+  let failed = 0;
+  for (const seed of opts.seeds){
+    console.log = () => {}; // the game logs as it plays
+    let result;
+    try { result = await checkSeed(seed, opts); }
+    finally { console.log = log; }
+    if (result) failed++;
+    console.log(`seed ${seed}: ${result ? `FAIL, ${result}` : 'ok'}`);
+  }
+  if (failed > 0) process.exit(1);
+}
+
+main().catch(e => {
+  console.error(e.message);
+  process.exit(1);
+});